@@ -0,0 +1,308 @@
+// Canonical activity definitions. Every activity seen in a statement (as the
+// object, in context activities or inside a SubStatement) has one document in
+// the "activities" collection with its definition merged from everything
+// written since: names and descriptions language by language, extensions key
+// by key, and other properties taken from the latest statement that has
+// them. Parent and grouping relationships are collected from the contexts of
+// statements about the activity.
+
+const ACTIVITY_COLLECTION = "activities";
+const CONTEXT_KEYS = ["parent", "grouping", "category", "other"];
+const COMPONENT_KEYS = ["choices", "scale", "source", "target", "steps"];
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isActivity(object) {
+  return Boolean(
+    object &&
+      object.id &&
+      (!object.objectType || object.objectType === "Activity")
+  );
+}
+
+// Language tags are case-insensitive, so "en-us" replaces "en-US"
+function mergeLanguageMap(existing, incoming) {
+  if (!incoming) return existing;
+  const merged = { ...existing };
+  Object.entries(incoming).forEach(([language, text]) => {
+    Object.keys(merged)
+      .filter((key) => key.toLowerCase() === language.toLowerCase())
+      .forEach((key) => delete merged[key]);
+    merged[language] = text;
+  });
+  return merged;
+}
+
+function mergeDefinition(existing = {}, incoming = {}) {
+  const merged = { ...existing, ...incoming };
+  ["name", "description"].forEach((key) => {
+    if (existing[key] || incoming[key]) {
+      merged[key] = mergeLanguageMap(existing[key] || {}, incoming[key]);
+    }
+  });
+  if (existing.extensions || incoming.extensions) {
+    merged.extensions = { ...existing.extensions, ...incoming.extensions };
+  }
+  // Interaction components keep translations of the same component id
+  COMPONENT_KEYS.filter((key) => Array.isArray(incoming[key])).forEach(
+    (key) => {
+      merged[key] = incoming[key].map((component) => {
+        const earlier = asArray(existing[key]).find(
+          ({ id }) => id === component.id
+        );
+        return earlier
+          ? {
+              ...component,
+              description: mergeLanguageMap(
+                earlier.description || {},
+                component.description
+              ),
+            }
+          : component;
+      });
+    }
+  );
+  return merged;
+}
+
+// The activities a statement mentions: [{ id, definition, parents,
+// groupings }] where only the statement's object has relationships
+function activityObservations(statement) {
+  const observations = [];
+  const collect = (body) => {
+    const { object, context } = body;
+    const contextActivities = (context && context.contextActivities) || {};
+    if (isActivity(object)) {
+      observations.push({
+        id: object.id,
+        definition: object.definition,
+        parents: asArray(contextActivities.parent).map(({ id }) => id),
+        groupings: asArray(contextActivities.grouping).map(({ id }) => id),
+      });
+    }
+    CONTEXT_KEYS.forEach((key) =>
+      asArray(contextActivities[key])
+        .filter(isActivity)
+        .forEach((activity) =>
+          observations.push({
+            id: activity.id,
+            definition: activity.definition,
+            parents: [],
+            groupings: [],
+          })
+        )
+    );
+    if (object && object.objectType === "SubStatement") collect(object);
+  };
+  collect(statement);
+  return observations;
+}
+
+function union(a = [], b = []) {
+  return [...new Set([...a, ...b])];
+}
+
+// seen is the stored time of the statement the observation comes from, and
+// is left out for manifests
+function applyObservation(activity, observation, seen) {
+  const merged = {
+    ...activity,
+    _id: observation.id,
+    id: observation.id,
+    definition: mergeDefinition(activity.definition, observation.definition),
+    parents: union(activity.parents, observation.parents),
+    groupings: union(activity.groupings, observation.groupings),
+  };
+  if (seen) {
+    if (!activity.firstSeen || seen < activity.firstSeen) {
+      merged.firstSeen = seen;
+    }
+    if (!activity.lastSeen || seen > activity.lastSeen) merged.lastSeen = seen;
+  }
+  if (observation.source) {
+    merged.sources = union(activity.sources, [observation.source]);
+  }
+  return merged;
+}
+
+// Folds observations ({ id, observation, seen }) into the activities
+// collection in order, so later definitions win
+async function applyObservations(collection, observations) {
+  if (!observations.length) return 0;
+  const ids = [...new Set(observations.map(({ id }) => id))];
+  const existing = await collection.find({ _id: { $in: ids } }).toArray();
+  const activities = new Map(
+    existing.map((activity) => [activity._id, activity])
+  );
+  observations.forEach(({ id, observation, seen }) => {
+    activities.set(
+      id,
+      applyObservation(activities.get(id) || {}, observation, seen)
+    );
+  });
+  await collection.bulkWrite(
+    ids.map((id) => ({
+      replaceOne: {
+        filter: { _id: id },
+        replacement: activities.get(id),
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  return ids.length;
+}
+
+// Records the activities of newly stored statements. Returns the number of
+// activities written.
+function recordActivities(collection, statements) {
+  const observations = statements.flatMap((statement) =>
+    activityObservations(statement).map((observation) => ({
+      id: observation.id,
+      observation,
+      seen: statement.stored,
+    }))
+  );
+  return applyObservations(collection, observations);
+}
+
+// Rebuilds the activities collection from every stored statement in stored
+// order. Activities that came from manifests are kept and refreshed.
+async function rebuildActivities(
+  activities,
+  statements,
+  { batchSize = 1000 } = {}
+) {
+  await activities.deleteMany({ sources: { $exists: false } });
+  const cursor = statements
+    .find({}, { projection: { _id: 0 } })
+    .sort({ stored: 1, _id: 1 });
+  let batch = [];
+  let count = 0;
+  for await (const statement of cursor) {
+    batch.push(statement);
+    if (batch.length >= batchSize) {
+      await recordActivities(activities, batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  await recordActivities(activities, batch);
+  return count + batch.length;
+}
+
+// Merges activities read from a course manifest (see manifest.js)
+function importManifestActivities(collection, manifestActivities, source) {
+  return applyObservations(
+    collection,
+    manifestActivities.map((activity) => ({
+      id: activity.id,
+      observation: { ...activity, groupings: [], source },
+    }))
+  );
+}
+
+// Queries ------------------------------------------------------------------------
+
+// The functions below take the statements collection and a Mongo filter
+// (match) for the statements to count, usually NOT_VOIDED.
+
+// Map of activity id -> number of matching statements with it as object
+async function statementCounts(statements, match, ids) {
+  const rows = await statements
+    .aggregate([
+      { $match: { $and: [match, { "object.id": { $in: ids } }] } },
+      { $group: { _id: "$object.id", count: { $sum: 1 } } },
+    ])
+    .toArray();
+  return new Map(rows.map(({ _id, count }) => [_id, count]));
+}
+
+// filter: { type, search } where search matches ids and names
+async function listActivities(activities, statements, match, filter = {}) {
+  const query = {};
+  if (filter.type) query["definition.type"] = filter.type;
+  const rows = (await activities.find(query).sort({ _id: 1 }).toArray()).filter(
+    (activity) =>
+      !filter.search ||
+      [activity.id, ...Object.values(activity.definition.name || {})].some(
+        (text) => text.toLowerCase().includes(filter.search.toLowerCase())
+      )
+  );
+  const counts = await statementCounts(
+    statements,
+    match,
+    rows.map(({ id }) => id)
+  );
+  return rows.map(({ _id, ...activity }) => ({
+    ...activity,
+    statements: counts.get(activity.id) || 0,
+  }));
+}
+
+// One activity with its children (activities that name it as parent) and how
+// many statements use it as object and as a context activity
+async function getActivity(activities, statements, match, id) {
+  const activity = await activities.findOne({ _id: id });
+  if (!activity) return null;
+  const children = await activities
+    .find({ parents: id }, { projection: { _id: 1 } })
+    .sort({ _id: 1 })
+    .toArray();
+  const counts = await statementCounts(statements, match, [id]);
+  const inContext = await statements.countDocuments({
+    $and: [
+      match,
+      {
+        $or: CONTEXT_KEYS.map((key) => ({
+          [`context.contextActivities.${key}.id`]: id,
+        })),
+      },
+    ],
+  });
+  const { _id, ...rest } = activity;
+  return {
+    ...rest,
+    children: children.map((child) => child._id),
+    statements: counts.get(id) || 0,
+    inContext,
+  };
+}
+
+// Every extension IRI used in activity definitions with how many activities
+// use it
+async function extensionUsage(activities) {
+  const rows = await activities
+    .find(
+      { "definition.extensions": { $exists: true } },
+      { projection: { "definition.extensions": 1 } }
+    )
+    .toArray();
+  const usage = new Map();
+  rows.forEach(({ definition }) =>
+    Object.keys(definition.extensions || {}).forEach((key) =>
+      usage.set(key, (usage.get(key) || 0) + 1)
+    )
+  );
+  return [...usage.entries()]
+    .map(([extension, count]) => ({ extension, activities: count }))
+    .sort(
+      (a, b) =>
+        b.activities - a.activities || a.extension.localeCompare(b.extension)
+    );
+}
+
+module.exports = {
+  ACTIVITY_COLLECTION,
+  mergeDefinition,
+  activityObservations,
+  recordActivities,
+  rebuildActivities,
+  importManifestActivities,
+  listActivities,
+  getActivity,
+  extensionUsage,
+};
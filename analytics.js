@@ -0,0 +1,847 @@
+const { pickLanguage } = require("./query");
+const {
+  ACTOR_KEY,
+  actorKey,
+  canonicalKey,
+  normalizeKey,
+  mergeByPerson,
+} = require("./identity");
+
+// Aggregations behind the analytics commands and the HTML report. Each takes
+// the statements collection and a complete Mongo filter (the caller decides
+// whether voided statements count) and returns plain data. Functions that
+// count learners take the alias table (identity.loadAliases) so that one
+// person known by several identifiers counts once.
+
+// Bucket labels, as $dateToString formats. Quarters ("2024-Q1") have no
+// format of their own and are put together from the year and month.
+const DATE_FORMATS = {
+  hour: "%Y-%m-%dT%H:00",
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+  quarter: null,
+  year: "%Y",
+};
+const DATE_FIELDS = ["timestamp", "stored"];
+
+function displayName(map, fallback) {
+  const [name] = map ? Object.values(pickLanguage(map, ["en-US", "en"])) : [];
+  return name || fallback;
+}
+
+function withLimit(stages, limit) {
+  return limit ? [...stages, { $limit: limit }] : stages;
+}
+
+async function countDistinct(collection, match, key) {
+  const [result] = await collection
+    .aggregate([
+      { $match: match },
+      { $group: { _id: key } },
+      { $count: "count" },
+    ])
+    .toArray();
+  return result ? result.count : 0;
+}
+
+async function countPeople(collection, match, aliases) {
+  const keys = await collection
+    .aggregate([{ $match: match }, { $group: { _id: ACTOR_KEY } }])
+    .toArray();
+  return new Set(
+    keys.filter(({ _id }) => _id).map(({ _id }) => canonicalKey(aliases, _id))
+  ).size;
+}
+
+async function lrsStats(collection, match = {}, aliases = new Map()) {
+  const [range] = await collection
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          statements: { $sum: 1 },
+          first: { $min: "$timestamp" },
+          last: { $max: "$timestamp" },
+        },
+      },
+    ])
+    .toArray();
+
+  return {
+    statements: range ? range.statements : 0,
+    actors: await countPeople(collection, match, aliases),
+    verbs: await countDistinct(collection, match, "$verb.id"),
+    activities: await countDistinct(collection, match, "$object.id"),
+    first: range ? range.first : null,
+    last: range ? range.last : null,
+  };
+}
+
+// Statement counts per person, most active first. identifiers lists the
+// addresses (or actor keys) the person was seen with.
+async function mostActiveActors(
+  collection,
+  match = {},
+  limit = 0,
+  aliases = new Map()
+) {
+  const groups = await collection
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: ACTOR_KEY,
+          name: { $first: "$actor.name" },
+          mbox: { $first: "$actor.mbox" },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  const people = mergeByPerson(
+    groups
+      .filter(({ _id }) => _id)
+      .map(({ _id, name, mbox, count }) => ({
+        key: _id,
+        name,
+        identifiers: [mbox || normalizeKey(_id)],
+        count,
+      })),
+    aliases,
+    (person, other) => ({
+      ...person,
+      name: person.name || other.name,
+      identifiers: [...new Set([...person.identifiers, ...other.identifiers])],
+      count: person.count + other.count,
+    })
+  ).sort((a, b) => b.count - a.count || (a.key < b.key ? -1 : 1));
+
+  return (limit ? people.slice(0, limit) : people).map(
+    ({ key, name, identifiers, count }) => ({
+      actor: key,
+      name: name || identifiers[0],
+      identifiers: identifiers.join(", "),
+      count,
+    })
+  );
+}
+
+async function verbUsage(collection, match = {}, limit = 0) {
+  const verbs = await collection
+    .aggregate(
+      withLimit(
+        [
+          { $match: match },
+          {
+            $group: {
+              _id: "$verb.id",
+              display: { $first: "$verb.display" },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        limit
+      )
+    )
+    .toArray();
+  return verbs.map(({ _id, display, count }) => ({
+    id: _id,
+    name: displayName(display, _id),
+    count,
+  }));
+}
+
+async function activityUsage(collection, match = {}, limit = 0) {
+  const activities = await collection
+    .aggregate(
+      withLimit(
+        [
+          {
+            $match: {
+              $and: [
+                match,
+                { "object.objectType": { $in: ["Activity", null] } },
+              ],
+            },
+          },
+          {
+            $group: {
+              _id: "$object.id",
+              name: { $first: "$object.definition.name" },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        limit
+      )
+    )
+    .toArray();
+  return activities.map(({ _id, name, count }) => ({
+    id: _id,
+    name: displayName(name, _id),
+    count,
+  }));
+}
+
+// Dates are ISO strings when stored through this tool but may be BSON dates
+// in data loaded by other means; anything unparseable becomes null
+function dateExpression(field) {
+  return {
+    $convert: { input: `$${field}`, to: "date", onError: null, onNull: null },
+  };
+}
+
+function bucketExpression(granularity, date, timezone) {
+  if (granularity === "quarter") {
+    const quarter = { $ceil: { $divide: [{ $month: { date, timezone } }, 3] } };
+    return {
+      $concat: [
+        { $dateToString: { format: "%Y", date, timezone } },
+        "-Q",
+        { $toString: quarter },
+      ],
+    };
+  }
+  return {
+    $dateToString: { format: DATE_FORMATS[granularity], date, timezone },
+  };
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// Bucket labels and the calendar arithmetic to step from one to the next.
+// Dates here only carry calendar fields (read in UTC), so the buckets follow
+// the calendar of whatever time zone the labels were made in.
+function bucketStart(granularity, label) {
+  const [year, second = 1, day = 1, hour = 0] = label
+    .split(/[-TQW:]+/)
+    .map(Number);
+  switch (granularity) {
+    case "week": {
+      // ISO week 1 is the week with the year's first Thursday
+      const january4 = new Date(Date.UTC(year, 0, 4));
+      const monday = 4 - ((january4.getUTCDay() + 6) % 7);
+      return new Date(Date.UTC(year, 0, monday + (second - 1) * 7));
+    }
+    case "quarter":
+      return new Date(Date.UTC(year, (second - 1) * 3, 1));
+    default:
+      return new Date(Date.UTC(year, second - 1, day, hour));
+  }
+}
+
+function bucketLabel(granularity, date) {
+  const [year, month, day, hour] = [
+    date.getUTCFullYear(),
+    date.getUTCMonth() + 1,
+    date.getUTCDate(),
+    date.getUTCHours(),
+  ];
+  switch (granularity) {
+    case "hour":
+      return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:00`;
+    case "day":
+      return `${year}-${pad(month)}-${pad(day)}`;
+    case "week": {
+      const thursday = new Date(date);
+      thursday.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+      const weekYear = thursday.getUTCFullYear();
+      const week = Math.ceil(
+        ((thursday - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7
+      );
+      return `${weekYear}-W${pad(week)}`;
+    }
+    case "month":
+      return `${year}-${pad(month)}`;
+    case "quarter":
+      return `${year}-Q${Math.ceil(month / 3)}`;
+    default:
+      return String(year);
+  }
+}
+
+function nextBucket(granularity, date) {
+  const next = new Date(date);
+  switch (granularity) {
+    case "hour":
+      next.setUTCHours(next.getUTCHours() + 1);
+      break;
+    case "day":
+      next.setUTCDate(next.getUTCDate() + 1);
+      break;
+    case "week":
+      next.setUTCDate(next.getUTCDate() + 7);
+      break;
+    case "month":
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      break;
+    case "quarter":
+      next.setUTCMonth(next.getUTCMonth() + 3);
+      break;
+    default:
+      next.setUTCFullYear(next.getUTCFullYear() + 1);
+  }
+  return next;
+}
+
+// Adds a zero count for every bucket between the first and the last
+function fillBuckets(periods, granularity) {
+  if (periods.length < 2) return periods;
+  const counts = new Map(periods.map(({ period, count }) => [period, count]));
+  const last = periods[periods.length - 1].period;
+  const filled = [];
+  let date = bucketStart(granularity, periods[0].period);
+  for (;;) {
+    const period = bucketLabel(granularity, date);
+    filled.push({ period, count: counts.get(period) || 0 });
+    if (period >= last) return filled;
+    date = nextBucket(granularity, date);
+  }
+}
+
+function checkTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`Unknown time zone: ${timezone}`);
+  }
+}
+
+// Statement counts per hour, day, ISO week, month, quarter or year of their
+// timestamp (or stored time), oldest first, with buckets taken in an IANA
+// time zone. Dates may be stored as ISO strings or as BSON dates; values
+// that are not dates are left out. Buckets without statements between the
+// first and the last are filled with zero unless options.fill is false.
+async function statementsByDate(collection, match = {}, options = {}) {
+  const {
+    granularity = "day",
+    timezone = "UTC",
+    field = "timestamp",
+    fill = true,
+  } = options;
+  if (!(granularity in DATE_FORMATS)) {
+    throw new Error(
+      `granularity must be one of ${Object.keys(DATE_FORMATS).join(", ")}`
+    );
+  }
+  if (!DATE_FIELDS.includes(field)) {
+    throw new Error(`field must be one of ${DATE_FIELDS.join(", ")}`);
+  }
+  checkTimezone(timezone);
+
+  const periods = await collection
+    .aggregate([
+      { $match: match },
+      { $project: { _id: 0, date: dateExpression(field) } },
+      { $match: { date: { $ne: null } } },
+      {
+        $group: {
+          _id: bucketExpression(granularity, "$date", timezone),
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ])
+    .toArray();
+
+  const buckets = periods.map(({ _id, count }) => ({ period: _id, count }));
+  return fill ? fillBuckets(buckets, granularity) : buckets;
+}
+
+async function scaledScores(collection, match = {}) {
+  const documents = await collection
+    .find(
+      { $and: [match, { "result.score.scaled": { $type: "number" } }] },
+      { projection: { _id: 0, "result.score.scaled": 1 } }
+    )
+    .toArray();
+  return documents.map(({ result }) => result.score.scaled);
+}
+
+// Average, lowest and highest scaled score per activity, for statements
+// that have one
+async function averageScoreByActivity(collection, match = {}, limit = 0) {
+  const activities = await collection
+    .aggregate(
+      withLimit(
+        [
+          {
+            $match: {
+              $and: [match, { "result.score.scaled": { $type: "number" } }],
+            },
+          },
+          {
+            $group: {
+              _id: "$object.id",
+              name: { $first: "$object.definition.name" },
+              average: { $avg: "$result.score.scaled" },
+              min: { $min: "$result.score.scaled" },
+              max: { $max: "$result.score.scaled" },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        limit
+      )
+    )
+    .toArray();
+  return activities.map(({ _id, name, ...scores }) => ({
+    id: _id,
+    name: displayName(name, _id),
+    ...scores,
+  }));
+}
+
+const VERBS = "http://adlnet.gov/expapi/verbs/";
+const ATTEMPT_VERBS = ["launched", "initialized", "attempted"].map(
+  (verb) => VERBS + verb
+);
+const COMPLETION_VERBS = ["completed", "passed"].map((verb) => VERBS + verb);
+
+const verbIn = (verbs) => ({ $in: ["$verb.id", verbs] });
+const IS_COMPLETION = {
+  $or: [verbIn(COMPLETION_VERBS), { $eq: ["$result.completion", true] }],
+};
+const IS_PASS = {
+  $or: [verbIn([`${VERBS}passed`]), { $eq: ["$result.success", true] }],
+};
+const IS_FAIL = {
+  $or: [verbIn([`${VERBS}failed`]), { $eq: ["$result.success", false] }],
+};
+
+// Linear interpolation between closest ranks; values must be sorted
+function percentile(values, fraction) {
+  if (!values.length) return null;
+  const rank = (values.length - 1) * fraction;
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return values[low] + (values[high] - values[low]) * (rank - low);
+}
+
+const rate = (count, total) => (total ? count / total : null);
+
+// Funnel for an activity (typically a course) over the statements matching
+// `match`. A learner counts as having attempted it with any statement about
+// the activity or one of its children (statements with the activity as
+// context parent), whether or not it has a launched, initialized or
+// attempted verb. Completion, passing and failing are read from statements
+// about the activity itself: the completed, passed and failed verbs or
+// result.completion / result.success. Learners who failed and later passed
+// count as passed only. Time to complete runs from a learner's first
+// statement to their first completion, in milliseconds.
+async function activityFunnel(
+  collection,
+  match,
+  activityId,
+  aliases = new Map()
+) {
+  const scope = {
+    $and: [
+      match,
+      {
+        $or: [
+          { "object.id": activityId },
+          { "context.contextActivities.parent.id": activityId },
+        ],
+      },
+    ],
+  };
+  const own = { $eq: ["$object.id", activityId] };
+  const flag = (condition) => ({ $and: [own, condition] });
+
+  const groups = await collection
+    .aggregate([
+      { $match: scope },
+      {
+        $project: {
+          learner: ACTOR_KEY,
+          time: dateExpression("timestamp"),
+          launched: flag(verbIn(ATTEMPT_VERBS)),
+          completed: flag(IS_COMPLETION),
+          passed: flag(IS_PASS),
+          failed: flag(IS_FAIL),
+        },
+      },
+      {
+        $group: {
+          _id: "$learner",
+          firstSeen: { $min: "$time" },
+          firstCompleted: {
+            $min: { $cond: ["$completed", "$time", null] },
+          },
+          launched: { $max: "$launched" },
+          completed: { $max: "$completed" },
+          passed: { $max: "$passed" },
+          failed: { $max: "$failed" },
+        },
+      },
+    ])
+    .toArray();
+  const earliest = (a, b) => (a && (!b || a < b) ? a : b);
+  const learners = mergeByPerson(
+    groups
+      .filter(({ _id }) => _id)
+      .map(({ _id, ...learner }) => ({ key: _id, ...learner })),
+    aliases,
+    (learner, other) => ({
+      key: learner.key,
+      firstSeen: earliest(learner.firstSeen, other.firstSeen),
+      firstCompleted: earliest(learner.firstCompleted, other.firstCompleted),
+      launched: learner.launched || other.launched,
+      completed: learner.completed || other.completed,
+      passed: learner.passed || other.passed,
+      failed: learner.failed || other.failed,
+    })
+  );
+
+  const count = (predicate) => learners.filter(predicate).length;
+  const attempted = learners.length;
+  const launched = count((learner) => learner.launched);
+  const completed = count((learner) => learner.completed);
+  const passed = count((learner) => learner.passed);
+  const failed = count((learner) => learner.failed && !learner.passed);
+  const steps = [
+    { step: "attempted", learners: attempted, rate: null, overall: null },
+    { step: "completed", learners: completed, previous: attempted },
+    { step: "passed", learners: passed, previous: completed },
+    { step: "failed", learners: failed, previous: completed },
+  ].map(({ previous, ...step }) => ({
+    ...step,
+    rate: previous === undefined ? null : rate(step.learners, previous),
+    overall: rate(step.learners, attempted),
+  }));
+
+  const durations = learners
+    .filter(({ firstSeen, firstCompleted }) => firstSeen && firstCompleted)
+    .map(({ firstSeen, firstCompleted }) => firstCompleted - firstSeen)
+    .sort((a, b) => a - b);
+  const timeToComplete = {
+    learners: durations.length,
+    median: percentile(durations, 0.5),
+    p75: percentile(durations, 0.75),
+    p90: percentile(durations, 0.9),
+  };
+
+  // Children in the order most learners reach them, each with how many of
+  // the learners who attempted the parent got there and finished it
+  const visits = await collection
+    .aggregate([
+      {
+        $match: {
+          $and: [
+            match,
+            { "context.contextActivities.parent.id": activityId },
+            { "object.id": { $ne: activityId } },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: { child: "$object.id", learner: ACTOR_KEY },
+          name: { $first: "$object.definition.name" },
+          completed: { $max: IS_COMPLETION },
+        },
+      },
+    ])
+    .toArray();
+  const byChild = new Map();
+  visits
+    .filter(({ _id }) => _id.learner)
+    .forEach(({ _id, name, completed: done }) => {
+      if (!byChild.has(_id.child)) {
+        byChild.set(_id.child, { id: _id.child, name, people: new Map() });
+      }
+      const { people } = byChild.get(_id.child);
+      const person = canonicalKey(aliases, _id.learner);
+      people.set(person, Boolean(people.get(person) || done));
+    });
+  const children = [...byChild.values()]
+    .map(({ id, name, people }) => ({
+      id,
+      name,
+      reached: people.size,
+      completed: [...people.values()].filter(Boolean).length,
+    }))
+    .sort((a, b) => b.reached - a.reached || (a.id < b.id ? -1 : 1));
+
+  let previous = attempted;
+  return {
+    activity: activityId,
+    launched,
+    steps,
+    timeToComplete,
+    children: children.map(({ id, name, reached, completed: done }) => {
+      const child = {
+        id,
+        name: displayName(name, id),
+        reached,
+        completed: done,
+        reachedRate: rate(reached, attempted),
+        completionRate: rate(done, reached),
+        dropOff: previous - reached,
+      };
+      previous = reached;
+      return child;
+    }),
+  };
+}
+
+const INTERACTION_TYPE = "http://adlnet.gov/expapi/activities/cmi.interaction";
+const ANSWERED = `${VERBS}answered`;
+const FLAG_LIMITS = {
+  tooHard: 0.2,
+  tooEasy: 0.9,
+  lowDiscrimination: 0.2,
+  unusedDistractor: 0.05,
+  fewResponses: 10,
+};
+
+// Choices are compared as sets, everything else as written. Leading
+// {case_matters=...}, {order_matters=...} and {lang=...} modifiers are not
+// evaluated, only stripped.
+function isCorrectResponse(definition, response) {
+  const patterns = definition && definition.correctResponsesPattern;
+  if (!Array.isArray(patterns) || typeof response !== "string") return null;
+  const normalise = (value) => {
+    const parts = value.replace(/^(\{[^}]*\})+/, "").split("[,]");
+    if (definition.interactionType === "choice") parts.sort();
+    return parts.join("[,]");
+  };
+  return patterns.some((pattern) => normalise(pattern) === normalise(response));
+}
+
+const mean = (values) =>
+  values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+// Point-biserial correlation between answering correctly and total score
+function pointBiserial(answers) {
+  const totals = answers.map(({ total }) => total);
+  const average = mean(totals);
+  const deviation = Math.sqrt(mean(totals.map((t) => (t - average) ** 2)));
+  const right = answers.filter(({ correct }) => correct);
+  const wrong = answers.filter(({ correct }) => !correct);
+  if (!deviation || !right.length || !wrong.length) return null;
+  const p = right.length / answers.length;
+  return (
+    ((mean(right.map(({ total }) => total)) -
+      mean(wrong.map(({ total }) => total))) /
+      deviation) *
+    Math.sqrt(p * (1 - p))
+  );
+}
+
+function choiceAnalysis(definition, answers) {
+  const key = new Set(
+    (definition.correctResponsesPattern || [""])[0]
+      .replace(/^(\{[^}]*\})+/, "")
+      .split("[,]")
+  );
+  const keyTotals = answers
+    .filter(({ correct }) => correct)
+    .map(({ total }) => total);
+  return (definition.choices || []).map(({ id, description }) => {
+    const pickers = answers.filter(({ response }) =>
+      typeof response === "string" ? response.split("[,]").includes(id) : false
+    );
+    const choice = {
+      id,
+      description: displayName(description, id),
+      correct: key.has(id),
+      picked: pickers.length,
+      share: rate(pickers.length, answers.length),
+      meanScore: mean(pickers.map(({ total }) => total)),
+      flags: [],
+    };
+    if (!choice.correct) {
+      if (
+        choice.share !== null &&
+        choice.share < FLAG_LIMITS.unusedDistractor
+      ) {
+        choice.flags.push("rarely chosen");
+      }
+      if (
+        keyTotals.length &&
+        choice.meanScore !== null &&
+        choice.meanScore > mean(keyTotals)
+      ) {
+        choice.flags.push("chosen by stronger learners than the key");
+      }
+    }
+    return choice;
+  });
+}
+
+// Classical item analysis of answered cmi.interaction statements, optionally
+// only those whose context parent is assessmentId. Each learner's first
+// answer to each item counts; it is correct when result.success says so or,
+// without it, when the response matches the correctResponsesPattern. The
+// total score a learner is ranked by is their number of correct answers
+// over all items analysed.
+async function itemAnalysis(
+  collection,
+  match,
+  assessmentId,
+  aliases = new Map()
+) {
+  const conditions = [
+    match,
+    {
+      $or: [
+        { "verb.id": ANSWERED },
+        { "object.definition.type": INTERACTION_TYPE },
+      ],
+    },
+  ];
+  if (assessmentId) {
+    conditions.push({ "context.contextActivities.parent.id": assessmentId });
+  }
+  const cursor = collection
+    .find(
+      { $and: conditions },
+      {
+        projection: {
+          _id: 0,
+          actor: 1,
+          "object.id": 1,
+          "object.definition": 1,
+          "result.response": 1,
+          "result.success": 1,
+          timestamp: 1,
+        },
+      }
+    )
+    .sort({ timestamp: 1 });
+
+  const items = new Map();
+  for await (const { actor, object, result = {} } of cursor) {
+    if (!items.has(object.id)) {
+      items.set(object.id, { id: object.id, answers: new Map() });
+    }
+    const item = items.get(object.id);
+    if (
+      !item.definition &&
+      object.definition &&
+      object.definition.interactionType
+    ) {
+      item.definition = object.definition;
+    }
+    const learner = canonicalKey(aliases, actorKey(actor));
+    if (!learner) continue;
+    if (!item.answers.has(learner)) {
+      item.answers.set(learner, {
+        learner,
+        response: result.response,
+        success: result.success,
+      });
+    }
+  }
+
+  const totals = new Map();
+  items.forEach((item) => {
+    item.answers.forEach((answer) => {
+      answer.correct =
+        typeof answer.success === "boolean"
+          ? answer.success
+          : isCorrectResponse(item.definition, answer.response);
+      totals.set(
+        answer.learner,
+        (totals.get(answer.learner) || 0) + (answer.correct ? 1 : 0)
+      );
+    });
+  });
+
+  const analysed = [...items.values()].map(
+    ({ id, definition = {}, answers }) => {
+      const all = [...answers.values()].map((answer) => ({
+        ...answer,
+        total: totals.get(answer.learner),
+      }));
+      const keyed = all.filter(({ correct }) => correct !== null);
+      const distribution = new Map();
+      all.forEach(({ response }) => {
+        const value =
+          response === undefined ? "(no response)" : String(response);
+        distribution.set(value, (distribution.get(value) || 0) + 1);
+      });
+
+      const item = {
+        id,
+        name: displayName(definition.name || definition.description, id),
+        interactionType: definition.interactionType || null,
+        responses: all.length,
+        correct: keyed.filter(({ correct }) => correct).length,
+        difficulty: keyed.length
+          ? keyed.filter(({ correct }) => correct).length / keyed.length
+          : null,
+        discrimination: pointBiserial(keyed),
+        distribution: [...distribution.entries()]
+          .map(([response, count]) => ({
+            response,
+            count,
+            share: rate(count, all.length),
+          }))
+          .sort((a, b) => b.count - a.count),
+        choices:
+          definition.interactionType === "choice"
+            ? choiceAnalysis(definition, keyed)
+            : [],
+        flags: [],
+      };
+
+      if (item.difficulty === null) {
+        item.flags.push("no answer key");
+      } else if (item.difficulty < FLAG_LIMITS.tooHard) {
+        item.flags.push("too hard");
+      } else if (item.difficulty > FLAG_LIMITS.tooEasy) {
+        item.flags.push("too easy");
+      }
+      if (item.discrimination !== null && item.discrimination < 0) {
+        item.flags.push("negative discrimination (check the key)");
+      } else if (
+        item.discrimination !== null &&
+        item.discrimination < FLAG_LIMITS.lowDiscrimination
+      ) {
+        item.flags.push("low discrimination");
+      }
+      if (item.responses < FLAG_LIMITS.fewResponses) {
+        item.flags.push("few responses");
+      }
+      item.choices
+        .filter((choice) => choice.flags.length)
+        .forEach((choice) =>
+          item.flags.push(`distractor ${choice.id}: ${choice.flags.join(", ")}`)
+        );
+      return item;
+    }
+  );
+
+  return {
+    assessment: assessmentId || null,
+    learners: totals.size,
+    items: analysed,
+  };
+}
+
+module.exports = {
+  DATE_FORMATS,
+  DATE_FIELDS,
+  displayName,
+  lrsStats,
+  mostActiveActors,
+  verbUsage,
+  activityUsage,
+  statementsByDate,
+  scaledScores,
+  averageScoreByActivity,
+  activityFunnel,
+  FLAG_LIMITS,
+  itemAnalysis,
+};
@@ -0,0 +1,253 @@
+const crypto = require("crypto");
+const os = require("os");
+const { stableStringify } = require("./statements");
+const { actorKey, normalizeKey } = require("./identity");
+
+// Audit trail. Every command that changes data appends one entry to the
+// auditLog collection: who ran it, when, with which arguments, what it
+// touched and whether it succeeded. Entries are only ever inserted. With
+// chaining on, entries are numbered and each one carries the SHA-256 of the
+// one before it, so editing or deleting an entry breaks the chain. Removing
+// the newest entries can only be noticed by comparing with a head hash kept
+// somewhere else.
+//
+// Entries outlive erasures (privacy.js leaves them alone), so they never hold
+// a learner's identifier: learners are recorded as pseudonyms and statements
+// given inline as their count and ids. Writes through the xAPI endpoint
+// (`serve`) are recorded as well, under the user or LRS key that made them.
+
+const AUDIT_COLLECTION = "auditLog";
+const OUTCOMES = ["success", "failure", "cancelled"];
+const REDACTED = "********";
+const SENSITIVE = /secret|salt|password|token/i;
+const MAX_ARGUMENT_LENGTH = 2000;
+const CHAIN_ATTEMPTS = 5;
+
+// Actor keys as listed by `actors list`, email addresses and mailto: IRIs,
+// and the values of filter fields such as "actor.account.name"
+const ACTOR_KEY_TEXT = /^(mbox|mbox_sha1sum|openid|account):/;
+const EMAIL = /(mailto:)?[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+/g;
+const IFI_FIELD = /(^|\.)(mbox|mbox_sha1sum|openid|account)(\.|$)/;
+
+// A learner as recorded: the SHA-256 of their actor key (see identity.js).
+// Whoever knows the identifier can still find the entries about it.
+function learnerPseudonym(key) {
+  return `learner:${crypto.createHash("sha256").update(key).digest("hex")}`;
+}
+
+function emailPseudonym(address) {
+  return learnerPseudonym(
+    actorKey({
+      mbox: address.startsWith("mailto:") ? address : `mailto:${address}`,
+    })
+  );
+}
+
+function isAgent(value) {
+  return (
+    ["mbox", "mbox_sha1sum", "openid"].some(
+      (ifi) => typeof value[ifi] === "string"
+    ) || Boolean(value.account && typeof value.account.name === "string")
+  );
+}
+
+function isStatement(value) {
+  return Boolean(value && typeof value === "object" && value.verb);
+}
+
+function auditText(value) {
+  if (ACTOR_KEY_TEXT.test(value)) return learnerPseudonym(normalizeKey(value));
+  if (/^\s*[[{]/.test(value)) {
+    try {
+      return auditJson(JSON.parse(value));
+    } catch (error) {
+      // Not JSON after all; recorded as text
+    }
+  }
+  const text = value.replace(EMAIL, emailPseudonym);
+  if (text.length > MAX_ARGUMENT_LENGTH) {
+    return `${text.slice(0, MAX_ARGUMENT_LENGTH)}… (${text.length} characters)`;
+  }
+  return text;
+}
+
+// Statements given inline are recorded as their count and ids
+function auditJson(value) {
+  const statements = Array.isArray(value) ? value : [value];
+  if (statements.length && statements.every(isStatement)) {
+    return {
+      statements: statements.length,
+      ids: statements.map(({ id }) => id).filter(Boolean),
+    };
+  }
+  return auditArguments(value);
+}
+
+function pseudonymiseAll(value) {
+  if (typeof value === "string") {
+    return value.includes("@")
+      ? emailPseudonym(value)
+      : learnerPseudonym(value);
+  }
+  if (Array.isArray(value)) return value.map(pseudonymiseAll);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([name, item]) => [name, pseudonymiseAll(item)])
+    );
+  }
+  return value;
+}
+
+// Arguments as recorded: options that hold secrets are masked, learners are
+// pseudonymised, statements are reduced to their ids and long values are
+// cut short
+function auditArguments(value, key = "") {
+  if (value === undefined || value === null) return value;
+  if (SENSITIVE.test(key)) return REDACTED;
+  if (IFI_FIELD.test(key)) return pseudonymiseAll(value);
+  if (Array.isArray(value)) return value.map((item) => auditArguments(item));
+  if (typeof value === "object") {
+    if (isAgent(value)) return learnerPseudonym(actorKey(value));
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([name, item]) => [name, auditArguments(item, name)])
+    );
+  }
+  if (typeof value === "string") return auditText(value);
+  return value;
+}
+
+function entryHash(entry) {
+  const { _id, hash, ...content } = entry;
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(content))
+    .digest("hex");
+}
+
+// Appends an entry ({ user, command, arguments, options, affected, outcome,
+// error }) and returns it. Arguments, options, affected and error go through
+// auditArguments. Two writers that race for the same sequence number collide
+// on _id, and the loser chains onto the winner's entry instead.
+async function recordEntry(db, fields, { chain = false } = {}) {
+  if (!OUTCOMES.includes(fields.outcome)) {
+    throw new Error(`outcome must be one of ${OUTCOMES.join(", ")}`);
+  }
+  const collection = db.collection(AUDIT_COLLECTION);
+  // A round trip through JSON drops undefined values, which Mongo would
+  // store as null and so change the hash
+  const entry = JSON.parse(
+    JSON.stringify({
+      time: new Date().toISOString(),
+      host: os.hostname(),
+      ...fields,
+      arguments: auditArguments(fields.arguments),
+      options: auditArguments(fields.options),
+      affected: auditArguments(fields.affected),
+      error: auditArguments(fields.error),
+    })
+  );
+  if (!chain) {
+    await collection.insertOne(entry);
+    return entry;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const [last] = await collection
+      .find({ sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .limit(1)
+      .toArray();
+    const chained = {
+      ...entry,
+      sequence: last ? last.sequence + 1 : 1,
+      previousHash: last ? last.hash : null,
+    };
+    chained.hash = entryHash(chained);
+    try {
+      await collection.insertOne({ _id: chained.sequence, ...chained });
+      return chained;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= CHAIN_ATTEMPTS) throw error;
+    }
+  }
+}
+
+// filter: { user, command, since, until, outcome, limit }. command matches
+// the start of the command name, so "verbs" finds "verbs add" too. Newest
+// entries first.
+async function queryEntries(db, filter = {}) {
+  const query = {};
+  if (filter.user) query.user = filter.user;
+  if (filter.outcome) query.outcome = filter.outcome;
+  if (filter.command) {
+    const escaped = filter.command.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    query.command = { $regex: `^${escaped}(\\s|$)` };
+  }
+  ["since", "until"].forEach((key) => {
+    if (filter[key] && Number.isNaN(Date.parse(filter[key]))) {
+      throw new Error(`${key} must be an ISO 8601 timestamp`);
+    }
+  });
+  if (filter.since || filter.until) {
+    query.time = {};
+    if (filter.since) {
+      query.time.$gte = new Date(filter.since).toISOString();
+    }
+    if (filter.until) query.time.$lt = new Date(filter.until).toISOString();
+  }
+  const cursor = db
+    .collection(AUDIT_COLLECTION)
+    .find(query, { projection: { _id: 0 } })
+    .sort({ time: -1 });
+  return (filter.limit ? cursor.limit(filter.limit) : cursor).toArray();
+}
+
+// Walks the chained entries in order. Returns { valid, entries, head } or,
+// at the first entry that is missing, out of place or altered,
+// { valid: false, sequence, reason }.
+async function verifyChain(db) {
+  const cursor = db
+    .collection(AUDIT_COLLECTION)
+    .find({ sequence: { $exists: true } })
+    .sort({ sequence: 1 });
+  let expected = 1;
+  let previousHash = null;
+  for await (const entry of cursor) {
+    if (entry.sequence !== expected) {
+      return {
+        valid: false,
+        sequence: expected,
+        reason: `entry ${expected} is missing`,
+      };
+    }
+    if (entry.previousHash !== previousHash) {
+      return {
+        valid: false,
+        sequence: expected,
+        reason: `entry ${expected} does not follow entry ${expected - 1}`,
+      };
+    }
+    if (entryHash(entry) !== entry.hash) {
+      return {
+        valid: false,
+        sequence: expected,
+        reason: `entry ${expected} has been altered`,
+      };
+    }
+    previousHash = entry.hash;
+    expected += 1;
+  }
+  return { valid: true, entries: expected - 1, head: previousHash };
+}
+
+module.exports = {
+  AUDIT_COLLECTION,
+  REDACTED,
+  learnerPseudonym,
+  auditArguments,
+  recordEntry,
+  queryEntries,
+  verifyChain,
+};
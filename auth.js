@@ -1,22 +1,141 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const jwt = require("jsonwebtoken");
 const speakeasy = require("speakeasy");
 const QRCode = require("qrcode");
+const { requireSetting, userConfigPath } = require("./config");
 
-exports.generateToken = (userId) => {
-  return jwt.sign({ userId }, "yourSecretKey", { expiresIn: "1h" });
+// config is a loaded configuration (see config.js); tokens are signed with
+// its jwtSecret setting
+exports.generateToken = (userId, config) => {
+  return jwt.sign({ userId }, requireSetting(config, "jwtSecret"), {
+    expiresIn: "1h",
+  });
 };
 
-exports.verifyToken = (token) => {
+exports.verifyToken = (token, config) => {
+  const { jwtSecret } = config.values;
+  if (!jwtSecret) throw new Error("Bearer tokens are not accepted");
   try {
-    return jwt.verify(token, "yourSecretKey");
+    return jwt.verify(token, jwtSecret);
   } catch (err) {
     throw new Error("Token is not valid");
   }
 };
 
-exports.setup2FA = async () => {
-  const secret = speakeasy.generateSecret({ length: 20 });
+// A new TOTP secret for an authenticator app, with its QR code as an image
+// data URL and as text for the terminal
+exports.setup2FA = async (username) => {
+  const secret = speakeasy.generateSecret({
+    length: 20,
+    name: username ? `empress-cli (${username})` : "empress-cli",
+  });
   const imageUrl = await QRCode.toDataURL(secret.otpauth_url);
+  const terminalQRCode = await QRCode.toString(secret.otpauth_url, {
+    type: "terminal",
+    small: true,
+  });
 
-  return { secret: secret.base32, imageUrl };
+  return { secret: secret.base32, imageUrl, terminalQRCode };
+};
+
+// Accepts the codes of the previous, current and next 30-second steps to
+// allow for clock drift
+exports.verifyTotp = (secret, code) => {
+  return speakeasy.totp.verify({
+    secret,
+    encoding: "base32",
+    token: String(code).replace(/\s/g, ""),
+    window: 1,
+  });
+};
+
+// Tokens from `login` are kept per profile in ~/.empress/sessions, next to
+// the user config file, readable only by their owner
+exports.sessionPath = (home) => {
+  return path.join(path.dirname(userConfigPath(home)), "sessions");
+};
+
+const readSessions = () => {
+  const file = exports.sessionPath();
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    return {};
+  }
+};
+
+const writeSessions = (sessions) => {
+  const file = exports.sessionPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, `${JSON.stringify(sessions, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  // mode only applies when the file is created
+  fs.chmodSync(file, 0o600);
+};
+
+exports.saveSession = (config, token) => {
+  writeSessions({ ...readSessions(), [config.profile]: token });
+};
+
+exports.clearSession = (config) => {
+  const { [config.profile]: token, ...sessions } = readSessions();
+  if (token) writeSessions(sessions);
+  return Boolean(token);
+};
+
+// The payload ({ userId, iat, exp }) of the profile's session token, or null
+// when nobody is logged in or the token has expired
+exports.sessionUser = (config) => {
+  const token = readSessions()[config.profile];
+  if (!token || !config.values.jwtSecret) return null;
+  try {
+    return exports.verifyToken(token, config);
+  } catch (err) {
+    return null;
+  }
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Basic credentials for the statements API come from the lrsKey and
+// lrsSecret settings (LRS_KEY / LRS_SECRET) and have the xAPI scopes of
+// lrsScopes
+exports.verifyBasicCredentials = (key, secret, config) => {
+  const { lrsKey, lrsSecret, lrsScopes } = config.values;
+  if (!lrsKey || !lrsSecret) return null;
+  if (!safeEqual(key, lrsKey) || !safeEqual(secret, lrsSecret)) return null;
+  return { userId: key, scopes: lrsScopes };
+};
+
+// Resolves an Authorization header (Basic or Bearer JWT) to the caller, or
+// throws when the credentials are missing or wrong. Bearer tokens belong to
+// users, whose scopes come from their roles.
+exports.authenticateRequest = (header, config) => {
+  const [scheme, credentials] = (header || "").split(" ");
+
+  if (/^basic$/i.test(scheme) && credentials) {
+    const decoded = Buffer.from(credentials, "base64").toString("utf-8");
+    const separator = decoded.indexOf(":");
+    const principal = exports.verifyBasicCredentials(
+      decoded.slice(0, separator),
+      decoded.slice(separator + 1),
+      config
+    );
+    if (separator !== -1 && principal) return principal;
+    throw new Error("Invalid credentials");
+  }
+
+  if (/^bearer$/i.test(scheme) && credentials) {
+    return exports.verifyToken(credentials, config);
+  }
+
+  throw new Error("Authorization is required");
 };
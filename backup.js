@@ -0,0 +1,342 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const readline = require("readline");
+const { Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { BSON } = require("mongodb");
+const { applyVoiding } = require("./statements");
+
+// In-process backup and restore. A backup is a single tar archive holding a
+// manifest.json followed by one gzip-compressed Extended JSON (NDJSON) file
+// per collection. The manifest records each file's document count and sha256
+// so an archive can be verified before anything is restored from it.
+
+const { EJSON } = BSON;
+const BACKUP_FORMAT = "empress-backup";
+const BACKUP_VERSION = 1;
+const BLOCK_SIZE = 512;
+const RESTORE_BATCH_SIZE = 1000;
+
+// Tar ------------------------------------------------------------------------
+
+function tarHeader(name, size) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const field = (value, offset, length) =>
+    header.write(value, offset, length, "utf-8");
+  const octal = (value, length) =>
+    `${value.toString(8).padStart(length - 1, "0")}\0`;
+
+  field(name, 0, 100);
+  field(octal(0o644, 8), 100, 8);
+  field(octal(0, 8), 108, 8);
+  field(octal(0, 8), 116, 8);
+  field(octal(size, 12), 124, 12);
+  field(octal(Math.floor(Date.now() / 1000), 12), 136, 12);
+  field("        ", 148, 8);
+  field("0", 156, 1);
+  field("ustar\0", 257, 6);
+  field("00", 263, 2);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  field(`${checksum.toString(8).padStart(6, "0")}\0 `, 148, 8);
+  return header;
+}
+
+function padding(size) {
+  return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+async function* tarChunks(entries) {
+  for (const { name, size, open } of entries) {
+    yield tarHeader(name, size);
+    for await (const chunk of open()) yield chunk;
+    yield padding(size);
+  }
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+// Lists the entries of a tar archive as { name, offset, size } where offset
+// is the position of the entry's content in the file.
+async function readEntries(archivePath) {
+  const handle = await fs.promises.open(archivePath, "r");
+  try {
+    const entries = [];
+    const header = Buffer.alloc(BLOCK_SIZE);
+    let position = 0;
+    for (;;) {
+      const { bytesRead } = await handle.read(header, 0, BLOCK_SIZE, position);
+      if (bytesRead < BLOCK_SIZE || header.every((byte) => byte === 0)) break;
+
+      const text = (offset, length) =>
+        header
+          .toString("utf-8", offset, offset + length)
+          .replace(/\0.*$/s, "")
+          .trim();
+      const expected = parseInt(text(148, 8), 8);
+      const actual = header.reduce(
+        (sum, byte, index) => sum + (index >= 148 && index < 156 ? 32 : byte),
+        0
+      );
+      if (expected !== actual) {
+        throw new Error(`${archivePath} is not a valid backup archive`);
+      }
+
+      const size = parseInt(text(124, 12), 8);
+      entries.push({ name: text(0, 100), offset: position + BLOCK_SIZE, size });
+      position += BLOCK_SIZE + size + padding(size).length;
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+function entryStream(archivePath, entry) {
+  return entry.size
+    ? fs.createReadStream(archivePath, {
+        start: entry.offset,
+        end: entry.offset + entry.size - 1,
+      })
+    : Readable.from([]);
+}
+
+// Backup -----------------------------------------------------------------------
+
+function hashing(hash, counter) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      counter.bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+}
+
+async function dumpCollection(collection, filter, file) {
+  const hash = crypto.createHash("sha256");
+  const counter = { documents: 0, bytes: 0 };
+
+  async function* lines() {
+    for await (const document of collection.find(filter).sort({ _id: 1 })) {
+      counter.documents++;
+      yield `${EJSON.stringify(document, { relaxed: false })}\n`;
+    }
+  }
+
+  await pipeline(
+    Readable.from(lines()),
+    zlib.createGzip(),
+    hashing(hash, counter),
+    fs.createWriteStream(file)
+  );
+  return {
+    count: counter.documents,
+    bytes: counter.bytes,
+    sha256: hash.digest("hex"),
+  };
+}
+
+// Writes a backup of the given collections ({ role: collectionName }) to
+// archivePath. With options.since only statements written to this database
+// after that time are included (verbs and activity types are always copied
+// in full); the manifest's "until" is the starting point for the next
+// incremental backup. Statements copied from another LRS keep their own
+// stored time, so the local "_received" time decides, and stored only for
+// statements written before "_received" was kept.
+async function createBackup(db, archivePath, collections, options = {}) {
+  const until = new Date().toISOString();
+  const since = options.since ? new Date(options.since).toISOString() : null;
+  const workDir = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), "empress-backup-")
+  );
+
+  try {
+    const files = [];
+    for (const [role, name] of Object.entries(collections)) {
+      const window = { $gt: since, $lte: until };
+      const filter =
+        role === "statements" && since
+          ? {
+              $or: [
+                { _received: window },
+                { _received: { $exists: false }, stored: window },
+              ],
+            }
+          : {};
+      const file = `${role}.ndjson.gz`;
+      const temporary = path.join(workDir, file);
+      const summary = await dumpCollection(
+        db.collection(name),
+        filter,
+        temporary
+      );
+      files.push({ role, collection: name, file, temporary, ...summary });
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      created: until,
+      database: db.databaseName,
+      since,
+      until,
+      collections: files.map(({ temporary, ...entry }) => entry),
+    };
+    const manifestBuffer = Buffer.from(JSON.stringify(manifest, null, 2));
+
+    const partial = `${archivePath}.partial`;
+    await pipeline(
+      Readable.from(
+        tarChunks([
+          {
+            name: "manifest.json",
+            size: manifestBuffer.length,
+            open: () => [manifestBuffer],
+          },
+          ...files.map(({ file, temporary, bytes }) => ({
+            name: file,
+            size: bytes,
+            open: () => fs.createReadStream(temporary),
+          })),
+        ])
+      ),
+      fs.createWriteStream(partial)
+    );
+    await fs.promises.rename(partial, archivePath);
+    return manifest;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Restore ----------------------------------------------------------------------
+
+async function readManifest(archivePath) {
+  const entries = await readEntries(archivePath);
+  const [first] = entries;
+  if (!first || first.name !== "manifest.json") {
+    throw new Error(`${archivePath} has no manifest`);
+  }
+
+  const chunks = [];
+  for await (const chunk of entryStream(archivePath, first)) chunks.push(chunk);
+  const manifest = JSON.parse(Buffer.concat(chunks).toString("utf-8"));
+  if (manifest.format !== BACKUP_FORMAT || manifest.version > BACKUP_VERSION) {
+    throw new Error(`${archivePath} is not a supported backup archive`);
+  }
+  return { manifest, entries };
+}
+
+// Yields the documents of one collection file in the archive
+async function* readDocuments(archivePath, entry) {
+  const lines = readline.createInterface({
+    input: entryStream(archivePath, entry).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    if (line) yield EJSON.parse(line, { relaxed: false });
+  }
+}
+
+// Checks every collection file against the manifest: checksum, that it
+// decompresses and parses, and the document count. Returns the problems
+// found, an empty list for an intact archive.
+async function verifyBackup(archivePath) {
+  const { manifest, entries } = await readManifest(archivePath);
+  const problems = [];
+
+  for (const expected of manifest.collections) {
+    const entry = entries.find(({ name }) => name === expected.file);
+    if (!entry) {
+      problems.push(`${expected.file} is missing`);
+      continue;
+    }
+
+    const hash = crypto.createHash("sha256");
+    for await (const chunk of entryStream(archivePath, entry)) {
+      hash.update(chunk);
+    }
+    if (hash.digest("hex") !== expected.sha256) {
+      problems.push(`${expected.file} does not match its checksum`);
+      continue;
+    }
+
+    let count = 0;
+    try {
+      for await (const document of readDocuments(archivePath, entry)) {
+        if (document) count++;
+      }
+    } catch (error) {
+      problems.push(`${expected.file} is unreadable: ${error.message}`);
+      continue;
+    }
+    if (count !== expected.count) {
+      problems.push(
+        `${expected.file} holds ${count} documents, the manifest says ${expected.count}`
+      );
+    }
+  }
+
+  return { manifest, problems };
+}
+
+async function restoreBatch(collection, role, documents) {
+  // Statements are immutable, so one that is already stored is left alone.
+  // Statements stored before ids were assigned are matched by _id instead.
+  const operations = documents.map((document) =>
+    role === "statements"
+      ? {
+          updateOne: {
+            filter: document.id ? { id: document.id } : { _id: document._id },
+            update: { $setOnInsert: document },
+            upsert: true,
+          },
+        }
+      : {
+          replaceOne: {
+            filter: { _id: document._id },
+            replacement: document,
+            upsert: true,
+          },
+        }
+  );
+  const result = await collection.bulkWrite(operations, { ordered: false });
+  if (role === "statements") await applyVoiding(collection, documents);
+  return result.upsertedCount;
+}
+
+// Restores the archive into db, mapping each role in the manifest to a
+// collection name through `collections`. Returns per-role counts of the
+// documents read and newly inserted.
+async function restoreBackup(db, archivePath, collections) {
+  const { manifest, entries } = await readManifest(archivePath);
+  const restored = {};
+
+  for (const { role, file } of manifest.collections) {
+    const entry = entries.find(({ name }) => name === file);
+    if (!entry) throw new Error(`${file} is missing from ${archivePath}`);
+    const collection = db.collection(collections[role] || role);
+
+    const counts = { read: 0, inserted: 0 };
+    let batch = [];
+    for await (const document of readDocuments(archivePath, entry)) {
+      batch.push(document);
+      counts.read++;
+      if (batch.length === RESTORE_BATCH_SIZE) {
+        counts.inserted += await restoreBatch(collection, role, batch);
+        batch = [];
+      }
+    }
+    if (batch.length) {
+      counts.inserted += await restoreBatch(collection, role, batch);
+    }
+    restored[role] = counts;
+  }
+
+  return { manifest, restored };
+}
+
+module.exports = { createBackup, readManifest, verifyBackup, restoreBackup };
@@ -0,0 +1,216 @@
+// Text charts for the terminal: horizontal bars, sparklines, line charts and
+// histograms, plus a plain table for output that is not a terminal. Every
+// function returns a string sized to `width` (the terminal width by default).
+
+const PARTIAL_BLOCKS = ["", "▏", "▎", "▍", "▌", "▋", "▊", "▉"];
+const SPARKS = "▁▂▃▄▅▆▇█";
+
+function terminalWidth(stream = process.stdout) {
+  return Math.max(stream.columns || 80, 40);
+}
+
+function truncate(text, width) {
+  const value = String(text);
+  return value.length > width ? `${value.slice(0, width - 1)}…` : value;
+}
+
+function formatNumber(value) {
+  if (value === null || value === undefined || Number.isNaN(value)) return "";
+  return Number.isInteger(value)
+    ? value.toLocaleString("en-US")
+    : value.toFixed(2).replace(/\.?0+$/, "");
+}
+
+function bar(value, max, width) {
+  const eighths =
+    max > 0 ? Math.round((Math.max(value, 0) / max) * width * 8) : 0;
+  return `${"█".repeat(Math.floor(eighths / 8))}${PARTIAL_BLOCKS[eighths % 8]}`;
+}
+
+// rows: [{ label, value }]
+function barChart(rows, { width = terminalWidth(), title } = {}) {
+  const lines = title ? [title] : [];
+  if (!rows.length) return [...lines, "(no data)"].join("\n");
+
+  const values = rows.map(({ value }) => formatNumber(value));
+  const labelWidth = Math.min(
+    Math.max(...rows.map(({ label }) => String(label).length)),
+    Math.floor(width * 0.4)
+  );
+  const valueWidth = Math.max(...values.map((value) => value.length));
+  const barWidth = Math.max(width - labelWidth - valueWidth - 4, 1);
+  const max = Math.max(...rows.map(({ value }) => value));
+
+  rows.forEach(({ label, value }, index) => {
+    lines.push(
+      `${truncate(label, labelWidth).padEnd(labelWidth)} │${bar(
+        value,
+        max,
+        barWidth
+      ).padEnd(barWidth)} ${values[index].padStart(valueWidth)}`
+    );
+  });
+  return lines.join("\n");
+}
+
+// Missing values (null) are left blank
+function sparkline(values) {
+  const present = values.filter((value) => value !== null);
+  if (!present.length) return "";
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+  return values
+    .map((value) => {
+      if (value === null) return " ";
+      const level =
+        max === min
+          ? SPARKS.length - 1
+          : Math.round(((value - min) / (max - min)) * (SPARKS.length - 1));
+      return SPARKS[level];
+    })
+    .join("");
+}
+
+// Averages consecutive values so a series fits in `columns` columns
+function resample(points, columns) {
+  if (points.length <= columns) return points;
+  return Array.from({ length: columns }, (_, column) => {
+    const start = Math.floor((column * points.length) / columns);
+    const end = Math.floor(((column + 1) * points.length) / columns);
+    const slice = points.slice(start, Math.max(end, start + 1));
+    const values = slice
+      .map(({ value }) => value)
+      .filter((value) => value !== null);
+    return {
+      label: slice[0].label,
+      value: values.length
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : null,
+    };
+  });
+}
+
+// points: [{ label, value }] in order along the x axis
+function lineChart(
+  points,
+  { width = terminalWidth(), height = 10, title } = {}
+) {
+  const lines = title ? [title] : [];
+  const present = points.filter(({ value }) => value !== null);
+  if (!present.length) return [...lines, "(no data)"].join("\n");
+
+  const min = Math.min(...present.map(({ value }) => value));
+  const max = Math.max(...present.map(({ value }) => value));
+  const axisWidth = Math.max(
+    formatNumber(min).length,
+    formatNumber(max).length
+  );
+  const series = resample(points, Math.max(width - axisWidth - 2, 1));
+  const rowOf = (value) =>
+    max === min ? 0 : Math.round(((value - min) / (max - min)) * (height - 1));
+
+  const grid = Array.from({ length: height }, () =>
+    Array(series.length).fill(" ")
+  );
+  let previous = null;
+  series.forEach(({ value }, column) => {
+    if (value === null) {
+      previous = null;
+      return;
+    }
+    const row = rowOf(value);
+    if (previous !== null) {
+      const [low, high] = [Math.min(previous, row), Math.max(previous, row)];
+      for (let fill = low + 1; fill < high; fill++) {
+        grid[fill][column] = "│";
+      }
+    }
+    grid[row][column] = "●";
+    previous = row;
+  });
+
+  for (let row = height - 1; row >= 0; row--) {
+    let label = "";
+    if (row === height - 1) label = formatNumber(max);
+    if (row === 0) label = formatNumber(min);
+    lines.push(`${label.padStart(axisWidth)} ┤${grid[row].join("")}`);
+  }
+  lines.push(`${" ".repeat(axisWidth)} └${"─".repeat(series.length)}`);
+
+  const first = String(series[0].label);
+  const last = String(series[series.length - 1].label);
+  const gap = series.length - first.length - last.length;
+  lines.push(
+    `${" ".repeat(axisWidth + 2)}${
+      gap > 0 ? `${first}${" ".repeat(gap)}${last}` : first
+    }`
+  );
+  return lines.join("\n");
+}
+
+// Counts values into `bins` equal-width buckets between min and max
+function histogramBuckets(values, { bins = 10, min, max } = {}) {
+  if (!values.length) return [];
+  const low = min === undefined ? Math.min(...values) : min;
+  const high = max === undefined ? Math.max(...values) : max;
+  const size = (high - low) / bins || 1;
+
+  const buckets = Array.from({ length: bins }, (_, index) => ({
+    from: low + index * size,
+    to: index === bins - 1 ? high : low + (index + 1) * size,
+    count: 0,
+  }));
+  values
+    .filter((value) => value >= low && value <= high)
+    .forEach((value) => {
+      const index = Math.min(Math.floor((value - low) / size), bins - 1);
+      buckets[index].count++;
+    });
+  return buckets;
+}
+
+function histogram(values, options = {}) {
+  const buckets = histogramBuckets(values, options);
+  return barChart(
+    buckets.map(({ from, to, count }, index) => ({
+      label: `[${formatNumber(from)}, ${formatNumber(to)}${
+        index === buckets.length - 1 ? "]" : ")"
+      }`,
+      value: count,
+    })),
+    options
+  );
+}
+
+// rows: array of objects; columns: [{ key, header }]
+function table(rows, columns) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return "";
+    if (typeof value === "number" && !Number.isInteger(value)) {
+      return String(Number(value.toFixed(4)));
+    }
+    return String(value);
+  };
+  const widths = columns.map(({ key, header }) =>
+    Math.max(header.length, ...rows.map((row) => cell(row[key]).length))
+  );
+  const line = (cells) =>
+    cells
+      .map((value, index) => value.padEnd(widths[index]))
+      .join("  ")
+      .trimEnd();
+  return [
+    line(columns.map(({ header }) => header)),
+    ...rows.map((row) => line(columns.map(({ key }) => cell(row[key])))),
+  ].join("\n");
+}
+
+module.exports = {
+  terminalWidth,
+  barChart,
+  sparkline,
+  lineChart,
+  histogramBuckets,
+  histogram,
+  table,
+};
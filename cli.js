@@ -1,46 +1,56 @@
 #!/usr/bin/env node
 
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
 const { MongoClient } = require("mongodb");
-const { program } = require("commander");
+const { program, InvalidArgumentError } = require("commander");
 const winston = require("winston");
-const Ajv = require("ajv");
 const inquirer = require("inquirer");
-const { Parser } = require("json2csv");
+const { validateStatement, formatValidationErrors } = require("./validation");
+const profiles = require("./profiles");
+const {
+  storeStatements,
+  summarizeResults,
+  voidingStatement,
+  statementTemplate,
+  excludeVoided,
+  NOT_VOIDED,
+} = require("./statements");
+const { createApp } = require("./server");
+const { importFile } = require("./importer");
+const exporter = require("./exporter");
+const backup = require("./backup");
+const charts = require("./charts");
+const analytics = require("./analytics");
+const identity = require("./identity");
+const { renderReport } = require("./report");
+const privacy = require("./privacy");
+const vocabulary = require("./vocabulary");
+const activities = require("./activities");
+const { parseManifest } = require("./manifest");
+const replication = require("./replication");
+const { createLrsClient } = require("./remote");
+const {
+  buildStatementQuery,
+  normalizeQueryParams,
+  encodeContinuation,
+  decodeContinuation,
+  statementCursor,
+  formatStatement,
+  pickLanguage,
+} = require("./query");
+const documents = require("./documents");
+const config = require("./config");
+const auth = require("./auth");
+const users = require("./users");
+const permissions = require("./permissions");
+const auditTrail = require("./audit");
 // const omelette = require("omelette");
 // const completion = omelette("empress-cli");
-require("dotenv").config();
-
-// Initialize AJV and specify xAPI schema
-const xAPISchema = {
-  type: "object",
-  properties: {
-    actor: {
-      type: "object",
-      properties: {
-        name: { type: "string" },
-        mbox: { type: "string" },
-      },
-      required: ["name", "mbox"],
-    },
-    verb: {
-      type: "object",
-      properties: {
-        id: { type: "string" },
-        display: { type: "object" },
-      },
-      required: ["id", "display"],
-    },
-    object: {
-      type: "object",
-    },
-  },
-  required: ["actor", "verb", "object"],
-};
-
-const ajv = new Ajv();
-const validate = ajv.compile(xAPISchema);
 
-// Initialize Winston logger
+// Initialize Winston logger; the level is set from the configuration once
+// the command line has been parsed
 const logger = winston.createLogger({
   level: "info",
   format: winston.format.json(),
@@ -50,444 +60,2252 @@ const logger = winston.createLogger({
   ],
 });
 
-// Environment Variables
-const uri = process.env.MONGO_URI;
-const dbName = process.env.DB_NAME;
-const collectionName = process.env.COLLECTION_NAME;
+// Settings for the selected profile (see config.js), resolved by configure
+// before any command runs
+let settings;
+let dbName;
+let collectionName;
+let client;
+// Token payload of the user logged in with `login`, or null
+let session = null;
+// The command being run, as recorded in the audit trail
+let invocation = {};
+
+function configure(options = {}, { newProfile = false } = {}) {
+  try {
+    settings = config.loadConfig({
+      profile: options.profile,
+      newProfile,
+      flags: {
+        uri: options.uri,
+        database: options.db,
+        collection: options.collection,
+        logLevel: options.logLevel,
+      },
+    });
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+  ({ database: dbName, collection: collectionName } = settings.values);
+  logger.level = settings.values.logLevel;
+  client = settings.values.uri ? new MongoClient(settings.values.uri) : null;
+  session = auth.sessionUser(settings);
+  if (session) logger.defaultMeta = { user: session.userId };
+}
+
+function currentUser() {
+  return session ? session.userId : null;
+}
+
+// "create", or "user add" for a subcommand
+function commandName(actionCommand) {
+  const { parent } = actionCommand;
+  return parent === program
+    ? actionCommand.name()
+    : `${parent.name()} ${actionCommand.name()}`;
+}
+
+// Commands that use the database declare the permission they need (see
+// permissions.js) with .hook("preAction", requires(permission)). Until some
+// user has the admin role everything is refused but the bootstrap command
+// that adds the first admin.
+function requires(permission, { bootstrap = false } = {}) {
+  return async (thisCommand, actionCommand) => {
+    const name = commandName(actionCommand);
+    await connect();
+    try {
+      await users.authorize(client.db(dbName), currentUser(), permission, {
+        bootstrap,
+      });
+    } catch (error) {
+      logger.error(`Cannot run ${name}: ${error.message}`);
+      await client.close();
+      process.exit(1);
+    }
+  };
+}
+
+// Secret settings sign session tokens and receipts, so changing one needs
+// permission: whoever sets jwtSecret can sign a session for any user. Other
+// settings need no database and no permission.
+function requiresForSecrets(permission) {
+  const check = requires(permission);
+  return (thisCommand, actionCommand) => {
+    const setting = config.SETTINGS[actionCommand.args[0]];
+    return setting && setting.secret
+      ? check(thisCommand, actionCommand)
+      : undefined;
+  };
+}
+
+// MongoClient#connect is a no-op when the client is already connected
+async function connect() {
+  try {
+    ["uri", "database", "collection"].forEach((name) =>
+      config.requireSetting(settings, name)
+    );
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+  try {
+    await client.connect();
+  } catch (error) {
+    logger.error("Could not connect to MongoDB:", error);
+    process.exit(1);
+  }
+}
+
+async function disconnect() {
+  if (client) await client.close();
+}
+
+// Authority stamped on statements written from this machine: the logged-in
+// user, or else the operating system user
+function localAuthority() {
+  return {
+    objectType: "Agent",
+    account: {
+      homePage: settings.values.homePage,
+      name: currentUser() || os.userInfo().username,
+    },
+  };
+}
+
+// Appends an entry for the command being run to the audit trail (see
+// audit.js). outcome is "success", "failure" or "cancelled"; details add
+// what was affected or the error. By the time this runs the change has been
+// made, so an entry that cannot be written fails the command's exit code
+// but not the command.
+async function recordAudit(outcome, details = {}) {
+  try {
+    await client.connect();
+    await auditTrail.recordEntry(
+      client.db(dbName),
+      {
+        user: localAuthority().account.name,
+        loggedIn: Boolean(session),
+        profile: settings.profile,
+        database: dbName,
+        ...invocation,
+        outcome,
+        ...details,
+      },
+      { chain: settings.values.auditChain }
+    );
+  } catch (error) {
+    logger.error("Could not write the audit entry:", error);
+    process.exitCode = 1;
+  }
+}
+
+function logStoreResults(results) {
+  results
+    .filter(({ status }) => status !== "stored")
+    .forEach(({ index, id, status, errors }) => {
+      const message = `Statement ${index}${id ? ` (${id})` : ""} ${status}`;
+      if (status === "skipped") {
+        logger.info(`${message}: an equivalent statement is already stored`);
+      } else {
+        logger.warn(`${message}: ${formatValidationErrors(errors)}`);
+      }
+    });
+
+  const summary = summarizeResults(results);
+  logger.info(
+    `${summary.stored} stored, ${summary.skipped} skipped, ${summary.conflict} conflicting, ${summary.invalid} invalid`
+  );
+}
+
+// The registry applied to statements written from the CLI: missing verb
+// displays are filled in, and with --strict or the vocabularyStrict setting
+// unregistered verbs and activity types are rejected
+function loadWriteVocabulary(db, options = {}) {
+  return vocabulary.loadVocabulary(db, {
+    strict: Boolean(options.strict) || settings.values.vocabularyStrict,
+  });
+}
+
+async function createRecord(data, options = {}) {
+  try {
+    await connect();
+    const db = client.db(dbName);
+    const collection = db.collection(collectionName);
+
+    const [result] = await storeStatements(collection, [data], {
+      authority: localAuthority(),
+      vocabulary: await loadWriteVocabulary(db, options),
+      activities: db.collection(activities.ACTIVITY_COLLECTION),
+    });
+    if (result.status === "invalid") {
+      throw new Error(
+        `Validation failed: ${formatValidationErrors(result.errors)}`
+      );
+    }
+    if (result.status === "conflict") {
+      throw new Error(
+        `Statement ${result.id} conflicts with an existing statement`
+      );
+    }
+
+    logger.info(
+      result.status === "skipped"
+        ? `Statement ${result.id} is already stored`
+        : `Record created successfully: ${result.id}`
+    );
+    await recordAudit("success", {
+      affected: { statements: [result.id], status: result.status },
+    });
+    return result;
+  } catch (error) {
+    logger.error("Error while creating record:", error);
+    await recordAudit("failure", { error: error.message });
+  }
+}
+
+const QUERY_PAGE_SIZE = 100;
+
+// Streams statements matching the xAPI query flags as one JSON statement per
+// line, a page at a time. A Mongo filter, when given, narrows the query
+// further. Without --all the continuation token for the next page is written
+// to stderr.
+async function queryRecords(filter, options = {}) {
+  try {
+    await connect();
+    const collection = client.db(dbName).collection(collectionName);
+
+    let params;
+    let after;
+    if (options.more) {
+      ({ params, after } = decodeContinuation(options.more, {
+        allowFilter: true,
+      }));
+    } else {
+      params = normalizeQueryParams(statementFilterParams(options));
+      if (filter) params.filter = JSON.parse(filter);
+    }
+    const pageSize = params.limit || QUERY_PAGE_SIZE;
+    const languages = options.lang ? options.lang.split(",") : [];
+
+    let count = 0;
+    let more;
+    do {
+      const cursor = statementCursor(collection, params, {
+        after,
+        filter: params.filter,
+        limit: pageSize + 1,
+      });
+      let pageCount = 0;
+      more = false;
+      for await (const document of cursor) {
+        if (pageCount === pageSize) {
+          more = true;
+          break;
+        }
+        const statement = formatStatement(document, params.format, languages);
+        console.log(JSON.stringify(statement));
+        after = { stored: document.stored, _id: document._id };
+        pageCount++;
+      }
+      await cursor.close();
+      count += pageCount;
+    } while (options.all && more);
+
+    if (more) {
+      console.error(
+        `More statements: empress-cli query --more ${encodeContinuation(
+          params,
+          after
+        )}`
+      );
+    }
+    return count;
+  } catch (error) {
+    logger.error("Error while querying records:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+// The xAPI statement filters shared by query, push and pull
+function addStatementFilterOptions(command) {
+  return command
+    .option("--agent <agent>", "Agent or Identified Group as JSON")
+    .option("--verb <verbId>", "Verb id")
+    .option("--activity <activityId>", "Activity id")
+    .option("--registration <registration>", "Registration UUID")
+    .option("--since <timestamp>", "Only statements stored after this time")
+    .option(
+      "--until <timestamp>",
+      "Only statements stored at or before this time"
+    )
+    .option(
+      "--related-activities",
+      "Match --activity in context activities and sub-statements too"
+    )
+    .option(
+      "--related-agents",
+      "Match --agent in authority, context and sub-statements too"
+    );
+}
+
+function statementFilterParams(options) {
+  return {
+    ...options,
+    related_activities: options.relatedActivities,
+    related_agents: options.relatedAgents,
+  };
+}
+
+function remoteLrs(endpoint, options) {
+  return createLrsClient({
+    endpoint,
+    username: options.username || settings.values.remoteUsername,
+    password: options.password || settings.values.remotePassword,
+    token: options.token,
+    retries: Number(options.retries),
+  });
+}
+
+async function pushToLrs(endpoint, options = {}) {
+  try {
+    const params = normalizeQueryParams(statementFilterParams(options));
+    const lrs = remoteLrs(endpoint, options);
+
+    await connect();
+    const summary = await replication.pushStatements(
+      client.db(dbName),
+      collectionName,
+      lrs,
+      params,
+      {
+        batchSize: Number(options.batchSize),
+        restart: options.restart,
+        onBatch: ({ accepted, conflict, failed }) =>
+          process.stderr.write(
+            `${accepted} accepted, ${conflict} conflicting, ${failed} failed\n`
+          ),
+      }
+    );
+
+    summary.rejected.forEach(({ id, status, error }) =>
+      logger.warn(`Statement ${id} ${status}: ${error}`)
+    );
+    logger.info(
+      `Pushed to ${lrs.endpoint}: ${summary.accepted} accepted, ${summary.conflict} conflicting, ${summary.failed} failed`
+    );
+    if (summary.error) {
+      logger.error(`Push stopped early: ${summary.error}`);
+    }
+    return summary;
+  } catch (error) {
+    logger.error("Error pushing statements:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+async function pullFromLrs(endpoint, options = {}) {
+  try {
+    const params = normalizeQueryParams(statementFilterParams(options));
+    const lrs = remoteLrs(endpoint, options);
+
+    await connect();
+    const summary = await replication.pullStatements(
+      client.db(dbName),
+      collectionName,
+      lrs,
+      params,
+      {
+        authority: localAuthority(),
+        keepStored: options.keepStored,
+        keepAuthority: options.keepAuthority,
+        pageSize: options.pageSize && Number(options.pageSize),
+        restart: options.restart,
+        onPage: ({ pages, stored, skipped }) =>
+          process.stderr.write(
+            `${pages} pages, ${stored} stored, ${skipped} skipped\n`
+          ),
+      }
+    );
+
+    summary.rejected.forEach(({ id, status, errors }) =>
+      logger.warn(
+        `Statement ${id} ${status}: ${formatValidationErrors(errors)}`
+      )
+    );
+    logger.info(
+      `Pulled from ${lrs.endpoint}: ${summary.stored} stored, ${summary.skipped} skipped, ${summary.conflict} conflicting, ${summary.invalid} invalid`
+    );
+    if (summary.error) {
+      logger.error(`Pull stopped early: ${summary.error}`);
+    }
+    await recordAudit(summary.error ? "failure" : "success", {
+      affected: {
+        stored: summary.stored,
+        skipped: summary.skipped,
+        conflict: summary.conflict,
+        invalid: summary.invalid,
+      },
+      error: summary.error,
+    });
+    return summary;
+  } catch (error) {
+    logger.error("Error pulling statements:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+async function voidStatement(statementId) {
+  try {
+    await connect();
+    const db = client.db(dbName);
+    const collection = db.collection(collectionName);
+
+    const target = await collection.findOne({ id: statementId });
+    if (!target) {
+      throw new Error(`Statement ${statementId} not found`);
+    }
+    if (target._voided) {
+      throw new Error(`Statement ${statementId} is already voided`);
+    }
+
+    const authority = localAuthority();
+    const [result] = await storeStatements(
+      collection,
+      [voidingStatement(statementId, authority)],
+      { authority, activities: db.collection(activities.ACTIVITY_COLLECTION) }
+    );
+    if (result.status !== "stored") {
+      throw new Error(formatValidationErrors(result.errors));
+    }
+
+    logger.info(`Voided statement ${statementId} with ${result.id}`);
+    await recordAudit("success", {
+      affected: { statements: [statementId], voidedBy: result.id },
+    });
+    return result.id;
+  } catch (error) {
+    logger.error("Error voiding statement:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+async function getVoidedStatement(statementId) {
+  try {
+    await connect();
+    const collection = client.db(dbName).collection(collectionName);
+    const statement = await collection.findOne(
+      { id: statementId, _voided: true },
+      { projection: { _id: 0, _voided: 0 } }
+    );
+    if (!statement) {
+      throw new Error(`No voided statement with id ${statementId}`);
+    }
+    return statement;
+  } catch (error) {
+    logger.error("Error fetching voided statement:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+// Assuming the MongoClient `client` and other required setups are already in your code
+
+async function listAllVerbs() {
+  try {
+    await connect();
+    const collection = client.db(dbName).collection(collectionName);
+    const verbs = await collection.distinct("verb.id", NOT_VOIDED);
+    console.log(verbs);
+    return verbs;
+  } catch (error) {
+    logger.error("Error fetching unique verbs:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+// One row per person, with every identifier they were seen with
+async function listAllActors() {
+  try {
+    await connect();
+    const db = client.db(dbName);
+    return await analytics.mostActiveActors(
+      db.collection(collectionName),
+      NOT_VOIDED,
+      0,
+      await identity.loadAliases(db)
+    );
+  } catch (error) {
+    logger.error("Error fetching unique actors:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+async function mergeActorIdentities(keep, alias) {
+  try {
+    const keepKey = identity.identifierKey(keep);
+    const aliasKey = identity.identifierKey(alias);
+    await connect();
+    const canonical = await identity.mergeActors(
+      client.db(dbName),
+      keepKey,
+      aliasKey
+    );
+    if (canonical) {
+      logger.info(`${alias} is now the same person as ${keep} (${canonical})`);
+    } else {
+      logger.info(`${alias} and ${keep} are already the same person`);
+    }
+    await recordAudit("success", {
+      affected: { actors: [keepKey, aliasKey], canonical },
+    });
+    return true;
+  } catch (error) {
+    logger.error("Error merging actors:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+async function unmergeActorIdentity(identifier) {
+  try {
+    const key = identity.identifierKey(identifier);
+    await connect();
+    const unmerged = await identity.unmergeActor(client.db(dbName), key);
+    if (unmerged) {
+      logger.info(`${identifier} is a person of its own again`);
+    } else {
+      logger.info(`${identifier} was not merged into anyone`);
+    }
+    await recordAudit("success", {
+      affected: { actors: unmerged ? [key] : [] },
+    });
+    return true;
+  } catch (error) {
+    logger.error("Error unmerging actor:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+async function listActorAliases() {
+  try {
+    await connect();
+    return await client
+      .db(dbName)
+      .collection(identity.ALIAS_COLLECTION)
+      .find({})
+      .sort({ canonical: 1, _id: 1 })
+      .toArray();
+  } catch (error) {
+    logger.error("Error listing actor aliases:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+async function reindexActors() {
+  try {
+    await connect();
+    const collection = client.db(dbName).collection(collectionName);
+    const updated = await identity.backfillActorKeys(collection);
+    logger.info(`Indexed the actors of ${updated} statements`);
+    await recordAudit("success", { affected: { statements: updated } });
+    return updated;
+  } catch (error) {
+    logger.error("Error indexing actors:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+// Salts and receipt secrets come from an option or the configuration, never
+// a default: a guessable salt makes pseudonyms reversible.
+function privacySecret(value, name, option) {
+  return value || config.requireSetting(settings, name, option);
+}
+
+// Deletes (or pseudonymises) everything stored about one learner and writes
+// a signed receipt of what was done
+async function forgetActor(identifier, options = {}) {
+  // The audit trail must not keep the identifier of a learner who has been
+  // erased; the entry names the receipt instead
+  const erasure = { arguments: [auditTrail.REDACTED] };
+  try {
+    const mode = options.pseudonymise ? "pseudonymise" : "delete";
+    const agent = identity.parseIdentifier(identifier);
+    const salt =
+      mode === "pseudonymise"
+        ? privacySecret(options.salt, "pseudonymSalt", "--salt")
+        : undefined;
+    const secret = options.dryRun
+      ? undefined
+      : privacySecret(options.secret, "receiptSecret", "--secret");
+
+    await connect();
+    const db = client.db(dbName);
+    const aliases = await identity.loadAliases(db);
+    const subject = await privacy.findSubject(
+      db,
+      collectionName,
+      agent,
+      aliases
+    );
+    const found = `${subject.statements.length} statements, ${subject.documents.state} state documents and ${subject.documents.agentProfile} agent profiles for ${subject.keys.length} identifiers (${subject.key})`;
+    const action = mode === "delete" ? "delete" : "pseudonymise";
+    if (options.dryRun) {
+      console.log(`Would ${action} ${found}`);
+      return subject;
+    }
+    if (!options.yes) {
+      const response = await inquirer.prompt({
+        type: "confirm",
+        name: "erase",
+        message: `This will ${action} ${found}. Are you sure?`,
+        default: false,
+      });
+      if (!response.erase) {
+        console.log("Erasure cancelled.");
+        await recordAudit("cancelled", erasure);
+        return false;
+      }
+    }
+
+    const counts = await privacy.eraseSubject(db, collectionName, subject, {
+      mode,
+      salt,
+      aliases,
+    });
+    const receipt = privacy.createReceipt(subject, counts, {
+      mode,
+      secret,
+      database: dbName,
+      collection: collectionName,
+    });
+    const receiptPath = options.receipt || `erasure-${receipt.receiptId}.json`;
+    try {
+      fs.writeFileSync(receiptPath, `${JSON.stringify(receipt, null, 2)}\n`);
+      logger.info(`Wrote the erasure receipt to ${receiptPath}`);
+    } catch (error) {
+      // The erasure has happened; the receipt must not be lost with the error
+      logger.error(`Could not write ${receiptPath}:`, error);
+      console.log(JSON.stringify(receipt, null, 2));
+    }
+    logger.info(
+      `${mode === "delete" ? "Deleted" : "Pseudonymised"} ${
+        counts.statements
+      } statements, deleted ${counts.documents.state} state documents, ${
+        counts.documents.agentProfile
+      } agent profiles and ${counts.aliases} aliases`
+    );
+    await recordAudit("success", {
+      ...erasure,
+      affected: { receipt: receipt.receiptId, ...counts },
+    });
+    return receipt;
+  } catch (error) {
+    logger.error("Error erasing actor:", error);
+    await recordAudit("failure", { ...erasure, error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+function verifyErasureReceipt(filePath, identifier, options = {}) {
+  try {
+    const receipt = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const secret = privacySecret(options.secret, "receiptSecret", "--secret");
+    return privacy.verifyReceipt(
+      receipt,
+      secret,
+      identifier ? identity.identifierKey(identifier) : undefined
+    );
+  } catch (error) {
+    logger.error("Error verifying receipt:", error);
+  }
+}
+
+async function serve(options) {
+  await connect();
+  const app = createApp({
+    db: client.db(dbName),
+    collectionName,
+    config: settings,
+    logger,
+    basePath: options.basePath,
+    homePage: settings.values.homePage,
+    rateLimitPerMinute: Number(options.rateLimit),
+  });
+
+  const server = app.listen(Number(options.port), options.host, () => {
+    logger.info(
+      `xAPI endpoint listening on http://${options.host}:${options.port}${options.basePath}`
+    );
+  });
+
+  process.on("SIGINT", () => {
+    logger.info("Shutting down xAPI endpoint");
+    server.close(() => client.close());
+  });
+}
+
+async function listDocuments(type, params) {
+  try {
+    await connect();
+    const ids = await documents.listDocumentIds(
+      client.db(dbName),
+      type,
+      params
+    );
+    console.log(ids.join("\n"));
+    return ids;
+  } catch (error) {
+    logger.error("Error listing documents:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+async function getDocumentContent(type, params, outPath) {
+  try {
+    await connect();
+    const document = await documents.getDocument(
+      client.db(dbName),
+      type,
+      params
+    );
+    if (!document) {
+      throw new Error("Document not found");
+    }
+
+    if (outPath) {
+      fs.writeFileSync(outPath, document.content);
+      logger.info(`Wrote ${document.contentType} document to ${outPath}`);
+    } else {
+      process.stdout.write(document.content);
+      process.stdout.write("\n");
+    }
+    return document;
+  } catch (error) {
+    logger.error("Error reading document:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+async function putDocumentContent(type, params, filePath, options) {
+  try {
+    const body = {
+      content: fs.readFileSync(filePath),
+      contentType:
+        options.contentType ||
+        (filePath.endsWith(".json")
+          ? "application/json"
+          : "application/octet-stream"),
+    };
+    const conditions = {
+      ifMatch: options.ifMatch,
+      ifNoneMatch: options.ifNoneMatch,
+    };
+
+    await connect();
+    const write = options.merge
+      ? documents.postDocument
+      : documents.putDocument;
+    const { etag } = await write(
+      client.db(dbName),
+      type,
+      params,
+      body,
+      conditions
+    );
+    logger.info(`Stored document (ETag ${etag})`);
+    await recordAudit("success", { affected: { documents: 1, etag } });
+    return etag;
+  } catch (error) {
+    logger.error("Error storing document:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+async function deleteDocumentContent(type, params, options) {
+  try {
+    await connect();
+    const { idKey } = documents.DOCUMENT_TYPES[type];
+    const deleted = params[idKey]
+      ? await documents.deleteDocument(client.db(dbName), type, params, {
+          ifMatch: options.ifMatch,
+        })
+      : await documents.deleteDocuments(client.db(dbName), type, params);
+    logger.info(`Deleted ${deleted} document(s)`);
+    await recordAudit("success", { affected: { documents: deleted } });
+    return deleted;
+  } catch (error) {
+    logger.error("Error deleting document:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+// Analytics results as a table, or in one of the export formats for
+// spreadsheets and scripts
+async function writeRows(rows, columns, options = {}) {
+  try {
+    const format = options.format || "table";
+    if (format === "table") {
+      const text = `${charts.table(rows, columns)}\n`;
+      if (options.out) await fs.promises.writeFile(options.out, text);
+      else process.stdout.write(text);
+    } else {
+      await exporter.exportRows(
+        rows,
+        options.out ? fs.createWriteStream(options.out) : process.stdout,
+        { format, columns: columns.map(({ key }) => key) }
+      );
+    }
+    return true;
+  } catch (error) {
+    logger.error("Error writing results:", error);
+    process.exitCode = 1;
+  }
+}
+
+// Charts on a terminal, plain tables when the output is piped
+function printChart(chart, rows, columns) {
+  console.log(process.stdout.isTTY ? chart() : charts.table(rows, columns));
+  console.log();
+}
+
+function printScoreHistogram(scores) {
+  const range = scores.some((score) => score < 0) ? -1 : 0;
+  const buckets = charts.histogramBuckets(scores, { min: range, max: 1 });
+  printChart(
+    () =>
+      charts.histogram(scores, {
+        min: range,
+        max: 1,
+        title: `Scaled scores (${scores.length})`,
+      }),
+    buckets,
+    [
+      { key: "from", header: "From" },
+      { key: "to", header: "To" },
+      { key: "count", header: "Statements" },
+    ]
+  );
+}
+
+async function visualizeData(filter) {
+  try {
+    await connect();
+    const collection = client.db(dbName).collection(collectionName);
+    const query = filter ? JSON.parse(filter) : {};
+
+    const verbs = await analytics.verbUsage(
+      collection,
+      excludeVoided(query),
+      15
+    );
+    const activities = await analytics.activityUsage(
+      collection,
+      excludeVoided(query),
+      15
+    );
+    const scores = await analytics.scaledScores(
+      collection,
+      excludeVoided(query)
+    );
+    const countColumns = [
+      { key: "name", header: "Name" },
+      { key: "id", header: "Id" },
+      { key: "count", header: "Statements" },
+    ];
+
+    printChart(
+      () =>
+        charts.barChart(
+          verbs.map(({ name, count }) => ({ label: name, value: count })),
+          { title: "Verbs" }
+        ),
+      verbs,
+      countColumns
+    );
+    printChart(
+      () =>
+        charts.barChart(
+          activities.map(({ name, count }) => ({ label: name, value: count })),
+          { title: "Activities" }
+        ),
+      activities,
+      countColumns
+    );
+    if (scores.length) printScoreHistogram(scores);
+
+    return { verbs, activities, scores };
+  } catch (error) {
+    logger.error("Error visualizing data:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+// Runs the analytics for the statements matching the xAPI filter flags (and
+// a Mongo filter, when given) and writes them as a self-contained HTML file.
+async function generateReport(filter, options = {}) {
+  try {
+    // --agent selects a person, under any of their identifiers
+    const params = normalizeQueryParams({
+      ...statementFilterParams(options),
+      agent: undefined,
+      includeVoided: options.includeVoided,
+    });
+    const agent = options.agent && identity.parseIdentifier(options.agent);
+    const top = Number(options.top);
+    const out =
+      options.out || `report-${new Date().toISOString().slice(0, 10)}.html`;
+
+    await connect();
+    const db = client.db(dbName);
+    const collection = db.collection(collectionName);
+    const aliases = await identity.loadAliases(db);
+    const match = {
+      $and: [
+        buildStatementQuery(params),
+        agent ? identity.actorFilter(aliases, agent) : {},
+        filter ? JSON.parse(filter) : {},
+      ],
+    };
+    const data = {
+      title: options.title,
+      generated: new Date().toISOString(),
+      filters: Object.fromEntries(
+        [
+          ["agent", options.agent],
+          ["verb", params.verb],
+          ["activity", params.activity],
+          ["registration", params.registration],
+          ["since", params.since],
+          ["until", params.until],
+          ["filter", filter],
+        ].filter(([, value]) => value)
+      ),
+      granularity: options.granularity,
+      stats: await analytics.lrsStats(collection, match, aliases),
+      timeline: await analytics.statementsByDate(collection, match, {
+        granularity: options.granularity,
+        timezone: options.tz,
+      }),
+      verbs: await analytics.verbUsage(collection, match, top),
+      actors: await analytics.mostActiveActors(collection, match, top, aliases),
+      activities: await analytics.activityUsage(collection, match, top),
+      scores: await analytics.averageScoreByActivity(collection, match, top),
+      scoreValues: await analytics.scaledScores(collection, match),
+    };
+
+    await fs.promises.writeFile(out, renderReport(data));
+    logger.info(
+      `Wrote report on ${data.stats.statements} statements to ${out}`
+    );
+    return out;
+  } catch (error) {
+    logger.error("Error generating report:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+async function aggregateStatements(pipeline) {
+  try {
+    await connect();
+    const collection = client.db(dbName).collection(collectionName);
+    const stages =
+      typeof pipeline === "string" ? JSON.parse(pipeline) : pipeline;
+    const result = await collection
+      .aggregate([{ $match: NOT_VOIDED }, ...stages])
+      .toArray();
+    console.log(result);
+    return result;
+  } catch (error) {
+    logger.error("Error during aggregation:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+async function getLRSStats() {
+  try {
+    await connect();
+    const db = client.db(dbName);
+    return await analytics.lrsStats(
+      db.collection(collectionName),
+      NOT_VOIDED,
+      await identity.loadAliases(db)
+    );
+  } catch (error) {
+    logger.error("Error retrieving LRS stats:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+// Statement counts per period for the statements matching a Mongo filter.
+// options: granularity, tz, field (timestamp or stored) and fill.
+async function groupStatementsByDate(
+  filter,
+  granularity = "day",
+  options = {}
+) {
+  try {
+    const query = typeof filter === "string" ? JSON.parse(filter) : filter;
+    await connect();
+    const collection = client.db(dbName).collection(collectionName);
+    return await analytics.statementsByDate(collection, excludeVoided(query), {
+      granularity,
+      timezone: options.tz,
+      field: options.field,
+      fill: options.fill,
+    });
+  } catch (error) {
+    logger.error("Error grouping statements by date:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+// Completion funnel for an activity, limited to statements stored between
+// options.since and options.until and to options.registration
+async function analyzeActivityInteractions(activityId, options = {}) {
+  try {
+    const query = buildStatementQuery(
+      normalizeQueryParams({
+        since: options.since,
+        until: options.until,
+        registration: options.registration,
+      })
+    );
+    await connect();
+    const db = client.db(dbName);
+    return await analytics.activityFunnel(
+      db.collection(collectionName),
+      query,
+      activityId,
+      await identity.loadAliases(db)
+    );
+  } catch (error) {
+    logger.error("Error analyzing activity interactions:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+function formatDuration(milliseconds) {
+  if (milliseconds === null) return "";
+  let remaining = Math.round(milliseconds / 1000);
+  const parts = [
+    ["d", 86400],
+    ["h", 3600],
+    ["m", 60],
+    ["s", 1],
+  ].flatMap(([unit, seconds]) => {
+    const value = Math.floor(remaining / seconds);
+    remaining %= seconds;
+    return value ? [`${value}${unit}`] : [];
+  });
+  return parts.slice(0, 2).join(" ") || "0s";
+}
+
+const formatRate = (value) =>
+  value === null ? "" : `${(value * 100).toFixed(1)}%`;
+
+function printFunnel(funnel) {
+  console.log(`Activity: ${funnel.activity}`);
+  console.log(
+    `Learners with a launch or attempt statement: ${funnel.launched}`
+  );
+  console.log();
+  console.log(
+    charts.table(
+      funnel.steps.map((step) => ({
+        ...step,
+        rate: formatRate(step.rate),
+        overall: formatRate(step.overall),
+      })),
+      [
+        { key: "step", header: "Step" },
+        { key: "learners", header: "Learners" },
+        { key: "rate", header: "Of previous step" },
+        { key: "overall", header: "Of attempted" },
+      ]
+    )
+  );
+  console.log();
+
+  const { timeToComplete } = funnel;
+  console.log(
+    `Time to complete (${
+      timeToComplete.learners
+    } learners): median ${formatDuration(
+      timeToComplete.median
+    )}, 75th percentile ${formatDuration(
+      timeToComplete.p75
+    )}, 90th percentile ${formatDuration(timeToComplete.p90)}`
+  );
+  console.log();
+
+  if (funnel.children.length) {
+    console.log(
+      charts.table(
+        funnel.children.map((child) => ({
+          ...child,
+          reachedRate: formatRate(child.reachedRate),
+          completionRate: formatRate(child.completionRate),
+        })),
+        [
+          { key: "name", header: "Child activity" },
+          { key: "reached", header: "Reached" },
+          { key: "reachedRate", header: "Of attempted" },
+          { key: "dropOff", header: "Drop-off" },
+          { key: "completed", header: "Completed" },
+          { key: "completionRate", header: "Completion" },
+        ]
+      )
+    );
+  }
+}
+
+// Item analysis of the answered cmi.interaction statements, for one
+// assessment (the questions' context parent) or for all of them
+async function analyzeItems(assessmentId, options = {}) {
+  try {
+    const query = buildStatementQuery(
+      normalizeQueryParams({
+        since: options.since,
+        until: options.until,
+        registration: options.registration,
+      })
+    );
+    await connect();
+    const db = client.db(dbName);
+    return await analytics.itemAnalysis(
+      db.collection(collectionName),
+      query,
+      assessmentId,
+      await identity.loadAliases(db)
+    );
+  } catch (error) {
+    logger.error("Error analyzing assessment items:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+const FLAG_MARK = "⚠";
+
+function printItemAnalysis({ assessment, learners, items }) {
+  if (assessment) console.log(`Assessment: ${assessment}`);
+  console.log(`${items.length} items answered by ${learners} learners`);
+  console.log();
+  if (!items.length) return;
+
+  const format = (value) => (value === null ? "" : value.toFixed(2));
+  console.log(
+    charts.table(
+      items.map((item) => ({
+        flag: item.flags.length ? FLAG_MARK : "",
+        name: item.name,
+        type: item.interactionType,
+        responses: item.responses,
+        difficulty: format(item.difficulty),
+        discrimination: format(item.discrimination),
+      })),
+      [
+        { key: "flag", header: "" },
+        { key: "name", header: "Item" },
+        { key: "type", header: "Type" },
+        { key: "responses", header: "Responses" },
+        { key: "difficulty", header: "Difficulty (p)" },
+        { key: "discrimination", header: "Discrimination" },
+      ]
+    )
+  );
+
+  items.forEach((item) => {
+    console.log();
+    console.log(`${item.flags.length ? `${FLAG_MARK} ` : ""}${item.name}`);
+    console.log(item.id);
+    item.flags.forEach((flag) => console.log(`  ${FLAG_MARK} ${flag}`));
+    const rows = item.choices.length
+      ? item.choices.map((choice) => ({
+          flag: choice.flags.length ? FLAG_MARK : "",
+          key: choice.correct ? "✓" : "",
+          choice:
+            choice.description === choice.id
+              ? choice.id
+              : `${choice.id}: ${choice.description}`,
+          picked: choice.picked,
+          share: formatRate(choice.share),
+          meanScore: format(choice.meanScore),
+        }))
+      : item.distribution.slice(0, 10).map((entry) => ({
+          choice: entry.response,
+          picked: entry.count,
+          share: formatRate(entry.share),
+        }));
+    console.log(
+      charts.table(
+        rows,
+        item.choices.length
+          ? [
+              { key: "flag", header: "" },
+              { key: "key", header: "Key" },
+              { key: "choice", header: "Choice" },
+              { key: "picked", header: "Learners" },
+              { key: "share", header: "Share" },
+              { key: "meanScore", header: "Mean total" },
+            ]
+          : [
+              { key: "choice", header: "Response" },
+              { key: "picked", header: "Learners" },
+              { key: "share", header: "Share" },
+            ]
+      )
+    );
+  });
+}
+
+async function getAverageScoreByActivity(activityId) {
+  try {
+    await connect();
+    const collection = client.db(dbName).collection(collectionName);
+    const [activity] = await analytics.averageScoreByActivity(
+      collection,
+      excludeVoided({ "object.id": activityId })
+    );
+    return activity ? activity.average : null;
+  } catch (error) {
+    logger.error("Error getting average score:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+async function checkDatabaseHealth() {
+  try {
+    await connect();
+    // If the connection is successful, the database is healthy.
+    console.log("Database is healthy.");
+  } catch (error) {
+    logger.error("Database health check failed:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+function backupCollections() {
+  return {
+    statements: collectionName,
+    verbs: "verbs",
+    activityTypes: "activityTypes",
+    actorAliases: identity.ALIAS_COLLECTION,
+    activities: activities.ACTIVITY_COLLECTION,
+  };
+}
+
+// A directory destination gets a timestamped archive name inside it
+async function backupDatabase(destinationPath, options = {}) {
+  try {
+    let since = options.since;
+    if (options.incremental) {
+      ({
+        manifest: { until: since },
+      } = await backup.readManifest(options.incremental));
+    }
+    if (since && Number.isNaN(Date.parse(since))) {
+      throw new Error("since must be an ISO 8601 timestamp");
+    }
+
+    const stats = await fs.promises.stat(destinationPath).catch(() => null);
+    const archivePath =
+      stats && stats.isDirectory()
+        ? path.join(
+            destinationPath,
+            `${dbName}-${new Date().toISOString().replace(/[:.]/g, "-")}.tar`
+          )
+        : destinationPath;
+
+    await connect();
+    const manifest = await backup.createBackup(
+      client.db(dbName),
+      archivePath,
+      backupCollections(),
+      { since }
+    );
+    const counts = manifest.collections
+      .map(({ role, count }) => `${count} ${role}`)
+      .join(", ");
+    logger.info(
+      `${
+        since ? "Incremental backup" : "Backup"
+      } written to ${archivePath} (${counts})`
+    );
+    return manifest;
+  } catch (error) {
+    logger.error("Error during database backup:", error);
+  } finally {
+    await client.close();
+  }
+}
+
+// Restores the archives in the order given, e.g. a full backup followed by
+// its incremental backups. With options.verify every archive is checked
+// before anything is written; options.dryRun stops after the check.
+async function restoreDatabaseFromBackup(backupPaths, options = {}) {
+  try {
+    if (options.verify || options.dryRun) {
+      let intact = true;
+      for (const backupPath of backupPaths) {
+        const { problems } = await backup.verifyBackup(backupPath);
+        problems.forEach((problem) =>
+          logger.error(`${backupPath}: ${problem}`)
+        );
+        intact = intact && !problems.length;
+      }
+      if (!intact) throw new Error("Backup verification failed");
+      logger.info("Backup verified");
+      if (options.dryRun) return true;
+    }
+
+    await connect();
+    const affected = {};
+    for (const backupPath of backupPaths) {
+      const { restored } = await backup.restoreBackup(
+        client.db(dbName),
+        backupPath,
+        backupCollections()
+      );
+      const counts = Object.entries(restored)
+        .map(([role, { read, inserted }]) => `${role}: ${inserted}/${read} new`)
+        .join(", ");
+      logger.info(`Restored ${backupPath} (${counts})`);
+      Object.entries(restored).forEach(([role, { inserted }]) => {
+        affected[role] = (affected[role] || 0) + inserted;
+      });
+    }
+    await recordAudit("success", { affected });
+    return true;
+  } catch (error) {
+    logger.error("Error during database restore:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+async function resetDatabase() {
+  try {
+    const response = await inquirer.prompt({
+      type: "confirm",
+      name: "reset",
+      message: "WARNING: This will purge all records. Are you sure?",
+    });
+
+    if (response.reset) {
+      await connect();
+      const result = await client
+        .db(dbName)
+        .collection(collectionName)
+        .deleteMany({});
+      console.log(`Deleted ${result.deletedCount} records.`);
+      await recordAudit("success", {
+        affected: { statements: result.deletedCount },
+      });
+    } else {
+      console.log("Database reset cancelled.");
+      await recordAudit("cancelled");
+    }
+  } catch (error) {
+    logger.error("Error during database reset:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+async function bulkStoreStatements(data, options = {}) {
+  try {
+    await connect();
+    const db = client.db(dbName);
+    const collection = db.collection(collectionName);
 
-if (!uri || !dbName || !collectionName) {
-  logger.error(
-    "Environment variables MONGO_URI, DB_NAME, or COLLECTION_NAME are not set"
-  );
-  process.exit(1);
+    const results = await storeStatements(collection, data, {
+      authority: localAuthority(),
+      vocabulary: await loadWriteVocabulary(db, options),
+      activities: db.collection(activities.ACTIVITY_COLLECTION),
+    });
+    logStoreResults(results);
+    await recordAudit("success", {
+      affected: {
+        ...summarizeResults(results),
+        statements: results
+          .filter(({ status }) => status === "stored")
+          .map(({ id }) => id),
+      },
+    });
+    return results;
+  } catch (error) {
+    logger.error("Error during bulk store:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
 }
 
-const client = new MongoClient(uri);
+// Streams statements matching filter to --out (or stdout) as JSON, NDJSON or
+// CSV. The format and compression default to what the file name suggests.
+async function exportStatements(filter, options = {}) {
+  try {
+    const inferred = exporter.formatFromFileName(options.out);
+    const format = (options.format || inferred.format).toLowerCase();
+    const gzip = Boolean(options.gzip || inferred.gzip);
+    if (gzip && !options.out && process.stdout.isTTY) {
+      throw new Error("Refusing to write compressed output to a terminal");
+    }
 
-async function connect() {
-  if (!client.isConnected()) {
-    try {
-      await client.connect();
-    } catch (error) {
-      logger.error("Could not connect to MongoDB:", error);
-      process.exit(1);
+    await connect();
+    const collection = client.db(dbName).collection(collectionName);
+    const params = normalizeQueryParams({
+      includeVoided: options.includeVoided,
+      ascending: true,
+    });
+    const cursor = statementCursor(collection, params, {
+      filter: filter ? JSON.parse(filter) : undefined,
+    });
+
+    const anonymise = options.anonymise
+      ? {
+          salt: privacySecret(options.salt, "pseudonymSalt", "--salt"),
+          aliases: await identity.loadAliases(client.db(dbName)),
+        }
+      : undefined;
+
+    const output = options.out
+      ? fs.createWriteStream(options.out)
+      : process.stdout;
+    const count = await exporter.exportStatements(cursor, output, {
+      format,
+      gzip,
+      columns: options.columns,
+      languages: options.lang ? options.lang.split(",") : [],
+      anonymise,
+    });
+    if (options.out) {
+      logger.info(`Exported ${count} statements to ${options.out}`);
     }
+    return count;
+  } catch (error) {
+    logger.error("Error during export:", error);
+  } finally {
+    await client.close();
   }
 }
 
-async function disconnect() {
-  if (client.isConnected()) {
-    await client.close();
-  }
+// Progress goes to stderr: redrawn in place on a terminal, otherwise at most
+// every ten seconds so logs of long imports stay readable.
+function importProgressReporter() {
+  const started = Date.now();
+  let lastReport = 0;
+  let latest = null;
+
+  const print = (final) => {
+    const now = Date.now();
+    if (!latest) return;
+    if (!process.stderr.isTTY && !final && now - lastReport < 10000) return;
+    lastReport = now;
+
+    const seconds = Math.max((now - started) / 1000, 0.001);
+    const rate = Math.round((latest.records - latest.resumedFrom) / seconds);
+    const percent = latest.totalBytes
+      ? Math.floor((latest.bytes / latest.totalBytes) * 100)
+      : 100;
+    const line = `${latest.records} records (${latest.stored} stored, ${latest.skipped} skipped, ${latest.rejected} rejected), ${percent}% read, ${rate} statements/s`;
+    if (process.stderr.isTTY) {
+      process.stderr.write(`\r\x1b[K${line}${final ? "\n" : ""}`);
+    } else {
+      process.stderr.write(`${line}\n`);
+    }
+  };
+
+  return {
+    update(progress) {
+      latest = progress;
+      print(false);
+    },
+    finish() {
+      print(true);
+    },
+  };
 }
 
-async function createRecord(data) {
+async function importStatements(filePath, options = {}) {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
+    const db = client.db(dbName);
+    const collection = db.collection(collectionName);
+    const progress = importProgressReporter();
+
+    const summary = await importFile(collection, filePath, {
+      authority: localAuthority(),
+      vocabulary: await loadWriteVocabulary(db, options),
+      activities: db.collection(activities.ACTIVITY_COLLECTION),
+      batchSize: Number(options.batchSize || 500),
+      checkpointPath: options.checkpoint,
+      rejectPath: options.rejects,
+      restart: options.restart,
+      onProgress: progress.update,
+    });
+    progress.finish();
 
-    const valid = validate(data);
-    if (!valid) {
-      throw new Error(`Validation failed: ${JSON.stringify(validate.errors)}`);
+    if (summary.resumedFrom) {
+      logger.info(`Resumed after record ${summary.resumedFrom}`);
     }
-
-    await collection.insertOne(data);
-    logger.info("Record created successfully");
+    if (summary.rejectPath) {
+      logger.warn(
+        `${summary.rejected} records rejected; see ${summary.rejectPath}`
+      );
+    }
+    await recordAudit("success", {
+      affected: {
+        records: summary.records,
+        stored: summary.stored,
+        skipped: summary.skipped,
+        rejected: summary.rejected,
+      },
+    });
+    return summary;
   } catch (error) {
-    logger.error("Error while creating record:", error);
+    logger.error("Error during import:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
   }
 }
 
-async function queryRecords(filter) {
+// Activities -------------------------------------------------------------------
+
+async function listActivityDefinitions(options = {}) {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const results = await collection.find(JSON.parse(filter)).toArray();
-    console.log(results);
+    const db = client.db(dbName);
+    return await activities.listActivities(
+      db.collection(activities.ACTIVITY_COLLECTION),
+      db.collection(collectionName),
+      NOT_VOIDED,
+      { type: options.type, search: options.search }
+    );
   } catch (error) {
-    logger.error("Error while querying records:", error);
+    logger.error("Error listing activities:", error);
+  } finally {
+    await client.close();
   }
 }
 
-async function bulkInsert(data) {
+async function showActivityDefinition(activityId) {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-
-    const validData = data.filter((entry) => validate(entry));
-    if (!validData.length) {
-      throw new Error("No valid records found");
+    const db = client.db(dbName);
+    const activity = await activities.getActivity(
+      db.collection(activities.ACTIVITY_COLLECTION),
+      db.collection(collectionName),
+      NOT_VOIDED,
+      activityId
+    );
+    if (!activity) {
+      throw new Error(
+        `${activityId} has not been seen in any statement or manifest; run "activity rebuild" for statements stored by older versions`
+      );
     }
-
-    await collection.insertMany(validData);
-    logger.info(`${validData.length} records inserted successfully`);
+    return activity;
   } catch (error) {
-    logger.error("Error during bulk insert:", error);
+    logger.error("Error fetching activity:", error);
+  } finally {
+    await client.close();
   }
 }
 
-// Assuming the MongoClient `client` and other required setups are already in your code
-
-async function listAllVerbs() {
+async function rebuildActivityDefinitions() {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const verbs = await collection.distinct("verb.id");
-    console.log(verbs);
-    return verbs;
+    const db = client.db(dbName);
+    const count = await activities.rebuildActivities(
+      db.collection(activities.ACTIVITY_COLLECTION),
+      db.collection(collectionName)
+    );
+    logger.info(`Rebuilt activity definitions from ${count} statements`);
+    await recordAudit("success", { affected: { statements: count } });
+    return count;
   } catch (error) {
-    logger.error("Error fetching unique verbs:", error);
+    logger.error("Error rebuilding activities:", error);
+    await recordAudit("failure", { error: error.message });
   } finally {
     await client.close();
   }
 }
 
-async function listAllActors() {
+async function importCourseManifest(filePath) {
   try {
+    const { format, activities: found } = parseManifest(
+      fs.readFileSync(filePath, "utf-8")
+    );
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const actors = await collection.distinct("actor.mbox"); // assuming mbox uniquely identifies actors
-    console.log(actors);
-    return actors;
+    const count = await activities.importManifestActivities(
+      client.db(dbName).collection(activities.ACTIVITY_COLLECTION),
+      found,
+      path.basename(filePath)
+    );
+    logger.info(
+      `Imported ${count} activities from ${format} manifest ${filePath}`
+    );
+    await recordAudit("success", {
+      affected: { activities: found.map(({ id }) => id) },
+    });
+    return count;
   } catch (error) {
-    logger.error("Error fetching unique actors:", error);
+    logger.error("Error importing course manifest:", error);
+    await recordAudit("failure", { error: error.message });
   } finally {
     await client.close();
   }
 }
 
-async function visualizeData(filter) {
-  // Placeholder; actual visualization will depend on libraries and tools you're using
-  console.log("Visualization for filter:", filter);
+function activityName(activity, languages) {
+  const name = (activity.definition && activity.definition.name) || {};
+  return Object.values(pickLanguage(name, languages))[0] || "";
 }
 
-async function aggregateStatements(pipeline) {
+function printActivity(activity, languages) {
+  const { definition = {} } = activity;
+  const description = Object.values(
+    pickLanguage(definition.description || {}, languages)
+  )[0];
+  const lines = [
+    activityName(activity, languages) || activity.id,
+    `  Id:               ${activity.id}`,
+  ];
+  const add = (label, value) => {
+    if (value !== undefined && value !== "") {
+      lines.push(`  ${`${label}:`.padEnd(18)}${value}`);
+    }
+  };
+  add("Description", description);
+  add("Type", definition.type);
+  add("Interaction type", definition.interactionType);
+  add("More info", definition.moreInfo);
+  add(
+    "Languages",
+    Object.keys({ ...definition.name, ...definition.description }).join(", ")
+  );
+  add("Statements", activity.statements);
+  add("In context of", activity.inContext);
+  add("First seen", activity.firstSeen);
+  add("Last seen", activity.lastSeen);
+  add("From manifests", (activity.sources || []).join(", "));
+  [
+    ["Parents", activity.parents],
+    ["Groupings", activity.groupings],
+    ["Children", activity.children],
+  ]
+    .filter(([, ids]) => ids && ids.length)
+    .forEach(([label, ids]) => {
+      lines.push(`  ${label}:`);
+      ids.forEach((id) => lines.push(`    ${id}`));
+    });
+  const extensions = Object.entries(definition.extensions || {});
+  if (extensions.length) {
+    lines.push("  Extensions:");
+    extensions.forEach(([key, value]) =>
+      lines.push(`    ${key}: ${JSON.stringify(value)}`)
+    );
+  }
+  console.log(lines.join("\n"));
+}
+
+// Users ------------------------------------------------------------------------
+
+async function promptNewPassword() {
+  const { password } = await inquirer.prompt([
+    {
+      type: "password",
+      name: "password",
+      message: "Password:",
+      mask: "*",
+      validate: (value) => {
+        try {
+          users.checkPassword(value);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    },
+    {
+      type: "password",
+      name: "confirmation",
+      message: "Repeat the password:",
+      mask: "*",
+      validate: (value, answers) =>
+        value === answers.password || "The passwords do not match",
+    },
+  ]);
+  return password;
+}
+
+async function addUserAccount(username, options = {}) {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const result = await collection.aggregate(pipeline).toArray();
-    console.log(result);
-    return result;
+    const user = await users.addUser(
+      client.db(dbName),
+      username,
+      await promptNewPassword(),
+      options.roles.split(",").map((role) => role.trim())
+    );
+    logger.info(
+      `Added user ${username} (${user.roles.join(
+        ", "
+      )}); two-factor authentication is set up on their first login`
+    );
+    await recordAudit("success", {
+      affected: { users: [username], roles: user.roles },
+    });
+    return user;
   } catch (error) {
-    logger.error("Error during aggregation:", error);
+    logger.error("Error adding user:", error);
+    await recordAudit("failure", { error: error.message });
   } finally {
     await client.close();
   }
 }
 
-async function getLRSStats() {
+async function removeUserAccount(username) {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const count = await collection.countDocuments();
-    console.log(`Total statements in LRS: ${count}`);
+    if (!(await users.removeUser(client.db(dbName), username))) {
+      throw new Error(`User ${username} does not exist`);
+    }
+    logger.info(`Removed user ${username}`);
+    await recordAudit("success", { affected: { users: [username] } });
+    return true;
   } catch (error) {
-    logger.error("Error retrieving LRS stats:", error);
+    logger.error("Error removing user:", error);
+    await recordAudit("failure", { error: error.message });
   } finally {
     await client.close();
   }
 }
 
-async function groupStatementsByDate(filter, granularity) {
-  // This will group by day as an example
-  const groupBy = {
-    $group: {
-      _id: {
-        year: { $year: "$timestamp" },
-        month: { $month: "$timestamp" },
-        day: { $dayOfMonth: "$timestamp" },
-      },
-      count: { $sum: 1 },
-    },
-  };
-
-  // Adjust based on granularity...
-
+async function listUserAccounts() {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const results = await collection.aggregate([groupBy]).toArray();
-    console.log(results);
-    return results;
+    return await users.listUsers(client.db(dbName));
   } catch (error) {
-    logger.error("Error grouping statements by date:", error);
+    logger.error("Error listing users:", error);
   } finally {
     await client.close();
   }
 }
 
-async function analyzeActivityInteractions(activityId) {
+async function setUserRoles(username, roles) {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const interactions = await collection
-      .find({ "object.id": activityId })
-      .toArray();
-    console.log(interactions);
-    return interactions;
+    const user = await users.setRoles(client.db(dbName), username, roles);
+    logger.info(`${username} now has the roles ${user.roles.join(", ")}`);
+    await recordAudit("success", {
+      affected: { users: [username], roles: user.roles },
+    });
+    return user;
   } catch (error) {
-    logger.error("Error analyzing activity interactions:", error);
+    logger.error("Error changing roles:", error);
+    await recordAudit("failure", { error: error.message });
   } finally {
     await client.close();
   }
 }
 
-async function getAverageScoreByActivity(activityId) {
+// Makes a user set up two-factor authentication again on their next login
+async function resetTwoFactor(username) {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const averageScore = await collection
-      .aggregate([
-        { $match: { "object.id": activityId } },
-        { $group: { _id: null, avgScore: { $avg: "$result.score.scaled" } } },
-      ])
-      .toArray();
-
-    console.log(averageScore[0].avgScore);
-    return averageScore[0].avgScore;
+    if (!(await users.setTotpSecret(client.db(dbName), username, null))) {
+      throw new Error(`User ${username} does not exist`);
+    }
+    logger.info(
+      `Reset two-factor authentication for ${username}; they set it up again on their next login`
+    );
+    await recordAudit("success", { affected: { users: [username] } });
+    return true;
   } catch (error) {
-    logger.error("Error getting average score:", error);
+    logger.error("Error resetting two-factor authentication:", error);
+    await recordAudit("failure", { error: error.message });
   } finally {
     await client.close();
   }
 }
 
-const { exec } = require("child_process");
-
-async function checkDatabaseHealth() {
+// Checks a password and an authentication code and saves a session token for
+// the profile. A user without a TOTP secret is shown a new one as a QR code
+// and it is kept once they have entered a code from it.
+async function login(username) {
+  let account = username;
   try {
     await connect();
-    // If the connection is successful, the database is healthy.
-    console.log("Database is healthy.");
+    config.requireSetting(settings, "jwtSecret");
+    const db = client.db(dbName);
+    const answers = await inquirer.prompt([
+      {
+        type: "input",
+        name: "username",
+        message: "Username:",
+        when: !username,
+      },
+      { type: "password", name: "password", message: "Password:", mask: "*" },
+    ]);
+    account = username || answers.username;
+    const user = await users.authenticateUser(db, account, answers.password);
+    if (!user) throw new Error("Wrong username or password");
+
+    let secret = user.totpSecret;
+    if (!secret) {
+      const enrolment = await auth.setup2FA(user.username);
+      console.log(
+        "Scan this QR code with an authenticator app, or enter the secret by hand:"
+      );
+      console.log(enrolment.terminalQRCode);
+      console.log(`Secret: ${enrolment.secret}`);
+      secret = enrolment.secret;
+    }
+    const { code } = await inquirer.prompt({
+      type: "input",
+      name: "code",
+      message: "Authentication code:",
+    });
+    if (!auth.verifyTotp(secret, code)) {
+      throw new Error("Wrong authentication code");
+    }
+    if (!user.totpSecret) await users.setTotpSecret(db, user.username, secret);
+
+    await users.recordLogin(db, user.username);
+    const token = auth.generateToken(user.username, settings);
+    auth.saveSession(settings, token);
+    session = auth.verifyToken(token, settings);
+    logger.info(
+      `Logged in as ${user.username} (profile ${
+        settings.profile
+      }) until ${new Date(session.exp * 1000).toISOString()}`
+    );
+    await recordAudit("success", { affected: { users: [user.username] } });
+    return user.username;
   } catch (error) {
-    logger.error("Database health check failed:", error);
+    logger.error("Error logging in:", error);
+    if (account) {
+      await recordAudit("failure", {
+        affected: { users: [account] },
+        error: error.message,
+      });
+    }
   } finally {
     await client.close();
   }
 }
 
-function backupDatabase(destinationPath) {
-  const cmd = `mongodump --uri=${uri} --db=${dbName} --out=${destinationPath}`;
+// Configuration ----------------------------------------------------------------
 
-  exec(cmd, (error, stdout, stderr) => {
-    if (error) {
-      logger.error("Error during database backup:", error);
-      return;
-    }
-    console.log(`Database backed up successfully to ${destinationPath}`);
+// The file `config set` and `config use` change: the user's ~/.empress/config,
+// or with --project the project's .empress/config
+function configFile(options) {
+  return options.project ? config.projectConfigPath() : config.userConfigPath();
+}
+
+// Every setting of the selected profile with the layer its value came from
+function listConfig(options = {}) {
+  return Object.keys(config.SETTINGS).map((name) => {
+    const value = settings.values[name];
+    return {
+      setting: name,
+      value:
+        options.showSecrets && value !== undefined
+          ? String(value)
+          : config.maskValue(name, value),
+      source: settings.sources[name] || "",
+    };
   });
 }
 
-function restoreDatabaseFromBackup(backupPath) {
-  const cmd = `mongorestore --uri=${uri} --db=${dbName} ${backupPath}/${dbName}`;
+function getConfigValue(name) {
+  try {
+    return config.requireSetting(settings, name);
+  } catch (error) {
+    logger.error(error.message);
+  }
+}
+
+// Writes a setting into the selected profile, or removes it when value is
+// undefined. Returns the file written.
+function setConfigValue(name, value, options = {}) {
+  try {
+    const file = configFile(options);
+    config.setSetting(file, settings.profile, name, value);
+    logger.info(
+      `${value === undefined ? "Removed" : "Set"} ${name} for profile ${
+        settings.profile
+      } in ${file}`
+    );
+    return file;
+  } catch (error) {
+    logger.error(`Error updating the configuration: ${error.message}`);
+  }
+}
 
-  exec(cmd, (error, stdout, stderr) => {
-    if (error) {
-      logger.error("Error during database restore:", error);
-      return;
+function useConfigProfile(profile, options = {}) {
+  try {
+    if (
+      profile !== config.DEFAULT_PROFILE &&
+      !settings.profiles.includes(profile)
+    ) {
+      throw new Error(
+        `Profile ${profile} is not defined; create it with \`empress-cli --profile ${profile} config set uri <uri>\``
+      );
     }
-    console.log("Database restored successfully from backup.");
-  });
+    const file = configFile(options);
+    config.useProfile(file, profile);
+    logger.info(`Using profile ${profile} (${file})`);
+    return file;
+  } catch (error) {
+    logger.error(`Error switching profiles: ${error.message}`);
+  }
 }
 
-async function resetDatabase() {
+// Audit trail ------------------------------------------------------------------
+
+// filter: { user, command, since, until, outcome, limit } (see audit.js)
+async function queryAuditTrail(filter) {
   try {
-    const response = await inquirer.prompt({
-      type: "confirm",
-      name: "reset",
-      message: "WARNING: This will purge all records. Are you sure?",
+    await connect();
+    return await auditTrail.queryEntries(client.db(dbName), {
+      ...filter,
+      limit: filter.limit && Number(filter.limit),
     });
-
-    if (response.reset) {
-      await connect();
-      const result = await client
-        .db(dbName)
-        .collection(collectionName)
-        .deleteMany({});
-      console.log(`Deleted ${result.deletedCount} records.`);
-    } else {
-      console.log("Database reset cancelled.");
-    }
   } catch (error) {
-    logger.error("Error during database reset:", error);
+    logger.error("Error querying the audit trail:", error);
   } finally {
     await client.close();
   }
 }
 
-async function bulkStoreStatements(data) {
+async function verifyAuditTrail() {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
+    return await auditTrail.verifyChain(client.db(dbName));
+  } catch (error) {
+    logger.error("Error verifying the audit trail:", error);
+  } finally {
+    await client.close();
+  }
+}
 
-    const validData = data.filter((entry) => validate(entry));
-    if (!validData.length) {
-      throw new Error("No valid records found");
-    }
+// What an entry changed, in a line: counts as they are, lists of ids as the
+// id when there is one and as a count otherwise
+function auditSummary({ affected = {} }) {
+  return Object.entries(affected)
+    .filter(([, value]) => typeof value !== "object" || Array.isArray(value))
+    .map(([key, value]) => {
+      if (!Array.isArray(value)) return `${key}: ${value}`;
+      return `${key}: ${value.length === 1 ? value[0] : value.length}`;
+    })
+    .join(", ");
+}
+
+// Vocabulary -------------------------------------------------------------------
+
+// --label and --definition are given as lang=text, once per language
+function collectLanguage(value, map = {}) {
+  const separator = value.indexOf("=");
+  if (separator < 1) throw new InvalidArgumentError("Expected lang=text.");
+  return { ...map, [value.slice(0, separator)]: value.slice(separator + 1) };
+}
 
-    await collection.insertMany(validData);
-    logger.info(`${validData.length} records inserted successfully`);
+async function listVocabulary(kind, options = {}) {
+  try {
+    await connect();
+    return await vocabulary.listEntries(client.db(dbName), kind, {
+      includeDeprecated: !options.active,
+    });
   } catch (error) {
-    logger.error("Error during bulk store:", error);
+    logger.error("Error listing vocabulary:", error);
   } finally {
     await client.close();
   }
 }
 
-async function exportStatements(filter, format) {
+async function showVocabularyEntry(kind, id) {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-
-    const results = await collection.find(JSON.parse(filter)).toArray();
-
-    switch (format.toLowerCase()) {
-      case "csv":
-        const parser = new Parser();
-        const csv = parser.parse(results);
-        fs.writeFileSync("exported_statements.csv", csv);
-        break;
-      case "json":
-      default:
-        fs.writeFileSync(
-          "exported_statements.json",
-          JSON.stringify(results, null, 2)
-        );
-        break;
+    const entry = await vocabulary.getEntry(client.db(dbName), kind, id);
+    if (!entry) {
+      throw new Error(
+        `${id} is not a registered ${vocabulary.VOCABULARY_KINDS[kind].label}`
+      );
     }
-    logger.info(`Exported statements in ${format} format.`);
+    return entry;
   } catch (error) {
-    logger.error("Error during export:", error);
+    logger.error("Error fetching vocabulary entry:", error);
   } finally {
     await client.close();
   }
 }
 
-async function importStatements(filePath) {
+async function registerVocabularyEntry(kind, fields) {
   try {
-    const fileContent = fs.readFileSync(filePath, "utf-8");
-    const jsonData = JSON.parse(fileContent);
-    await bulkStoreStatements(jsonData);
+    await connect();
+    const entry = await vocabulary.registerEntry(
+      client.db(dbName),
+      kind,
+      fields
+    );
+    logger.info(
+      `Registered ${vocabulary.VOCABULARY_KINDS[kind].label} ${entry.id}`
+    );
+    await recordAudit("success", { affected: { [kind]: [entry.id] } });
+    return entry;
   } catch (error) {
-    logger.error("Error during import:", error);
+    logger.error("Error registering vocabulary entry:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
+  }
+}
+
+async function updateVocabularyEntry(kind, id, changes) {
+  try {
+    await connect();
+    const entry = await vocabulary.updateEntry(
+      client.db(dbName),
+      kind,
+      id,
+      changes
+    );
+    logger.info(
+      entry.deprecated
+        ? `${id} is deprecated${
+            entry.replacedBy ? ` in favour of ${entry.replacedBy}` : ""
+          }`
+        : `Updated ${id}`
+    );
+    await recordAudit("success", { affected: { [kind]: [id] } });
+    return entry;
+  } catch (error) {
+    logger.error("Error updating vocabulary entry:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
   }
 }
 
-// Assuming a simple structure for verb and activity type registration
-async function registerNewVerb(verb, definition) {
+async function removeVocabularyEntry(kind, id) {
   try {
     await connect();
-    const collection = client.db(dbName).collection("verbs");
-    await collection.insertOne({ verb, definition });
-    logger.info(`Registered new verb: ${verb}`);
+    const removed = await vocabulary.removeEntry(client.db(dbName), kind, id);
+    if (!removed) {
+      throw new Error(
+        `${id} is not a registered ${vocabulary.VOCABULARY_KINDS[kind].label}`
+      );
+    }
+    logger.info(`Removed ${id}`);
+    await recordAudit("success", { affected: { [kind]: [id] } });
+    return removed;
   } catch (error) {
-    logger.error("Error during verb registration:", error);
+    logger.error("Error removing vocabulary entry:", error);
+    await recordAudit("failure", { error: error.message });
   } finally {
     await client.close();
   }
 }
 
-async function registerNewActivityType(type, definition) {
+// source is a JSON-LD file or an http(s) URL such as a published vocabulary
+async function importVocabularyDocument(source) {
   try {
+    let document;
+    if (/^https?:\/\//.test(source)) {
+      const response = await fetch(source, {
+        headers: { Accept: "application/ld+json, application/json" },
+      });
+      if (!response.ok)
+        throw new Error(`HTTP ${response.status} from ${source}`);
+      document = await response.json();
+    } else {
+      document = JSON.parse(fs.readFileSync(source, "utf-8"));
+    }
+
     await connect();
-    const collection = client.db(dbName).collection("activityTypes");
-    await collection.insertOne({ type, definition });
-    logger.info(`Registered new activity type: ${type}`);
+    const summary = await vocabulary.importVocabulary(
+      client.db(dbName),
+      document
+    );
+    logger.info(
+      `${summary.added} terms added, ${summary.updated} updated, ${summary.skipped} other concepts skipped`
+    );
+    await recordAudit("success", {
+      affected: { added: summary.added, updated: summary.updated },
+    });
+    return summary;
   } catch (error) {
-    logger.error("Error during activity type registration:", error);
+    logger.error("Error importing vocabulary:", error);
+    await recordAudit("failure", { error: error.message });
   } finally {
     await client.close();
   }
 }
 
-// Sample validateStatement function (may need to align with ADL standards)
-function validateStatement(data) {
-  const isValid = validate(data); // Reuse the AJV validator from earlier code
-  if (isValid) {
-    return { valid: true };
-  } else {
-    return { valid: false, errors: validate.errors };
+async function importProfile(filePath) {
+  try {
+    const profile = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (!profile.id || profile.type !== "Profile") {
+      throw new Error(`${filePath} is not an xAPI Profile`);
+    }
+
+    await connect();
+    const collection = client.db(dbName).collection("profiles");
+    await collection.replaceOne({ id: profile.id }, profile, { upsert: true });
+    logger.info(`Imported profile: ${profile.id}`);
+    await recordAudit("success", { affected: { profiles: [profile.id] } });
+  } catch (error) {
+    logger.error("Error during profile import:", error);
+    await recordAudit("failure", { error: error.message });
+  } finally {
+    await client.close();
   }
 }
 
-// Sample checkStatementAgainstProfile function (it's a stub, you'd need to implement profile-specific logic)
-function checkStatementAgainstProfile(profileId, statement) {
-  // Implement logic to check a statement against a specific xAPI profile based on profileId
-  return true; // Assuming the statement is valid against the profile for simplicity
+// profileSource is a profile file or the id of a profile in the profiles
+// collection. Checks a single statement against the profile's templates, or
+// with options.registration / options.sequence, a registration's statements
+// against its patterns.
+async function checkStatementAgainstProfile(profileSource, statement, options) {
+  // Only touch the database when the profile or statements live there
+  const database = async () => {
+    await connect();
+    return client.db(dbName);
+  };
+
+  try {
+    const profileCollection = fs.existsSync(profileSource)
+      ? null
+      : (await database()).collection("profiles");
+    const profile = await profiles.loadProfile(
+      profileSource,
+      profileCollection
+    );
+    const resolveStatement = async (id) => {
+      const db = await database();
+      return db
+        .collection(collectionName)
+        .findOne({ id }, { projection: { _id: 0 } });
+    };
+
+    if (options.registration || options.sequence) {
+      let sequence;
+      if (options.sequence) {
+        sequence = JSON.parse(fs.readFileSync(options.sequence, "utf-8"));
+      } else {
+        const db = await database();
+        sequence = await db
+          .collection(collectionName)
+          .find(
+            excludeVoided({ "context.registration": options.registration }),
+            { projection: { _id: 0 } }
+          )
+          .toArray();
+      }
+      return await profiles.checkStatementsAgainstPatterns(profile, sequence, {
+        patternId: options.pattern,
+        resolveStatement,
+      });
+    }
+
+    return await profiles.checkStatementAgainstTemplates(profile, statement, {
+      templateId: options.template,
+      resolveStatement,
+    });
+  } catch (error) {
+    logger.error("Error checking against profile:", error);
+  } finally {
+    await client.close();
+  }
 }
 
 // ... other imports and initializations ...
 
 async function interactiveMode() {
+  const example = statementTemplate();
   const questions = [
     {
       type: "input",
       name: "actorName",
       message: "What is the actor name?",
+      default: example.actor.name,
     },
     {
       type: "input",
       name: "actorMbox",
-      message: "What is the actor mbox?",
+      message: "What is the actor email address?",
+      default: example.actor.mbox,
     },
     {
       type: "input",
       name: "verbId",
-      message:
-        "What is the verb id (e.g., http://adlnet.gov/expapi/verbs/completed)?",
+      message: "What is the verb id?",
+      default: example.verb.id,
     },
     {
       type: "input",
-      name: "objectName",
-      message: "What is the object name?",
-    },
-    // ... Add more questions here based on your requirements ...
-  ];
-
-  const answers = await inquirer.prompt(questions);
-
-  const statement = {
-    actor: {
-      name: answers.actorName,
-      mbox: answers.actorMbox,
-    },
-    verb: {
-      id: answers.verbId,
-      display: {
-        "en-US": "Assuming English here; adjust as needed",
-      },
+      name: "activityId",
+      message: "What is the activity id (an IRI)?",
+      default: example.object.id,
     },
-    object: {
-      objectType: "Activity",
-      name: answers.objectName,
-      // ... other object properties ...
+    {
+      type: "input",
+      name: "activityName",
+      message: "What is the activity name?",
+      default: example.object.definition.name["en-US"],
     },
-    // ... Add other statement properties if needed ...
-  };
+    // ... Add more questions here based on your requirements ...
+  ];
 
+  const answers = await inquirer.prompt(questions);
+  const statement = statementTemplate(answers);
+  const result = validateStatement(statement);
+  if (!result.valid) {
+    logger.warn(
+      `The statement is not valid: ${formatValidationErrors(result.errors)}`
+    );
+  }
   return statement;
 }
 
 function generateStatementTemplate() {
-  const template = {
-    actor: {
-      name: "INSERT_ACTOR_NAME",
-      mbox: "INSERT_ACTOR_MBOX",
-    },
-    verb: {
-      id: "INSERT_VERB_ID",
-      display: {
-        "en-US": "INSERT_DISPLAY_TEXT",
-      },
-    },
-    object: {
-      objectType: "Activity",
-      // ... other object properties ...
-    },
-    // ... Add other statement properties if needed ...
-  };
-
-  return template;
+  return statementTemplate();
 }
 
 async function searchStatementsByContent(query) {
@@ -496,7 +2314,7 @@ async function searchStatementsByContent(query) {
     const collection = client.db(dbName).collection(collectionName);
 
     const results = await collection
-      .find({ $text: { $search: query } })
+      .find({ $text: { $search: query }, ...NOT_VOIDED })
       .toArray();
 
     return results;
@@ -507,15 +2325,16 @@ async function searchStatementsByContent(query) {
   }
 }
 
-const { ObjectId } = require("mongodb"); // If you need to use actorId
-
 //  Additional Features
 
 async function listAllObjectTypes() {
   try {
     await connect();
     const collection = client.db(dbName).collection(collectionName);
-    const objectTypes = await collection.distinct("object.objectType");
+    const objectTypes = await collection.distinct(
+      "object.objectType",
+      NOT_VOIDED
+    );
     return objectTypes;
   } catch (error) {
     logger.error("Error fetching object types:", error);
@@ -524,19 +2343,66 @@ async function listAllObjectTypes() {
   }
 }
 
-async function visualizeActorProgress(actorId) {
-  // This function assumes a specific structure for progress, such as timestamp and some progress metric.
-  // You'll need to adjust according to your xAPI structure.
+// One actor's statements over time: scaled scores in timestamp order and the
+// number of statements per day, with days without activity filled in.
+async function visualizeActorProgress(actor) {
   try {
+    const agent = identity.parseIdentifier(actor);
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const progressData = await collection
-      .find({ "actor.id": ObjectId(actorId) })
-      .sort({ timestamp: 1 })
+    const db = client.db(dbName);
+    const aliases = await identity.loadAliases(db);
+    const statements = await db
+      .collection(collectionName)
+      .find(excludeVoided(identity.actorFilter(aliases, agent)), {
+        projection: {
+          _id: 0,
+          timestamp: 1,
+          stored: 1,
+          "verb.id": 1,
+          "object.id": 1,
+          "result.score.scaled": 1,
+        },
+      })
       .toArray();
 
-    // Visualization logic here - this would depend on your visualization tool or library.
-    return progressData;
+    // Statements without a timestamp are placed at the time they were stored
+    const dated = statements
+      .map((statement) => ({
+        ...statement,
+        timestamp: statement.timestamp || statement.stored,
+      }))
+      .filter(({ timestamp }) => !Number.isNaN(Date.parse(timestamp)))
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    const scores = dated
+      .filter(
+        ({ result }) =>
+          result && result.score && typeof result.score.scaled === "number"
+      )
+      .map(({ timestamp, verb, object, result }) => ({
+        timestamp,
+        verb: verb.id,
+        activity: object.id,
+        scaled: result.score.scaled,
+      }));
+
+    const perDay = new Map();
+    dated.forEach(({ timestamp }) => {
+      const day = new Date(timestamp).toISOString().slice(0, 10);
+      perDay.set(day, (perDay.get(day) || 0) + 1);
+    });
+    const activity = [];
+    if (dated.length) {
+      const days = [...perDay.keys()];
+      const last = new Date(days[days.length - 1]);
+      for (let day = new Date(days[0]); day <= last; ) {
+        const date = day.toISOString().slice(0, 10);
+        activity.push({ date, count: perDay.get(date) || 0 });
+        day.setUTCDate(day.getUTCDate() + 1);
+      }
+    }
+
+    return { agent, statements: statements.length, scores, activity };
   } catch (error) {
     logger.error("Error visualizing actor progress:", error);
   } finally {
@@ -544,16 +2410,32 @@ async function visualizeActorProgress(actorId) {
   }
 }
 
+// authority is the JSON of an Agent or Group. The audit entry keeps the
+// authority it replaced.
 async function setStatementAuthority(statementId, authority) {
   try {
+    const agent = JSON.parse(authority);
     await connect();
     const collection = client.db(dbName).collection(collectionName);
+    const statement = await collection.findOne(
+      { id: statementId },
+      { projection: { authority: 1 } }
+    );
+    if (!statement) throw new Error(`Statement ${statementId} not found`);
     await collection.updateOne(
-      { _id: ObjectId(statementId) },
-      { $set: { authority: authority } }
+      { _id: statement._id },
+      { $set: { authority: agent } }
     );
+    await recordAudit("success", {
+      affected: {
+        statements: [statementId],
+        previousAuthority: statement.authority,
+      },
+    });
+    return true;
   } catch (error) {
     logger.error("Error setting statement authority:", error);
+    await recordAudit("failure", { error: error.message });
   } finally {
     await client.close();
   }
@@ -562,14 +2444,13 @@ async function setStatementAuthority(statementId, authority) {
 async function getMostActiveActors() {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const actors = await collection
-      .aggregate([
-        { $group: { _id: "$actor.mbox", count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-      ])
-      .toArray();
-    return actors;
+    const db = client.db(dbName);
+    return await analytics.mostActiveActors(
+      db.collection(collectionName),
+      NOT_VOIDED,
+      0,
+      await identity.loadAliases(db)
+    );
   } catch (error) {
     logger.error("Error fetching most active actors:", error);
   } finally {
@@ -577,22 +2458,14 @@ async function getMostActiveActors() {
   }
 }
 
+// Statement counts per verb for the statements matching a Mongo filter,
+// given as JSON
 async function visualizeVerbUsage(filter) {
-  // The exact implementation would depend on your visualization tool.
-  // Here's a basic aggregation to get verb usage.
   try {
+    const query = filter ? JSON.parse(filter) : {};
     await connect();
     const collection = client.db(dbName).collection(collectionName);
-    const verbUsage = await collection
-      .aggregate([
-        { $match: filter },
-        { $group: { _id: "$verb.id", count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-      ])
-      .toArray();
-
-    // Visualization logic here
-    return verbUsage;
+    return await analytics.verbUsage(collection, excludeVoided(query));
   } catch (error) {
     logger.error("Error visualizing verb usage:", error);
   } finally {
@@ -600,12 +2473,14 @@ async function visualizeVerbUsage(filter) {
   }
 }
 
+// Extension IRIs used in activity definitions, most used first
 async function listAllExtensions() {
   try {
     await connect();
-    const collection = client.db(dbName).collection(collectionName);
-    const extensions = await collection.distinct("object.extensions");
-    return extensions;
+    const usage = await activities.extensionUsage(
+      client.db(dbName).collection(activities.ACTIVITY_COLLECTION)
+    );
+    return usage.map(({ extension }) => extension);
   } catch (error) {
     logger.error("Error listing all extensions:", error);
   } finally {
@@ -619,7 +2494,10 @@ async function getStatementsByDuration(minDuration, maxDuration) {
     await connect();
     const collection = client.db(dbName).collection(collectionName);
     const statements = await collection
-      .find({ duration: { $gte: minDuration, $lte: maxDuration } })
+      .find({
+        duration: { $gte: minDuration, $lte: maxDuration },
+        ...NOT_VOIDED,
+      })
       .toArray();
     return statements;
   } catch (error) {
@@ -690,11 +2568,14 @@ async function mainMenu() {
   await mainMenu();
 }
 
-// Run the main menu when the script starts
-mainMenu().catch((err) => {
-  console.error("An error occurred:", err);
-  process.exit(1);
-});
+// Run the main menu when the script starts without a command
+if (process.argv.length <= 2) {
+  configure();
+  mainMenu().catch((err) => {
+    console.error("An error occurred:", err);
+    process.exit(1);
+  });
+}
 
 // Automated task that runs every hour
 // setInterval(async () => {
@@ -702,67 +2583,171 @@ mainMenu().catch((err) => {
 // }, 1000 * 60 * 60);
 
 // Set up CLI commands
-program.version("0.0.1");
+program
+  .version("0.0.1")
+  .option("--profile <name>", "Configuration profile to use")
+  .option("--uri <uri>", "MongoDB connection URI")
+  .option("--db <name>", "Database name")
+  .option("--collection <name>", "Statements collection name")
+  .option("--log-level <level>", "Logging level")
+  .hook("preAction", (thisCommand, actionCommand) => {
+    // `config set` may name a profile that does not exist yet
+    configure(program.opts(), {
+      newProfile:
+        actionCommand.name() === "set" &&
+        actionCommand.parent.name() === "config",
+    });
+    invocation = {
+      command: commandName(actionCommand),
+      arguments: actionCommand.processedArgs,
+      options: actionCommand.opts(),
+    };
+  });
 
 program
   .command("create <data>")
   .description("Create a new xAPI record")
-  .action(async (data) => {
+  .option("--strict", "Reject unregistered verbs and activity types")
+  .hook("preAction", requires("statements:write"))
+  .action(async (data, options) => {
     try {
       const jsonData = JSON.parse(data);
-      await createRecord(jsonData);
+      await createRecord(jsonData, options);
     } catch (error) {
       logger.error("Error during record creation:", error);
     }
   });
 
+addStatementFilterOptions(
+  program
+    .command("query [filter]")
+    .description(
+      "Query statements with xAPI filters, optionally narrowed by a Mongo JSON filter"
+    )
+)
+  .option("--limit <n>", `Statements per page (default ${QUERY_PAGE_SIZE})`)
+  .option("--ascending", "Oldest statements first")
+  .option("--format <format>", "exact, ids or canonical", "exact")
+  .option("--lang <languages>", "Preferred languages for --format canonical")
+  .option("--include-voided", "Include voided statements")
+  .option("--more <token>", "Continue from a previous page")
+  .option("--all", "Stream every page instead of stopping after the first")
+  .hook("preAction", requires("statements:read"))
+  .action(async (filter, options) => {
+    const count = await queryRecords(filter, options);
+    if (count === undefined) process.exitCode = 1;
+  });
+
+addStatementFilterOptions(
+  program
+    .command("push <endpoint>")
+    .description("Send statements to another LRS's xAPI endpoint")
+)
+  .option("--username <username>", "Basic auth username for the remote LRS")
+  .option("--password <password>", "Basic auth password for the remote LRS")
+  .option("--token <token>", "Bearer token for the remote LRS")
+  .option("--batch-size <n>", "Statements per request", "100")
+  .option("--retries <n>", "Retries for 5xx, 429 and network errors", "5")
+  .option("--restart", "Ignore the checkpoint and send everything again")
+  .hook("preAction", requires("statements:read"))
+  .action(async (endpoint, options) => {
+    const summary = await pushToLrs(endpoint, options);
+    if (!summary || summary.error || summary.failed) process.exitCode = 1;
+  });
+
+addStatementFilterOptions(
+  program
+    .command("pull <endpoint>")
+    .description("Fetch statements from another LRS's xAPI endpoint")
+)
+  .option("--username <username>", "Basic auth username for the remote LRS")
+  .option("--password <password>", "Basic auth password for the remote LRS")
+  .option("--token <token>", "Bearer token for the remote LRS")
+  .option("--page-size <n>", "Statements to request per page")
+  .option("--retries <n>", "Retries for 5xx, 429 and network errors", "5")
+  .option("--keep-stored", "Keep the remote stored time")
+  .option("--keep-authority", "Keep the remote authority")
+  .option("--restart", "Ignore the checkpoint and fetch everything again")
+  .hook("preAction", requires("statements:write"))
+  .action(async (endpoint, options) => {
+    const summary = await pullFromLrs(endpoint, options);
+    if (!summary || summary.error) process.exitCode = 1;
+  });
+
 program
-  .command("query <parameters>")
-  .description("Perform complex queries based on provided parameters")
-  .action(async (parameters) => {
-    await queryRecords(parameters);
+  .command("void <statementId>")
+  .description("Void a statement by storing a voiding statement for it")
+  .hook("preAction", requires("statements:write"))
+  .action(async (statementId) => {
+    const voidingId = await voidStatement(statementId);
+    if (!voidingId) process.exitCode = 1;
   });
 
 program
-  .command("bulkImport <filepath>")
-  .description("Bulk import xAPI data from a JSON file")
-  .action(async (filepath) => {
-    try {
-      const jsonData = JSON.parse(fs.readFileSync(filepath, "utf-8"));
-      await bulkInsert(jsonData);
-    } catch (error) {
-      logger.error("Error during bulk import:", error);
+  .command("get-voided <statementId>")
+  .description("Retrieve a voided statement")
+  .hook("preAction", requires("statements:read"))
+  .action(async (statementId) => {
+    const statement = await getVoidedStatement(statementId);
+    if (statement) {
+      console.log(JSON.stringify(statement, null, 2));
+    } else {
+      process.exitCode = 1;
     }
   });
 
+program
+  .command("bulkImport <filepath>")
+  .description("Bulk import xAPI data from a JSON or NDJSON file")
+  .option("--strict", "Reject unregistered verbs and activity types")
+  .hook("preAction", requires("statements:write"))
+  .action(async (filepath, options) => {
+    const summary = await importStatements(filepath, options);
+    if (!summary || summary.rejected) process.exitCode = 1;
+  });
+
 // Basic Functions
 
 program
   .command("listVerbs")
   .description("List all unique verbs used in stored xAPI statements")
+  .hook("preAction", requires("statements:read"))
   .action(async () => {
     const verbs = await listAllVerbs();
     console.log(verbs);
   });
 
+const actorColumns = [
+  { key: "name", header: "Name" },
+  { key: "identifiers", header: "Identifiers" },
+  { key: "actor", header: "Key" },
+  { key: "count", header: "Statements" },
+];
+
 program
   .command("listActors")
   .description("List all unique actors from the xAPI statements")
+  .hook("preAction", requires("statements:read"))
   .action(async () => {
     const actors = await listAllActors();
-    console.log(actors);
+    if (actors) console.log(charts.table(actors, actorColumns));
+    else process.exitCode = 1;
   });
 
 program
   .command("visualizeData <filter>")
-  .description("Provide basic visualization of xAPI data")
+  .description(
+    "Chart verbs, activities and scores for statements matching a filter"
+  )
+  .hook("preAction", requires("reports:run"))
   .action(async (filter) => {
-    await visualizeData(filter);
+    if (!(await visualizeData(filter))) process.exitCode = 1;
   });
 
 program
   .command("aggregate <pipeline>")
   .description("Perform aggregation operations on xAPI data")
+  .hook("preAction", requires("database:admin"))
   .action(async (pipeline) => {
     const result = await aggregateStatements(pipeline);
     console.log(result);
@@ -771,40 +2756,114 @@ program
 program
   .command("lrsStats")
   .description("Retrieve insights about the Learning Record Store")
+  .hook("preAction", requires("reports:run"))
   .action(async () => {
     const stats = await getLRSStats();
     console.log(stats);
   });
 
 program
-  .command("groupByDate <filter> <granularity>")
-  .description("Group xAPI statements by date")
-  .action(async (filter, granularity) => {
-    const groupedStatements = await groupStatementsByDate(filter, granularity);
-    console.log(groupedStatements);
+  .command("groupByDate [filter] [granularity]")
+  .description(
+    `Count statements per ${Object.keys(analytics.DATE_FORMATS).join(", ")}`
+  )
+  .option("--tz <timeZone>", "IANA time zone of the buckets", "UTC")
+  .option(
+    "--field <field>",
+    `Date to bucket on: ${analytics.DATE_FIELDS.join(", ")}`,
+    "timestamp"
+  )
+  .option("--no-fill", "Leave out buckets without statements")
+  .option("--format <format>", "table, json, ndjson or csv", "table")
+  .option("-o, --out <file>", "Write to a file instead of stdout")
+  .hook("preAction", requires("reports:run"))
+  .action(async (filter, granularity, options) => {
+    const buckets = await groupStatementsByDate(
+      filter || "{}",
+      granularity || "day",
+      options
+    );
+    if (!buckets) {
+      process.exitCode = 1;
+      return;
+    }
+    await writeRows(
+      buckets,
+      [
+        { key: "period", header: "Period" },
+        { key: "count", header: "Statements" },
+      ],
+      options
+    );
   });
 
 program
   .command("analyzeActivity <activityId>")
-  .description("Report on interactions related to an activity")
-  .action(async (activityId) => {
-    const report = await analyzeActivityInteractions(activityId);
-    console.log(report);
+  .description(
+    "Completion funnel, time to complete and drop-off for an activity"
+  )
+  .option("--since <timestamp>", "Only statements stored after this time")
+  .option(
+    "--until <timestamp>",
+    "Only statements stored at or before this time"
+  )
+  .option("--registration <registration>", "Registration UUID")
+  .option("--format <format>", "table or json", "table")
+  .hook("preAction", requires("reports:run"))
+  .action(async (activityId, options) => {
+    const funnel = await analyzeActivityInteractions(activityId, options);
+    if (!funnel) {
+      process.exitCode = 1;
+      return;
+    }
+    if (options.format === "json") {
+      console.log(JSON.stringify(funnel, null, 2));
+    } else {
+      printFunnel(funnel);
+    }
   });
 
 program
   .command("avgScoreByActivity <activityId>")
   .description("Retrieve average score for a specific activity")
+  .hook("preAction", requires("reports:run"))
   .action(async (activityId) => {
     const avgScore = await getAverageScoreByActivity(activityId);
     console.log(avgScore);
   });
 
+program
+  .command("item-analysis [assessmentId]")
+  .description(
+    "Difficulty, discrimination and distractor analysis of quiz questions"
+  )
+  .option("--since <timestamp>", "Only statements stored after this time")
+  .option(
+    "--until <timestamp>",
+    "Only statements stored at or before this time"
+  )
+  .option("--registration <registration>", "Registration UUID")
+  .option("--format <format>", "table or json", "table")
+  .hook("preAction", requires("reports:run"))
+  .action(async (assessmentId, options) => {
+    const analysis = await analyzeItems(assessmentId, options);
+    if (!analysis) {
+      process.exitCode = 1;
+      return;
+    }
+    if (options.format === "json") {
+      console.log(JSON.stringify(analysis, null, 2));
+    } else {
+      printItemAnalysis(analysis);
+    }
+  });
+
 // For Advanced Analysis:
 
 program
   .command("listVerbs")
   .description("List all unique verbs used in stored xAPI statements")
+  .hook("preAction", requires("statements:read"))
   .action(async () => {
     const verbs = await listAllVerbs();
     console.log(verbs);
@@ -813,21 +2872,27 @@ program
 program
   .command("listActors")
   .description("List all unique actors from the xAPI statements")
+  .hook("preAction", requires("statements:read"))
   .action(async () => {
     const actors = await listAllActors();
-    console.log(actors);
+    if (actors) console.log(charts.table(actors, actorColumns));
+    else process.exitCode = 1;
   });
 
 program
   .command("visualizeData <filter>")
-  .description("Provide basic visualization of xAPI data")
+  .description(
+    "Chart verbs, activities and scores for statements matching a filter"
+  )
+  .hook("preAction", requires("reports:run"))
   .action(async (filter) => {
-    await visualizeData(filter);
+    if (!(await visualizeData(filter))) process.exitCode = 1;
   });
 
 program
   .command("aggregate <pipeline>")
   .description("Perform aggregation operations on xAPI data")
+  .hook("preAction", requires("database:admin"))
   .action(async (pipeline) => {
     const result = await aggregateStatements(pipeline);
     console.log(result);
@@ -836,63 +2901,238 @@ program
 program
   .command("lrsStats")
   .description("Retrieve insights about the Learning Record Store")
+  .hook("preAction", requires("reports:run"))
   .action(async () => {
     const stats = await getLRSStats();
     console.log(stats);
   });
 
 program
-  .command("groupByDate <filter> <granularity>")
-  .description("Group xAPI statements by date")
-  .action(async (filter, granularity) => {
-    const groupedStatements = await groupStatementsByDate(filter, granularity);
-    console.log(groupedStatements);
+  .command("groupByDate [filter] [granularity]")
+  .description(
+    `Count statements per ${Object.keys(analytics.DATE_FORMATS).join(", ")}`
+  )
+  .option("--tz <timeZone>", "IANA time zone of the buckets", "UTC")
+  .option(
+    "--field <field>",
+    `Date to bucket on: ${analytics.DATE_FIELDS.join(", ")}`,
+    "timestamp"
+  )
+  .option("--no-fill", "Leave out buckets without statements")
+  .option("--format <format>", "table, json, ndjson or csv", "table")
+  .option("-o, --out <file>", "Write to a file instead of stdout")
+  .hook("preAction", requires("reports:run"))
+  .action(async (filter, granularity, options) => {
+    const buckets = await groupStatementsByDate(
+      filter || "{}",
+      granularity || "day",
+      options
+    );
+    if (!buckets) {
+      process.exitCode = 1;
+      return;
+    }
+    await writeRows(
+      buckets,
+      [
+        { key: "period", header: "Period" },
+        { key: "count", header: "Statements" },
+      ],
+      options
+    );
   });
 
 program
   .command("analyzeActivity <activityId>")
-  .description("Report on interactions related to an activity")
-  .action(async (activityId) => {
-    const report = await analyzeActivityInteractions(activityId);
-    console.log(report);
+  .description(
+    "Completion funnel, time to complete and drop-off for an activity"
+  )
+  .option("--since <timestamp>", "Only statements stored after this time")
+  .option(
+    "--until <timestamp>",
+    "Only statements stored at or before this time"
+  )
+  .option("--registration <registration>", "Registration UUID")
+  .option("--format <format>", "table or json", "table")
+  .hook("preAction", requires("reports:run"))
+  .action(async (activityId, options) => {
+    const funnel = await analyzeActivityInteractions(activityId, options);
+    if (!funnel) {
+      process.exitCode = 1;
+      return;
+    }
+    if (options.format === "json") {
+      console.log(JSON.stringify(funnel, null, 2));
+    } else {
+      printFunnel(funnel);
+    }
   });
 
 program
   .command("avgScoreByActivity <activityId>")
   .description("Retrieve average score for a specific activity")
+  .hook("preAction", requires("reports:run"))
   .action(async (activityId) => {
     const avgScore = await getAverageScoreByActivity(activityId);
     console.log(avgScore);
   });
 
+program
+  .command("serve")
+  .description("Serve the xAPI Statements API over HTTP")
+  .option("-p, --port <port>", "Port to listen on", "8080")
+  .option("--host <host>", "Interface to bind to", "127.0.0.1")
+  .option("--base-path <path>", "Path the xAPI resources live under", "/xAPI")
+  .option("--rate-limit <requests>", "Requests per minute per client", "300")
+  .hook("preAction", requires("database:admin"))
+  .action(async (options) => {
+    await serve(options);
+  });
+
+// For State, Activity Profile and Agent Profile documents
+
+function registerDocumentCommands(name, type, description, keyOptions) {
+  const { idKey } = documents.DOCUMENT_TYPES[type];
+  const command = program.command(name).description(description);
+  const withKeys = (subcommand) => {
+    keyOptions.forEach(([flags, help]) =>
+      subcommand.requiredOption(flags, help)
+    );
+    if (type === "state") {
+      subcommand.option(
+        "--registration <registration>",
+        "Registration the state belongs to"
+      );
+    }
+    return subcommand;
+  };
+  const params = (id, options) => ({
+    activityId: options.activity,
+    agent: options.agent,
+    registration: options.registration,
+    [idKey]: id,
+  });
+
+  withKeys(command.command("list"))
+    .description(`List ${idKey}s`)
+    .option("--since <timestamp>", "Only documents updated after this time")
+    .hook("preAction", requires("statements:read"))
+    .action(async (options) => {
+      await listDocuments(type, {
+        ...params(undefined, options),
+        since: options.since,
+      });
+    });
+
+  withKeys(command.command(`get <${idKey}>`))
+    .description("Print a document, or write it to --out")
+    .option("-o, --out <file>", "File to write the document to")
+    .hook("preAction", requires("statements:read"))
+    .action(async (id, options) => {
+      await getDocumentContent(type, params(id, options), options.out);
+    });
+
+  withKeys(command.command(`put <${idKey}> <file>`))
+    .description("Store a document from a file")
+    .option("--content-type <type>", "Content type of the document")
+    .option("--merge", "Merge a JSON document into the stored one")
+    .option(
+      "--if-match <etag>",
+      "Only write if the stored document has this ETag"
+    )
+    .option(
+      "--if-none-match <etag>",
+      'Only write if no document matches ("*" for any)'
+    )
+    .hook("preAction", requires("statements:write"))
+    .action(async (id, file, options) => {
+      await putDocumentContent(type, params(id, options), file, options);
+    });
+
+  withKeys(
+    command.command(
+      type === "state" ? `delete [${idKey}]` : `delete <${idKey}>`
+    )
+  )
+    .description(
+      type === "state"
+        ? "Delete a State document, or all of them for the activity, agent and registration"
+        : "Delete a document"
+    )
+    .option(
+      "--if-match <etag>",
+      "Only delete if the stored document has this ETag"
+    )
+    .hook("preAction", requires("statements:write"))
+    .action(async (id, options) => {
+      await deleteDocumentContent(type, params(id, options), options);
+    });
+}
+
+const activityOption = ["--activity <activityId>", "Activity IRI"];
+const agentOption = [
+  "--agent <agent>",
+  'Agent as JSON, e.g. \'{"mbox":"mailto:learner@example.com"}\'',
+];
+
+registerDocumentCommands(
+  "state",
+  "state",
+  "Manage State documents (bookmarks, suspend data)",
+  [activityOption, agentOption]
+);
+registerDocumentCommands(
+  "activity-profile",
+  "activityProfile",
+  "Manage Activity Profile documents",
+  [activityOption]
+);
+registerDocumentCommands(
+  "agent-profile",
+  "agentProfile",
+  "Manage Agent Profile documents",
+  [agentOption]
+);
+
 // For Database Management
 
 program
   .command("check-health")
   .description("Check the health of the xAPI database")
+  .hook("preAction", requires("statements:read"))
   .action(async () => {
     await checkDatabaseHealth();
   });
 
 program
   .command("backup <destinationPath>")
-  .description("Create a backup of the xAPI records")
-  .action(async (destinationPath) => {
-    await backupDatabase(destinationPath);
-    console.log(`Database backed up to ${destinationPath}`);
+  .description("Back up statements, verbs and activity types to an archive")
+  .option("--since <timestamp>", "Only statements written after this time")
+  .option(
+    "--incremental <previousBackup>",
+    "Only statements written since a previous backup was taken"
+  )
+  .hook("preAction", requires("database:admin"))
+  .action(async (destinationPath, options) => {
+    const manifest = await backupDatabase(destinationPath, options);
+    if (!manifest) process.exitCode = 1;
   });
 
 program
-  .command("restore <backupPath>")
-  .description("Restore xAPI records from a backup")
-  .action(async (backupPath) => {
-    await restoreDatabaseFromBackup(backupPath);
-    console.log(`Database restored from ${backupPath}`);
+  .command("restore <backupPaths...>")
+  .description("Restore xAPI records from one or more backup archives")
+  .option("--verify", "Verify every archive before writing anything")
+  .option("--dry-run", "Only verify the archives")
+  .hook("preAction", requires("database:admin"))
+  .action(async (backupPaths, options) => {
+    const restored = await restoreDatabaseFromBackup(backupPaths, options);
+    if (!restored) process.exitCode = 1;
   });
 
 program
   .command("reset-db")
   .description("Purge all records (with warnings and confirmations)")
+  .hook("preAction", requires("database:admin"))
   .action(async () => {
     const response = await inquirer.prompt([
       {
@@ -909,6 +3149,8 @@ program
       console.log("Database records purged.");
     } else {
       console.log("Operation cancelled.");
+      await recordAudit("cancelled");
+      await client.close();
     }
   });
 
@@ -919,26 +3161,81 @@ program
 program
   .command("bulk-store <data>")
   .description("Store multiple xAPI statements at once")
-  .action(async (data) => {
+  .option("--strict", "Reject unregistered verbs and activity types")
+  .hook("preAction", requires("statements:write"))
+  .action(async (data, options) => {
     const jsonData = JSON.parse(data);
-    await bulkStoreStatements(jsonData);
-    console.log("Statements stored successfully.");
+    const results = await bulkStoreStatements(jsonData, options);
+    if (
+      !results ||
+      results.some(({ status }) => status !== "stored" && status !== "skipped")
+    ) {
+      process.exitCode = 1;
+    }
+  });
+
+addStatementFilterOptions(
+  program
+    .command("report [filter]")
+    .description("Write an HTML analytics report for the matching statements")
+)
+  .option("-o, --out <file>", "Where to write the report")
+  .option("--title <title>", "Report title", "xAPI activity report")
+  .option(
+    "--granularity <unit>",
+    Object.keys(analytics.DATE_FORMATS).join(", "),
+    "day"
+  )
+  .option("--tz <timeZone>", "IANA time zone for statements over time", "UTC")
+  .option("--top <n>", "Rows in each ranking", "20")
+  .option("--include-voided", "Include voided statements")
+  .hook("preAction", requires("reports:run"))
+  .action(async (filter, options) => {
+    if (!(await generateReport(filter, options))) process.exitCode = 1;
   });
 
 program
-  .command("export-statements <filter> <format>")
-  .description("Export xAPI statements to a chosen format (e.g., JSON, CSV)")
-  .action(async (filter, format) => {
-    await exportStatements(filter, format);
-    console.log(`Statements exported in ${format} format.`);
+  .command("export-statements [filter] [format]")
+  .description("Export xAPI statements as JSON, NDJSON or CSV")
+  .option("-o, --out <file>", "Write to a file instead of stdout")
+  .option("--format <format>", exporter.EXPORT_FORMATS.join(", "))
+  .option("--gzip", "Compress the output with gzip")
+  .option(
+    "--columns <columns>",
+    "CSV columns as comma-separated statement paths",
+    exporter.DEFAULT_COLUMNS
+  )
+  .option("--lang <languages>", "Preferred languages for language maps in CSV")
+  .option("--include-voided", "Include voided statements")
+  .option(
+    "--anonymise",
+    "Replace every Agent's identifiers with a salted hash and drop names"
+  )
+  .option(
+    "--salt <salt>",
+    "Pseudonym salt (default: the pseudonymSalt setting)"
+  )
+  .hook("preAction", requires("statements:read"))
+  .action(async (filter, format, options) => {
+    const count = await exportStatements(filter, {
+      ...options,
+      format: options.format || format,
+    });
+    if (count === undefined) process.exitCode = 1;
   });
 
 program
   .command("import-statements <filePath>")
-  .description("Import xAPI statements from a file")
-  .action(async (filePath) => {
-    await importStatements(filePath);
-    console.log(`Statements imported from ${filePath}.`);
+  .description("Import xAPI statements from a JSON array or NDJSON file")
+  .option("--batch-size <n>", "Statements stored per batch", "500")
+  .option("--rejects <path>", "Where to write rejected records")
+  .option("--checkpoint <path>", "Where to keep the resume checkpoint")
+  .option("--restart", "Ignore an existing checkpoint and start over")
+  .option("--strict", "Reject unregistered verbs and activity types")
+  .hook("preAction", requires("statements:write"))
+  .action(async (filePath, options) => {
+    const summary = await importStatements(filePath, options);
+    if (!summary || summary.rejected) process.exitCode = 1;
   });
 
 // For Profile & Standards Management
@@ -946,35 +3243,275 @@ program
 program
   .command("validate <data>")
   .description("Check if xAPI statement conforms to ADL standards")
-  .action(async (data) => {
-    const jsonData = JSON.parse(data);
-    await validateStatement(jsonData);
-    console.log("Statement validation complete.");
+  .action((data) => {
+    let jsonData;
+    try {
+      jsonData = JSON.parse(data);
+    } catch (error) {
+      logger.error(`Statement is not valid JSON: ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { valid, errors } = validateStatement(jsonData);
+    if (valid) {
+      console.log("Statement is valid.");
+      return;
+    }
+
+    console.error("Statement is invalid:");
+    errors.forEach(({ path, message }) =>
+      console.error(`  ${path} ${message}`)
+    );
+    process.exitCode = 1;
   });
 
+// The original registration commands; a definition in an unknown language
+// is filed under "und"
 program
   .command("register-verb <verb> <definition>")
-  .description("Register new verbs")
+  .description("Register new verbs (see also: verbs add)")
+  .hook("preAction", requires("vocabulary:write"))
   .action(async (verb, definition) => {
-    await registerNewVerb(verb, definition);
-    console.log(`Verb '${verb}' registered successfully.`);
+    const entry = await registerVocabularyEntry("verb", {
+      id: verb,
+      definition: { und: definition },
+    });
+    if (!entry) process.exitCode = 1;
   });
 
 program
   .command("register-activity-type <type> <definition>")
-  .description("Register new activity types")
+  .description("Register new activity types (see also: activity-types add)")
+  .hook("preAction", requires("vocabulary:write"))
   .action(async (type, definition) => {
-    await registerNewActivityType(type, definition);
-    console.log(`Activity type '${type}' registered successfully.`);
+    const entry = await registerVocabularyEntry("activityType", {
+      id: type,
+      definition: { und: definition },
+    });
+    if (!entry) process.exitCode = 1;
+  });
+
+function registerVocabularyCommands(name, kind, description) {
+  const { label } = vocabulary.VOCABULARY_KINDS[kind];
+  const command = program.command(name).description(description);
+  const withLanguageMaps = (subcommand) =>
+    subcommand
+      .option(
+        "--label <lang=text>",
+        "Display label in one language (repeatable)",
+        collectLanguage
+      )
+      .option(
+        "--definition <lang=text>",
+        "Definition in one language (repeatable)",
+        collectLanguage
+      );
+
+  command
+    .command("list")
+    .description(`List registered ${label}s`)
+    .option("--active", "Leave out deprecated terms")
+    .option("--lang <languages>", "Preferred languages for labels")
+    .option("--format <format>", "table or json", "table")
+    .hook("preAction", requires("statements:read"))
+    .action(async (options) => {
+      const entries = await listVocabulary(kind, options);
+      if (!entries) {
+        process.exitCode = 1;
+      } else if (options.format === "json") {
+        console.log(JSON.stringify(entries, null, 2));
+      } else {
+        const languages = options.lang ? options.lang.split(",") : [];
+        console.log(
+          charts.table(
+            entries.map((entry) => ({
+              ...entry,
+              label: vocabulary.displayLabel(entry, languages),
+              languages: Object.keys(entry.prefLabel).join(", "),
+              status: entry.deprecated
+                ? `deprecated${
+                    entry.replacedBy ? ` → ${entry.replacedBy}` : ""
+                  }`
+                : "",
+            })),
+            [
+              { key: "id", header: "Id" },
+              { key: "label", header: "Label" },
+              { key: "languages", header: "Languages" },
+              { key: "status", header: "Status" },
+            ]
+          )
+        );
+      }
+    });
+
+  command
+    .command("show <id>")
+    .description(`Show a ${label} with all its labels and definitions`)
+    .hook("preAction", requires("statements:read"))
+    .action(async (id) => {
+      const entry = await showVocabularyEntry(kind, id);
+      if (!entry) {
+        process.exitCode = 1;
+      } else {
+        console.log(JSON.stringify(entry, null, 2));
+      }
+    });
+
+  withLanguageMaps(command.command("add <id>"))
+    .description(`Register a ${label}`)
+    .hook("preAction", requires("vocabulary:write"))
+    .action(async (id, options) => {
+      const entry = await registerVocabularyEntry(kind, {
+        id,
+        prefLabel: options.label,
+        definition: options.definition,
+      });
+      if (!entry) process.exitCode = 1;
+    });
+
+  withLanguageMaps(command.command("update <id>"))
+    .description(
+      `Change a ${label}'s labels or definitions (lang= removes a language)`
+    )
+    .option("--undeprecate", "Mark the term as in use again")
+    .hook("preAction", requires("vocabulary:write"))
+    .action(async (id, options) => {
+      const entry = await updateVocabularyEntry(kind, id, {
+        prefLabel: options.label,
+        definition: options.definition,
+        deprecated: options.undeprecate ? false : undefined,
+      });
+      if (!entry) process.exitCode = 1;
+    });
+
+  command
+    .command("deprecate <id>")
+    .description(`Mark a ${label} as no longer to be used`)
+    .option("--replaced-by <id>", `The ${label} to use instead`)
+    .hook("preAction", requires("vocabulary:write"))
+    .action(async (id, options) => {
+      const entry = await updateVocabularyEntry(kind, id, {
+        deprecated: true,
+        replacedBy: options.replacedBy,
+      });
+      if (!entry) process.exitCode = 1;
+    });
+
+  command
+    .command("remove <id>")
+    .description(`Remove a ${label} from the registry`)
+    .hook("preAction", requires("vocabulary:write"))
+    .action(async (id) => {
+      if (!(await removeVocabularyEntry(kind, id))) process.exitCode = 1;
+    });
+}
+
+registerVocabularyCommands(
+  "verbs",
+  "verb",
+  "Manage the registry of verbs and their display labels"
+);
+registerVocabularyCommands(
+  "activity-types",
+  "activityType",
+  "Manage the registry of activity types"
+);
+
+program
+  .command("import-vocabulary <source>")
+  .description(
+    "Register the verbs and activity types of a JSON-LD vocabulary or xAPI Profile (file or URL)"
+  )
+  .hook("preAction", requires("vocabulary:write"))
+  .action(async (source) => {
+    if (!(await importVocabularyDocument(source))) process.exitCode = 1;
+  });
+
+program
+  .command("import-profile <filePath>")
+  .description("Store an xAPI Profile (JSON-LD) in the profiles collection")
+  .hook("preAction", requires("vocabulary:write"))
+  .action(async (filePath) => {
+    await importProfile(filePath);
   });
 
 program
-  .command("check-profile <profileId> <statement>")
-  .description("Check statement against an xAPI profile")
-  .action(async (profileId, statement) => {
-    const jsonData = JSON.parse(statement);
-    await checkStatementAgainstProfile(profileId, jsonData);
-    console.log("Statement checked against the profile.");
+  .command("check-profile <profile> [statement]")
+  .description(
+    "Check a statement, or a registration's statements, against an xAPI profile (file or stored profile id)"
+  )
+  .option("--template <templateId>", "Check against this Statement Template")
+  .option(
+    "--registration <registration>",
+    "Check the stored statements of a registration against the profile's patterns"
+  )
+  .option(
+    "--sequence <filePath>",
+    "Check a JSON array of statements against the profile's patterns"
+  )
+  .option("--pattern <patternId>", "Only check this primary pattern")
+  .hook("preAction", requires("statements:read"))
+  .action(async (profile, statement, options) => {
+    if (!statement && !options.registration && !options.sequence) {
+      logger.error(
+        "Provide a statement, --registration <registration> or --sequence <filePath>"
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = statement && JSON.parse(statement);
+    } catch (error) {
+      logger.error(`Statement is not valid JSON: ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const report = await checkStatementAgainstProfile(profile, parsed, options);
+    if (!report) {
+      process.exitCode = 1;
+      return;
+    }
+
+    if (report.patterns) {
+      report.patterns.forEach((result) => {
+        console.log(
+          `${result.conforms ? "PASS" : "FAIL"} pattern ${result.pattern}${
+            result.label ? ` (${result.label})` : ""
+          }`
+        );
+        if (!result.conforms) {
+          console.log(`  ${result.error}`);
+          if (result.statementId) {
+            console.log(`  statement id: ${result.statementId}`);
+          }
+          (result.expected || []).forEach(({ template, step }) =>
+            console.log(`  expected ${template} at ${step}`)
+          );
+        }
+      });
+    } else {
+      report.errors.forEach((error) => console.log(`FAIL ${error}`));
+      report.templates.forEach((result) => {
+        console.log(
+          `${result.conforms ? "PASS" : "FAIL"} template ${result.id}${
+            result.label ? ` (${result.label})` : ""
+          }`
+        );
+        result.errors.forEach((error) => console.log(`  ${error}`));
+      });
+    }
+
+    console.log(
+      report.conforms
+        ? "Conforms to the profile."
+        : "Does not conform to the profile."
+    );
+    if (!report.conforms) process.exitCode = 1;
   });
 
 program
@@ -996,6 +3533,7 @@ program
 program
   .command("search-statements <query>")
   .description("Search for statements by content")
+  .hook("preAction", requires("statements:read"))
   .action(async (query) => {
     const results = await searchStatementsByContent(query);
     console.log("Search Results:", results);
@@ -1004,49 +3542,565 @@ program
 program
   .command("list-object-types")
   .description("List all object types in the LRS")
+  .hook("preAction", requires("statements:read"))
   .action(async () => {
     const types = await listAllObjectTypes();
     console.log("Object Types:", types);
   });
 
 program
-  .command("visualize-actor-progress <actorId>")
-  .description("Visualize the progress of an actor")
-  .action(async (actorId) => {
-    const progressData = await visualizeActorProgress(actorId);
-    console.log("Progress Data:", progressData);
-    // Add logic for actual visualization here
+  .command("visualize-actor-progress <actor>")
+  .description(
+    "Chart an actor's scores and activity over time (Agent JSON or email)"
+  )
+  .hook("preAction", requires("reports:run"))
+  .action(async (actor) => {
+    const progress = await visualizeActorProgress(actor);
+    if (!progress) {
+      process.exitCode = 1;
+      return;
+    }
+
+    const { scores, activity } = progress;
+    console.log(`${progress.statements} statements`);
+    console.log();
+    printChart(
+      () =>
+        charts.lineChart(
+          scores.map(({ timestamp, scaled }) => ({
+            label: timestamp.slice(0, 10),
+            value: scaled,
+          })),
+          {
+            height: 8,
+            title: `Scaled scores  ${charts.sparkline(
+              scores.map(({ scaled }) => scaled)
+            )}`,
+          }
+        ),
+      scores,
+      [
+        { key: "timestamp", header: "Timestamp" },
+        { key: "verb", header: "Verb" },
+        { key: "activity", header: "Activity" },
+        { key: "scaled", header: "Scaled" },
+      ]
+    );
+    printChart(
+      () =>
+        charts.lineChart(
+          activity.map(({ date, count }) => ({ label: date, value: count })),
+          {
+            height: 6,
+            title: `Statements per day  ${charts.sparkline(
+              activity.map(({ count }) => count)
+            )}`,
+          }
+        ),
+      activity,
+      [
+        { key: "date", header: "Date" },
+        { key: "count", header: "Statements" },
+      ]
+    );
+    if (scores.length) printScoreHistogram(scores.map(({ scaled }) => scaled));
   });
 
 program
   .command("set-statement-authority <statementId> <authority>")
-  .description("Set the authority for an xAPI statement")
+  .description("Set the authority (Agent or Group JSON) of an xAPI statement")
+  .hook("preAction", requires("database:admin"))
   .action(async (statementId, authority) => {
-    await setStatementAuthority(statementId, authority);
-    console.log(`Authority set for statement ${statementId}.`);
+    if (await setStatementAuthority(statementId, authority)) {
+      console.log(`Authority set for statement ${statementId}.`);
+    } else {
+      process.exitCode = 1;
+    }
   });
 
 program
   .command("most-active-actors")
   .description("Get the most active actors")
+  .hook("preAction", requires("reports:run"))
   .action(async () => {
     const actors = await getMostActiveActors();
-    console.log("Most Active Actors:", actors);
+    if (actors) console.log(charts.table(actors, actorColumns));
+    else process.exitCode = 1;
   });
 
-program
-  .command("visualize-verb-usage")
-  .description("Visualize verb usage")
+const actors = program
+  .command("actors")
+  .description("Actor identities and the aliases that tie them together");
+
+actors
+  .command("list")
+  .description("List people with their identifiers and statement counts")
+  .option("--format <format>", "table or json", "table")
+  .hook("preAction", requires("statements:read"))
+  .action(async (options) => {
+    const people = await listAllActors();
+    if (!people) {
+      process.exitCode = 1;
+    } else if (options.format === "json") {
+      console.log(JSON.stringify(people, null, 2));
+    } else {
+      console.log(charts.table(people, actorColumns));
+    }
+  });
+
+actors
+  .command("merge <keep> <alias>")
+  .description(
+    "Treat alias as the same person as keep (email, mailto:, SHA1, OpenID, Agent JSON or actor key)"
+  )
+  .hook("preAction", requires("actors:write"))
+  .action(async (keep, alias) => {
+    if (!(await mergeActorIdentities(keep, alias))) process.exitCode = 1;
+  });
+
+actors
+  .command("unmerge <identifier>")
+  .description("Undo a merge, making identifier a person of its own")
+  .hook("preAction", requires("actors:write"))
+  .action(async (identifier) => {
+    if (!(await unmergeActorIdentity(identifier))) process.exitCode = 1;
+  });
+
+actors
+  .command("aliases")
+  .description("List merged identifiers and who they belong to")
+  .hook("preAction", requires("statements:read"))
+  .action(async () => {
+    const aliases = await listActorAliases();
+    if (!aliases) {
+      process.exitCode = 1;
+      return;
+    }
+    console.log(
+      charts.table(aliases, [
+        { key: "_id", header: "Alias" },
+        { key: "canonical", header: "Person" },
+        { key: "merged", header: "Merged" },
+      ])
+    );
+  });
+
+actors
+  .command("reindex")
+  .description("Index the actors of statements stored by older versions")
+  .hook("preAction", requires("actors:write"))
   .action(async () => {
-    const filter = {}; // Define filter based on your needs
+    if ((await reindexActors()) === undefined) process.exitCode = 1;
+  });
+
+program
+  .command("forget-actor <identifier>")
+  .description(
+    "Erase a learner's statements and documents (email, mailto:, SHA1, OpenID, Agent JSON or actor key)"
+  )
+  .option(
+    "--pseudonymise",
+    "Replace the learner with a salted hash instead of deleting statements"
+  )
+  .option("--dry-run", "Only report what would be erased")
+  .option("-y, --yes", "Do not ask for confirmation")
+  .option(
+    "--receipt <path>",
+    "Where to write the receipt (default: erasure-<id>.json)"
+  )
+  .option(
+    "--salt <salt>",
+    "Pseudonym salt (default: the pseudonymSalt setting)"
+  )
+  .option(
+    "--secret <secret>",
+    "Receipt signing secret (default: the receiptSecret setting)"
+  )
+  .hook("preAction", requires("privacy:erase"))
+  .action(async (identifier, options) => {
+    if ((await forgetActor(identifier, options)) === undefined) {
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command("verify-receipt <file> [identifier]")
+  .description(
+    "Check an erasure receipt's signature, and that it covers identifier"
+  )
+  .option(
+    "--secret <secret>",
+    "Receipt signing secret (default: the receiptSecret setting)"
+  )
+  .action((file, identifier, options) => {
+    const result = verifyErasureReceipt(file, identifier, options);
+    if (!result) {
+      process.exitCode = 1;
+    } else if (result.valid) {
+      console.log("Receipt is valid");
+    } else {
+      console.log(`Receipt is not valid: ${result.reason}`);
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command("visualize-verb-usage [filter]")
+  .description("Chart how often each verb is used")
+  .hook("preAction", requires("reports:run"))
+  .action(async (filter) => {
     const verbUsage = await visualizeVerbUsage(filter);
-    console.log("Verb Usage:", verbUsage);
-    // Add logic for actual visualization here
+    if (!verbUsage) {
+      process.exitCode = 1;
+      return;
+    }
+    printChart(
+      () =>
+        charts.barChart(
+          verbUsage.map(({ name, count }) => ({ label: name, value: count })),
+          { title: "Verb usage" }
+        ),
+      verbUsage,
+      [
+        { key: "name", header: "Verb" },
+        { key: "id", header: "Id" },
+        { key: "count", header: "Statements" },
+      ]
+    );
+  });
+
+const activityCommand = program
+  .command("activity")
+  .description("Canonical activity definitions built from stored statements");
+
+activityCommand
+  .command("list")
+  .description("List activities with their names, types and statement counts")
+  .option("--type <type>", "Only activities of this activity type")
+  .option("--search <text>", "Only activities whose id or name contains text")
+  .option("--lang <languages>", "Preferred languages for names")
+  .option("--format <format>", "table or json", "table")
+  .hook("preAction", requires("statements:read"))
+  .action(async (options) => {
+    const rows = await listActivityDefinitions(options);
+    if (!rows) {
+      process.exitCode = 1;
+    } else if (options.format === "json") {
+      console.log(JSON.stringify(rows, null, 2));
+    } else {
+      const languages = options.lang ? options.lang.split(",") : [];
+      console.log(
+        charts.table(
+          rows.map((activity) => ({
+            ...activity,
+            name: activityName(activity, languages),
+            type: activity.definition.type,
+          })),
+          [
+            { key: "id", header: "Id" },
+            { key: "name", header: "Name" },
+            { key: "type", header: "Type" },
+            { key: "statements", header: "Statements" },
+          ]
+        )
+      );
+    }
+  });
+
+activityCommand
+  .command("show <activityId>")
+  .description(
+    "Show an activity's canonical definition, relationships and statement counts"
+  )
+  .option("--lang <languages>", "Preferred languages for the name")
+  .option("--format <format>", "text or json", "text")
+  .hook("preAction", requires("statements:read"))
+  .action(async (activityId, options) => {
+    const activity = await showActivityDefinition(activityId);
+    if (!activity) {
+      process.exitCode = 1;
+    } else if (options.format === "json") {
+      console.log(JSON.stringify(activity, null, 2));
+    } else {
+      printActivity(activity, options.lang ? options.lang.split(",") : []);
+    }
+  });
+
+activityCommand
+  .command("import-manifest <file>")
+  .description(
+    "Import activity names and structure from tincan.xml or cmi5.xml"
+  )
+  .hook("preAction", requires("vocabulary:write"))
+  .action(async (file) => {
+    if ((await importCourseManifest(file)) === undefined) process.exitCode = 1;
+  });
+
+activityCommand
+  .command("rebuild")
+  .description("Rebuild activity definitions from every stored statement")
+  .hook("preAction", requires("vocabulary:write"))
+  .action(async () => {
+    if ((await rebuildActivityDefinitions()) === undefined) {
+      process.exitCode = 1;
+    }
+  });
+
+const userCommand = program
+  .command("user")
+  .description("User accounts that can log in to the CLI");
+
+userCommand
+  .command("add <username>")
+  .description("Add a user, asking for their password")
+  .option(
+    "--roles <roles>",
+    `Comma-separated roles: ${Object.keys(permissions.ROLES).join(", ")}`,
+    "reader"
+  )
+  .hook("preAction", requires("users:admin", { bootstrap: true }))
+  .action(async (username, options) => {
+    if (!(await addUserAccount(username, options))) process.exitCode = 1;
+  });
+
+userCommand
+  .command("set-roles <username> <roles>")
+  .description("Replace a user's roles with a comma-separated list")
+  .hook("preAction", requires("users:admin"))
+  .action(async (username, roles) => {
+    const list = roles.split(",").map((role) => role.trim());
+    if (!(await setUserRoles(username, list))) process.exitCode = 1;
+  });
+
+userCommand
+  .command("remove <username>")
+  .description("Remove a user")
+  .hook("preAction", requires("users:admin"))
+  .action(async (username) => {
+    if (!(await removeUserAccount(username))) process.exitCode = 1;
+  });
+
+userCommand
+  .command("list")
+  .description("List users with when they were added and last logged in")
+  .option("--format <format>", "table or json", "table")
+  .hook("preAction", requires("users:admin"))
+  .action(async (options) => {
+    const accounts = await listUserAccounts();
+    if (!accounts) {
+      process.exitCode = 1;
+    } else if (options.format === "json") {
+      console.log(JSON.stringify(accounts, null, 2));
+    } else {
+      console.log(
+        charts.table(accounts, [
+          { key: "username", header: "User" },
+          { key: "roles", header: "Roles" },
+          { key: "twoFactor", header: "Two-factor" },
+          { key: "created", header: "Added" },
+          { key: "lastLogin", header: "Last login" },
+        ])
+      );
+    }
+  });
+
+userCommand
+  .command("reset-2fa <username>")
+  .description("Make a user set up two-factor authentication again")
+  .hook("preAction", requires("users:admin"))
+  .action(async (username) => {
+    if (!(await resetTwoFactor(username))) process.exitCode = 1;
+  });
+
+program
+  .command("login [username]")
+  .description(
+    "Log in with a password and an authentication code for the selected profile"
+  )
+  .action(async (username) => {
+    if (!(await login(username))) process.exitCode = 1;
+  });
+
+program
+  .command("logout")
+  .description("Forget the session of the selected profile")
+  .action(() => {
+    if (auth.clearSession(settings)) {
+      logger.info(`Logged out of profile ${settings.profile}`);
+    } else {
+      console.log(`Not logged in to profile ${settings.profile}`);
+    }
+  });
+
+program
+  .command("whoami")
+  .description("Show who is logged in to the selected profile")
+  .action(() => {
+    if (!session) {
+      console.log(`Not logged in to profile ${settings.profile}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(
+      `${session.userId} (profile ${
+        settings.profile
+      }, session expires ${new Date(session.exp * 1000).toISOString()})`
+    );
+  });
+
+const configCommand = program
+  .command("config")
+  .description("Settings and connection profiles (~/.empress/config)");
+
+configCommand
+  .command("list")
+  .description(
+    "Show every setting of the selected profile and where its value comes from"
+  )
+  .option("--show-secrets", "Show secrets instead of masking them")
+  .option("--format <format>", "table or json", "table")
+  .action((options) => {
+    const rows = listConfig(options);
+    if (options.format === "json") {
+      console.log(
+        JSON.stringify(
+          {
+            profile: settings.profile,
+            profiles: settings.profiles,
+            files: settings.files,
+            settings: rows,
+          },
+          null,
+          2
+        )
+      );
+      return;
+    }
+    console.log(
+      `Profile: ${settings.profile}${
+        settings.profiles.length
+          ? ` (defined: ${settings.profiles.join(", ")})`
+          : ""
+      }`
+    );
+    console.log(
+      charts.table(rows, [
+        { key: "setting", header: "Setting" },
+        { key: "value", header: "Value" },
+        { key: "source", header: "Source" },
+      ])
+    );
+  });
+
+configCommand
+  .command("get <setting>")
+  .description("Print the value of one setting for the selected profile")
+  .action((name) => {
+    const value = getConfigValue(name);
+    if (value === undefined) process.exitCode = 1;
+    else console.log(String(value));
+  });
+
+configCommand
+  .command("set <setting> <value>")
+  .description("Save a setting in the selected profile")
+  .option("--project", "Write the project's .empress/config")
+  .hook("preAction", requiresForSecrets("database:admin"))
+  .action(async (name, value, options) => {
+    if (!setConfigValue(name, value, options)) process.exitCode = 1;
+    await disconnect();
+  });
+
+configCommand
+  .command("unset <setting>")
+  .description("Remove a setting from the selected profile")
+  .option("--project", "Write the project's .empress/config")
+  .hook("preAction", requiresForSecrets("database:admin"))
+  .action(async (name, options) => {
+    if (!setConfigValue(name, undefined, options)) process.exitCode = 1;
+    await disconnect();
+  });
+
+configCommand
+  .command("use <profile>")
+  .description("Make a profile the default when --profile is not given")
+  .option("--project", "Write the project's .empress/config")
+  .action((profile, options) => {
+    if (!useConfigProfile(profile, options)) process.exitCode = 1;
+  });
+
+const auditCommand = program
+  .command("audit")
+  .description("Who changed what, from the audit trail of mutating commands");
+
+auditCommand
+  .command("list")
+  .description("List audit entries, newest first")
+  .option("--user <username>", "Entries of one user")
+  .option(
+    "--command <name>",
+    'Entries of one command, e.g. "reset-db" or "user"'
+  )
+  .option("--since <timestamp>", "Entries at or after an ISO 8601 time")
+  .option("--until <timestamp>", "Entries before an ISO 8601 time")
+  .option("--outcome <outcome>", "success, failure or cancelled")
+  .option("--limit <n>", "At most n entries")
+  .option("--format <format>", "table or json", "table")
+  .hook("preAction", requires("audit:read"))
+  .action(async (options) => {
+    const entries = await queryAuditTrail(options);
+    if (!entries) {
+      process.exitCode = 1;
+    } else if (options.format === "json") {
+      console.log(JSON.stringify(entries, null, 2));
+    } else {
+      console.log(
+        charts.table(
+          entries.map((entry) => ({
+            ...entry,
+            result: entry.error
+              ? `${entry.outcome}: ${entry.error}`
+              : entry.outcome,
+            summary: auditSummary(entry),
+          })),
+          [
+            { key: "time", header: "Time" },
+            { key: "user", header: "User" },
+            { key: "command", header: "Command" },
+            { key: "summary", header: "Affected" },
+            { key: "result", header: "Outcome" },
+          ]
+        )
+      );
+    }
+  });
+
+auditCommand
+  .command("verify")
+  .description(
+    "Check the hash chain of the audit trail (entries written with auditChain on)"
+  )
+  .hook("preAction", requires("audit:read"))
+  .action(async () => {
+    const result = await verifyAuditTrail();
+    if (!result) {
+      process.exitCode = 1;
+    } else if (!result.valid) {
+      logger.error(`The audit trail has been tampered with: ${result.reason}`);
+      process.exitCode = 1;
+    } else {
+      console.log(
+        result.entries
+          ? `${result.entries} chained entries intact; the latest hash is ${result.head}`
+          : "No chained entries yet"
+      );
+    }
   });
 
 program
   .command("list-all-extensions")
   .description("List all extensions")
+  .hook("preAction", requires("statements:read"))
   .action(async () => {
     const extensions = await listAllExtensions();
     console.log("Extensions:", extensions);
@@ -1055,6 +4109,7 @@ program
 program
   .command("get-statements-by-duration <minDuration> <maxDuration>")
   .description("Get statements by duration")
+  .hook("preAction", requires("statements:read"))
   .action(async (minDuration, maxDuration) => {
     const statements = await getStatementsByDuration(minDuration, maxDuration);
     console.log("Statements:", statements);
@@ -0,0 +1,382 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const dotenv = require("dotenv");
+const { SCOPES } = require("./permissions");
+
+// Configuration. Each setting is resolved from layers, later ones winning:
+// built-in defaults, a .env file in the working directory, the user's
+// ~/.empress/config, the project's .empress/config (in the working directory
+// or one above it), environment variables and command-line flags. Config
+// files are JSON holding named profiles:
+//
+//   {
+//     "profile": "local",
+//     "profiles": {
+//       "local": { "uri": "mongodb://localhost:27017", "database": "lrs" },
+//       "staging": { "uri": "mongodb+srv://...", "logLevel": "warn" }
+//     }
+//   }
+//
+// "profile" is used when neither --profile nor EMPRESS_PROFILE names one. A
+// profile in the project file is layered over the same profile in the user
+// file, setting by setting.
+
+const CONFIG_DIRECTORY = ".empress";
+const CONFIG_FILE = "config";
+const DEFAULT_PROFILE = "default";
+const PROFILE_VARIABLE = "EMPRESS_PROFILE";
+const LOG_LEVELS = ["error", "warn", "info", "http", "verbose", "debug"];
+
+// Environment variables are listed newest name first; the others are still
+// read so existing .env files keep working
+const SETTINGS = {
+  uri: {
+    env: ["MONGO_URI"],
+    flag: "--uri",
+    description: "MongoDB connection URI",
+  },
+  database: {
+    env: ["MONGO_DB_NAME", "DB_NAME"],
+    flag: "--db",
+    description: "Database name",
+  },
+  collection: {
+    env: ["MONGO_COLLECTION_NAME", "COLLECTION_NAME"],
+    flag: "--collection",
+    description: "Statements collection name",
+  },
+  logLevel: {
+    env: ["LOG_LEVEL"],
+    flag: "--log-level",
+    default: "info",
+    values: LOG_LEVELS,
+    description: "Logging level",
+  },
+  homePage: {
+    env: ["LRS_HOMEPAGE"],
+    default: "http://localhost",
+    description: "Home page of the authority account on stored statements",
+  },
+  lrsKey: {
+    env: ["LRS_KEY"],
+    description: "Basic auth key accepted by the xAPI endpoint",
+  },
+  lrsSecret: {
+    env: ["LRS_SECRET"],
+    secret: true,
+    description: "Basic auth secret accepted by the xAPI endpoint",
+  },
+  lrsScopes: {
+    env: ["LRS_SCOPES"],
+    type: "list",
+    values: SCOPES,
+    default: ["all"],
+    description: "xAPI scopes of the Basic auth credentials",
+  },
+  jwtSecret: {
+    env: ["JWT_SECRET"],
+    secret: true,
+    description: "Secret that signs bearer tokens",
+  },
+  remoteUsername: {
+    env: ["REMOTE_LRS_USERNAME"],
+    description: "Username for the remote LRS used by push and pull",
+  },
+  remotePassword: {
+    env: ["REMOTE_LRS_PASSWORD"],
+    secret: true,
+    description: "Password for the remote LRS used by push and pull",
+  },
+  pseudonymSalt: {
+    env: ["PSEUDONYM_SALT"],
+    secret: true,
+    description: "Salt for pseudonyms in anonymised exports",
+  },
+  receiptSecret: {
+    env: ["RECEIPT_SECRET"],
+    secret: true,
+    description: "Secret that signs erasure receipts",
+  },
+  vocabularyStrict: {
+    env: ["VOCABULARY_STRICT"],
+    type: "boolean",
+    default: false,
+    description: "Reject unregistered verbs and activity types on write",
+  },
+  auditChain: {
+    env: ["AUDIT_CHAIN"],
+    type: "boolean",
+    default: false,
+    description: "Hash-chain audit entries so tampering can be detected",
+  },
+};
+
+function userConfigPath(home = os.homedir()) {
+  return path.join(home, CONFIG_DIRECTORY, CONFIG_FILE);
+}
+
+// The nearest .empress/config at or above cwd, short of the home directory
+// whose .empress/config is the user file
+function findProjectConfig(cwd = process.cwd(), home = os.homedir()) {
+  let directory = path.resolve(cwd);
+  while (directory !== path.resolve(home)) {
+    const file = path.join(directory, CONFIG_DIRECTORY, CONFIG_FILE);
+    if (fs.existsSync(file)) return file;
+    const parent = path.dirname(directory);
+    if (parent === directory) return null;
+    directory = parent;
+  }
+  return null;
+}
+
+// Where `config set --project` writes when there is no project file yet
+function projectConfigPath(cwd = process.cwd(), home = os.homedir()) {
+  return (
+    findProjectConfig(cwd, home) ||
+    path.join(path.resolve(cwd), CONFIG_DIRECTORY, CONFIG_FILE)
+  );
+}
+
+function readConfigFile(file) {
+  if (!file || !fs.existsSync(file)) return { profiles: {} };
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${file} must hold a JSON object`);
+  }
+  return { ...config, profiles: config.profiles || {} };
+}
+
+// Config files hold credentials, so only their owner may read them; mode
+// only applies on creation, so an existing file is narrowed too.
+function writeConfigFile(file, config) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  fs.chmodSync(file, 0o600);
+}
+
+function settingOf(name) {
+  const setting = SETTINGS[name];
+  if (!setting) {
+    throw new Error(
+      `Unknown setting ${name}; settings are ${Object.keys(SETTINGS).join(
+        ", "
+      )}`
+    );
+  }
+  return setting;
+}
+
+// Checks a value typed on the command line or read from the environment and
+// converts it to the setting's type
+function parseValue(name, value) {
+  const setting = settingOf(name);
+  if (setting.type === "boolean" && typeof value !== "boolean") {
+    if (!["true", "false"].includes(String(value))) {
+      throw new Error(`${name} must be true or false, not ${value}`);
+    }
+    return String(value) === "true";
+  }
+  if (setting.type === "list") {
+    const items = Array.isArray(value)
+      ? value
+      : String(value)
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean);
+    const unknown = items.filter((item) => !setting.values.includes(item));
+    if (unknown.length) {
+      throw new Error(
+        `${name} takes ${setting.values.join(", ")}, not ${unknown.join(", ")}`
+      );
+    }
+    return items;
+  }
+  if (setting.values && !setting.values.includes(value)) {
+    throw new Error(
+      `${name} must be one of ${setting.values.join(", ")}, not ${value}`
+    );
+  }
+  return value;
+}
+
+// The settings given by a set of environment variables, with the variable
+// each came from
+function fromEnvironment(env) {
+  const values = {};
+  Object.entries(SETTINGS).forEach(([name, setting]) => {
+    const variable = setting.env.find((key) => env[key] !== undefined);
+    if (variable && env[variable] !== "") {
+      try {
+        values[name] = { value: parseValue(name, env[variable]), variable };
+      } catch (error) {
+        throw new Error(`${variable}: ${error.message}`);
+      }
+    }
+  });
+  return values;
+}
+
+function fromLayer(settings = {}, source) {
+  const values = {};
+  Object.entries(settings)
+    .filter(([name, value]) => SETTINGS[name] && value !== undefined)
+    .forEach(([name, value]) => {
+      values[name] = { value: parseValue(name, value), source };
+    });
+  return values;
+}
+
+// Resolves every setting for one profile. Returns { profile, profiles,
+// files, values, sources } where profiles are the names defined in either
+// file and sources names the layer each value came from. A profile that is
+// not defined anywhere is an error unless newProfile is set, as it is when
+// `config set` creates one.
+function loadConfig(options = {}) {
+  const {
+    profile,
+    newProfile = false,
+    flags = {},
+    env = process.env,
+    cwd = process.cwd(),
+    home = os.homedir(),
+  } = options;
+  const userFile = userConfigPath(home);
+  const projectFile = findProjectConfig(cwd, home);
+  const user = readConfigFile(userFile);
+  const project = readConfigFile(projectFile);
+
+  const dotenvFile = path.join(cwd, ".env");
+  const dotenvValues = fs.existsSync(dotenvFile)
+    ? dotenv.parse(fs.readFileSync(dotenvFile))
+    : {};
+
+  const name =
+    profile ||
+    env[PROFILE_VARIABLE] ||
+    dotenvValues[PROFILE_VARIABLE] ||
+    project.profile ||
+    user.profile ||
+    DEFAULT_PROFILE;
+  const defined = Boolean(user.profiles[name] || project.profiles[name]);
+  if (!defined && !newProfile && name !== DEFAULT_PROFILE) {
+    throw new Error(
+      `Profile ${name} is not defined in ${[userFile, projectFile]
+        .filter(Boolean)
+        .join(" or ")}`
+    );
+  }
+
+  const environment = (values, label) =>
+    Object.fromEntries(
+      Object.entries(fromEnvironment(values)).map(([key, entry]) => [
+        key,
+        { value: entry.value, source: `${label} ${entry.variable}` },
+      ])
+    );
+  const defaults = Object.fromEntries(
+    Object.entries(SETTINGS)
+      .filter(([, setting]) => setting.default !== undefined)
+      .map(([key, setting]) => [key, setting.default])
+  );
+  const layers = [
+    fromLayer(defaults, "default"),
+    environment(dotenvValues, ".env"),
+    fromLayer(user.profiles[name], userFile),
+    fromLayer(project.profiles[name], projectFile),
+    environment(env, "env"),
+    fromLayer(flags, "flag"),
+  ];
+
+  const values = {};
+  const sources = {};
+  layers.forEach((layer) =>
+    Object.entries(layer).forEach(([key, { value, source }]) => {
+      values[key] = value;
+      sources[key] = source;
+    })
+  );
+  return {
+    profile: name,
+    files: { user: userFile, project: projectFile },
+    profiles: [
+      ...new Set([
+        ...Object.keys(user.profiles),
+        ...Object.keys(project.profiles),
+      ]),
+    ].sort(),
+    values,
+    sources,
+  };
+}
+
+// A setting's value, or an error naming the setting and the ways to set it
+function requireSetting(config, name, flag = settingOf(name).flag) {
+  const value = config.values[name];
+  if (value !== undefined && value !== "") return value;
+  const setting = SETTINGS[name];
+  const ways = [
+    `set ${setting.env[0]}`,
+    flag && `pass ${flag}`,
+    `run \`empress-cli --profile ${config.profile} config set ${name} <value>\``,
+  ].filter(Boolean);
+  throw new Error(
+    `${setting.description} (${name}) is not set for profile ${
+      config.profile
+    }: ${ways.slice(0, -1).join(", ")} or ${ways[ways.length - 1]}`
+  );
+}
+
+// A value for display: secrets are hidden and so is the password in a URI
+function maskValue(name, value) {
+  if (value === undefined) return "";
+  if (settingOf(name).secret) return "********";
+  if (name === "uri") {
+    return String(value).replace(/:\/\/([^:/@]+):[^@]+@/, "://$1:********@");
+  }
+  return String(value);
+}
+
+// Writes one setting into a profile of a config file, or removes it when
+// value is undefined
+function setSetting(file, profile, name, value) {
+  const config = readConfigFile(file);
+  const settings = { ...config.profiles[profile] };
+  if (value === undefined) {
+    settingOf(name);
+    delete settings[name];
+  } else {
+    settings[name] = parseValue(name, value);
+  }
+  writeConfigFile(file, {
+    ...config,
+    profiles: { ...config.profiles, [profile]: settings },
+  });
+  return settings;
+}
+
+// Makes profile the default of a config file
+function useProfile(file, profile) {
+  writeConfigFile(file, { ...readConfigFile(file), profile });
+}
+
+module.exports = {
+  SETTINGS,
+  DEFAULT_PROFILE,
+  PROFILE_VARIABLE,
+  userConfigPath,
+  projectConfigPath,
+  loadConfig,
+  requireSetting,
+  parseValue,
+  maskValue,
+  setSetting,
+  useProfile,
+};
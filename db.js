@@ -1,7 +1,7 @@
 const { MongoClient } = require("mongodb");
-require("dotenv").config();
+const { loadConfig, requireSetting } = require("./config");
 
-const uri = process.env.MONGO_URI;
+const uri = requireSetting(loadConfig(), "uri");
 
 const client = new MongoClient(uri, {
   useNewUrlParser: true,
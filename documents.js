@@ -0,0 +1,322 @@
+const crypto = require("crypto");
+const { httpError } = require("./errors");
+
+// xAPI document resources: State, Activity Profile and Agent Profile
+// documents. Content is kept as raw bytes alongside its content type so
+// bookmarks, suspend data and JSON documents round-trip unchanged.
+
+const DOCUMENT_TYPES = {
+  state: {
+    collection: "state",
+    keys: ["activityId", "agent", "registration", "stateId"],
+    idKey: "stateId",
+  },
+  activityProfile: {
+    collection: "activityProfiles",
+    keys: ["activityId", "profileId"],
+    idKey: "profileId",
+  },
+  agentProfile: {
+    collection: "agentProfiles",
+    keys: ["agent", "profileId"],
+    idKey: "profileId",
+  },
+};
+
+const IFI_PROPERTIES = ["mbox", "mbox_sha1sum", "openid", "account"];
+
+const indexedCollections = new WeakSet();
+
+function parseAgent(agent) {
+  if (typeof agent !== "string") return agent;
+  try {
+    return JSON.parse(agent);
+  } catch (error) {
+    throw httpError(400, "agent must be a JSON Agent object");
+  }
+}
+
+function agentKey(agent) {
+  const parsed = parseAgent(agent);
+  const ifis = IFI_PROPERTIES.filter((key) => parsed && parsed[key]);
+  if (ifis.length !== 1) {
+    throw httpError(
+      400,
+      "agent must have exactly one of mbox, mbox_sha1sum, openid or account"
+    );
+  }
+  const [ifi] = ifis;
+  return ifi === "account"
+    ? `account:${parsed.account.homePage}|${parsed.account.name}`
+    : `${ifi}:${parsed[ifi]}`;
+}
+
+function isJson(contentType) {
+  return /^application\/json\b/i.test(contentType || "");
+}
+
+// Stored content comes back from the driver as a BSON Binary
+function toBuffer(content) {
+  if (Buffer.isBuffer(content)) return content;
+  if (content.buffer instanceof Uint8Array) return Buffer.from(content.buffer);
+  return Buffer.from(content);
+}
+
+function computeEtag(content) {
+  return crypto.createHash("sha1").update(content).digest("hex");
+}
+
+function getCollection(db, type) {
+  const definition = DOCUMENT_TYPES[type];
+  if (!definition) throw new Error(`Unknown document type ${type}`);
+  return db.collection(definition.collection);
+}
+
+// Mongo filter for the documents identified by params. Without the id key
+// (stateId / profileId) it matches every document in the set.
+function documentFilter(type, params, { withId = true } = {}) {
+  const { keys, idKey } = DOCUMENT_TYPES[type];
+  const filter = {};
+
+  keys.forEach((key) => {
+    if (key === idKey && !withId) return;
+    if (key === "agent") {
+      if (!params.agent) throw httpError(400, "agent parameter is required");
+      filter.agentKey = agentKey(params.agent);
+    } else if (key === "registration") {
+      filter.registration = params.registration || null;
+    } else if (!params[key]) {
+      throw httpError(400, `${key} parameter is required`);
+    } else {
+      filter[key] = params[key];
+    }
+  });
+
+  return filter;
+}
+
+function parseEtags(header) {
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, "").replace(/^"|"$/g, ""))
+    .filter(Boolean);
+}
+
+function checkPreconditions(
+  existing,
+  conditions = {},
+  { required = false } = {}
+) {
+  const { ifMatch, ifNoneMatch } = conditions;
+
+  if (ifMatch) {
+    const tags = parseEtags(ifMatch);
+    if (!existing || !(tags.includes("*") || tags.includes(existing.etag))) {
+      throw httpError(412, "If-Match precondition failed");
+    }
+  }
+  if (ifNoneMatch && existing) {
+    const tags = parseEtags(ifNoneMatch);
+    if (tags.includes("*") || tags.includes(existing.etag)) {
+      throw httpError(412, "If-None-Match precondition failed");
+    }
+  }
+  if (required && existing && !ifMatch && !ifNoneMatch) {
+    throw httpError(
+      409,
+      "The document already exists; send If-Match or If-None-Match to overwrite it"
+    );
+  }
+}
+
+async function getDocument(db, type, params) {
+  const document = await getCollection(db, type).findOne(
+    documentFilter(type, params)
+  );
+  if (!document) return null;
+  return { ...document, content: toBuffer(document.content) };
+}
+
+async function listDocumentIds(db, type, params) {
+  const filter = documentFilter(type, params, { withId: false });
+  if (params.since) {
+    if (Number.isNaN(Date.parse(params.since))) {
+      throw httpError(400, "since must be an ISO 8601 timestamp");
+    }
+    filter.updated = { $gt: new Date(params.since).toISOString() };
+  }
+  const { idKey } = DOCUMENT_TYPES[type];
+  return getCollection(db, type).distinct(idKey, filter);
+}
+
+// One document per key: a concurrent insert of the same document fails
+// instead of adding a second one.
+async function ensureIndexes(collection, type) {
+  if (indexedCollections.has(collection)) return;
+  const keys = DOCUMENT_TYPES[type].keys.map((key) =>
+    key === "agent" ? "agentKey" : key
+  );
+  await collection.createIndex(
+    Object.fromEntries(keys.map((key) => [key, 1])),
+    { unique: true }
+  );
+  indexedCollections.add(collection);
+}
+
+// expected is the etag of the version the caller read: only that version is
+// replaced, and with null the document is only created. Returns null when
+// the document changed in the meantime. Without expected the document is
+// replaced whatever it holds.
+async function writeDocument(db, type, params, content, contentType, expected) {
+  const filter = documentFilter(type, params);
+  const etag = computeEtag(content);
+  const updated = new Date().toISOString();
+  const document = { ...filter, content, contentType, etag, updated };
+  if (params.agent) {
+    document.agent = parseAgent(params.agent);
+  }
+
+  const collection = getCollection(db, type);
+  await ensureIndexes(collection, type);
+  if (expected === undefined) {
+    await collection.replaceOne(filter, document, { upsert: true });
+  } else if (expected === null) {
+    try {
+      await collection.insertOne(document);
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  } else {
+    const { matchedCount } = await collection.replaceOne(
+      { ...filter, etag: expected },
+      document
+    );
+    if (!matchedCount) return null;
+  }
+  return { etag, updated };
+}
+
+function hasPreconditions(conditions) {
+  return Boolean(conditions.ifMatch || conditions.ifNoneMatch);
+}
+
+// The document was written between checking preconditions and writing
+function changedError(conditions) {
+  if (conditions.ifMatch) {
+    return httpError(412, "If-Match precondition failed");
+  }
+  if (conditions.ifNoneMatch) {
+    return httpError(412, "If-None-Match precondition failed");
+  }
+  return httpError(
+    409,
+    "The document already exists; send If-Match or If-None-Match to overwrite it"
+  );
+}
+
+// Replaces the document. Activity and Agent Profile documents must not be
+// overwritten blindly, so an existing one requires If-Match/If-None-Match.
+async function putDocument(db, type, params, body, conditions = {}) {
+  const required = type !== "state";
+  const existing = await getDocument(db, type, params);
+  checkPreconditions(existing, conditions, { required });
+
+  const conditional = required || hasPreconditions(conditions);
+  const written = await writeDocument(
+    db,
+    type,
+    params,
+    body.content,
+    body.contentType,
+    conditional ? (existing ? existing.etag : null) : undefined
+  );
+  if (!written) throw changedError(conditions);
+  return written;
+}
+
+function mergeDocuments(existing, body) {
+  if (!isJson(existing.contentType) || !isJson(body.contentType)) {
+    throw httpError(400, "Only JSON documents can be merged");
+  }
+
+  let merged;
+  try {
+    const current = JSON.parse(existing.content.toString("utf-8"));
+    const update = JSON.parse(body.content.toString("utf-8"));
+    const isObject = (value) =>
+      value && typeof value === "object" && !Array.isArray(value);
+    if (!isObject(current) || !isObject(update)) {
+      throw new Error("not an object");
+    }
+    merged = { ...current, ...update };
+  } catch (error) {
+    throw httpError(400, "Merged documents must both be JSON objects");
+  }
+
+  return {
+    content: Buffer.from(JSON.stringify(merged)),
+    contentType: "application/json",
+  };
+}
+
+// Merges a JSON document into the stored one (top-level properties of the
+// new document win) or stores it when there is none yet. Without
+// preconditions a document written in the meantime is merged into instead.
+async function postDocument(db, type, params, body, conditions = {}) {
+  for (;;) {
+    const existing = await getDocument(db, type, params);
+    checkPreconditions(existing, conditions);
+
+    const { content, contentType } = existing
+      ? mergeDocuments(existing, body)
+      : body;
+    const written = await writeDocument(
+      db,
+      type,
+      params,
+      content,
+      contentType,
+      existing ? existing.etag : null
+    );
+    if (written) return written;
+    if (hasPreconditions(conditions)) throw changedError(conditions);
+  }
+}
+
+async function deleteDocument(db, type, params, conditions = {}) {
+  const filter = documentFilter(type, params);
+  const collection = getCollection(db, type);
+  const existing = await collection.findOne(filter);
+  checkPreconditions(existing, conditions);
+  if (!hasPreconditions(conditions)) {
+    const { deletedCount } = await collection.deleteOne(filter);
+    return deletedCount;
+  }
+
+  if (!existing) return 0;
+  const { deletedCount } = await collection.deleteOne({
+    ...filter,
+    etag: existing.etag,
+  });
+  if (!deletedCount) throw changedError(conditions);
+  return deletedCount;
+}
+
+// Deletes every State document for an activity, agent and registration
+async function deleteDocuments(db, type, params) {
+  const filter = documentFilter(type, params, { withId: false });
+  const { deletedCount } = await getCollection(db, type).deleteMany(filter);
+  return deletedCount;
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  agentKey,
+  getDocument,
+  listDocumentIds,
+  putDocument,
+  postDocument,
+  deleteDocument,
+  deleteDocuments,
+};
@@ -0,0 +1,10 @@
+// Errors carrying the HTTP status the xAPI server responds with. Outside the
+// server they behave like any other Error.
+function httpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+module.exports = { httpError };
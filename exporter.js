@@ -0,0 +1,189 @@
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { evaluate, parsePath, splitTopLevel } = require("./jsonpath");
+const { formatStatement, pickLanguage } = require("./query");
+const { anonymiseStatement } = require("./privacy");
+
+// Streaming statement export. Statements are serialized one at a time from a
+// cursor so exports of any size run in constant memory.
+
+const EXPORT_FORMATS = ["json", "ndjson", "csv"];
+const DEFAULT_COLUMNS = [
+  "id",
+  "timestamp",
+  "stored",
+  "actor.name",
+  "actor.mbox",
+  "actor.account.name",
+  "verb.id",
+  "verb.display",
+  "object.id",
+  "object.definition.name",
+  "result.success",
+  "result.completion",
+  "result.score.scaled",
+  "result.duration",
+  "context.registration",
+].join(",");
+
+// Columns are dotted paths into the statement, e.g. "result.score.scaled".
+// Keys that contain dots (such as extension IRIs) use brackets:
+// result.extensions['http://example.com/ext'].
+function parseColumns(spec = DEFAULT_COLUMNS) {
+  return splitTopLevel(spec, ",")
+    .filter(Boolean)
+    .map((column) => {
+      const expression = column.startsWith("[") ? `$${column}` : `$.${column}`;
+      parsePath(expression);
+      return { header: column, expression };
+    });
+}
+
+function isLanguageMap(value) {
+  return (
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length > 0 &&
+    Object.entries(value).every(
+      ([key, text]) =>
+        /^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(key) && typeof text === "string"
+    )
+  );
+}
+
+function cellValue(value, languages) {
+  if (value === undefined || value === null) return "";
+  if (isLanguageMap(value)) {
+    return Object.values(pickLanguage(value, languages))[0];
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function csvField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(fields) {
+  return `${fields.map(csvField).join(",")}\r\n`;
+}
+
+async function* serialize(
+  cursor,
+  { format, columns, languages, anonymise },
+  counter
+) {
+  if (format === "csv") {
+    yield csvRow(columns.map(({ header }) => header));
+  } else if (format === "json") {
+    yield "[";
+  }
+
+  for await (const document of cursor) {
+    const statement = anonymise
+      ? anonymiseStatement(
+          formatStatement(document),
+          anonymise.salt,
+          anonymise.aliases
+        )
+      : formatStatement(document);
+    if (format === "csv") {
+      yield csvRow(
+        columns.map(({ expression }) =>
+          evaluate(expression, statement)
+            .filter((value) => value !== undefined)
+            .map((value) => cellValue(value, languages))
+            .join("; ")
+        )
+      );
+    } else if (format === "json") {
+      yield `${counter.count ? "," : ""}\n${JSON.stringify(statement)}`;
+    } else {
+      yield `${JSON.stringify(statement)}\n`;
+    }
+    counter.count++;
+  }
+
+  if (format === "json") yield counter.count ? "\n]\n" : "]\n";
+}
+
+// Ending process.stdout would lose whatever the command writes after the
+// export, so it is left open; files are closed when the export is done.
+function writeTo(stages, output) {
+  return pipeline([...stages, output], { end: output !== process.stdout });
+}
+
+// Writes every statement from cursor to output (any writable stream) as
+// json, ndjson or csv, gzip-compressed with options.gzip. With
+// options.anonymise ({ salt, aliases }) every Agent is pseudonymised first.
+// Returns the number of statements written.
+async function exportStatements(cursor, output, options = {}) {
+  const format = options.format || "json";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+  }
+  const settings = {
+    format,
+    columns: format === "csv" ? parseColumns(options.columns) : [],
+    languages: options.languages || [],
+    anonymise: options.anonymise,
+  };
+
+  const counter = { count: 0 };
+  const stages = [Readable.from(serialize(cursor, settings, counter))];
+  if (options.gzip) stages.push(zlib.createGzip());
+  await writeTo(stages, output);
+  return counter.count;
+}
+
+// Writes plain rows (such as analytics results) in the same formats;
+// options.columns lists the row keys that become CSV columns.
+async function exportRows(rows, output, options = {}) {
+  const format = options.format || "json";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+  }
+  const columns = options.columns || Object.keys(rows[0] || {});
+
+  function* serializeRows() {
+    if (format === "csv") {
+      yield csvRow(columns);
+      for (const row of rows) {
+        yield csvRow(columns.map((column) => cellValue(row[column], [])));
+      }
+    } else if (format === "json") {
+      yield `${JSON.stringify(rows, null, 2)}\n`;
+    } else {
+      for (const row of rows) yield `${JSON.stringify(row)}\n`;
+    }
+  }
+
+  const stages = [Readable.from(serializeRows())];
+  if (options.gzip) stages.push(zlib.createGzip());
+  await writeTo(stages, output);
+  return rows.length;
+}
+
+// Picks the format and compression from a file name such as
+// "statements.ndjson.gz" when they are not given explicitly.
+function formatFromFileName(fileName = "") {
+  const gzip = /\.gz$/i.test(fileName);
+  const extension = fileName
+    .replace(/\.gz$/i, "")
+    .split(".")
+    .pop()
+    .toLowerCase();
+  const format = { jsonl: "ndjson", ndjson: "ndjson", csv: "csv" }[extension];
+  return { format: format || "json", gzip };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  exportStatements,
+  exportRows,
+  formatFromFileName,
+};
@@ -0,0 +1,258 @@
+const crypto = require("crypto");
+
+// Actor identity. Every statement is stored with an "_actor" key derived from
+// its actor's inverse functional identifier (IFI): "mbox_sha1sum:<hex>" for
+// both mbox and mbox_sha1sum (an mbox is hashed, so the two forms of one
+// address meet), "openid:<uri>" or "account:<homePage>|<name>". Keys that
+// belong to one person are tied together in an alias table, applied when
+// statements are read, so merging and unmerging never rewrites statements.
+
+const ALIAS_COLLECTION = "actorAliases";
+
+function sha1(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+// Key of an Agent or identified Group, null for anonymous Groups
+function actorKey(actor) {
+  if (!actor || typeof actor !== "object") return null;
+  if (actor.mbox) return `mbox_sha1sum:${sha1(actor.mbox)}`;
+  if (actor.mbox_sha1sum) {
+    return `mbox_sha1sum:${actor.mbox_sha1sum.toLowerCase()}`;
+  }
+  if (actor.openid) return `openid:${actor.openid}`;
+  if (actor.account) {
+    return `account:${actor.account.homePage}|${actor.account.name}`;
+  }
+  return null;
+}
+
+// Statements stored before "_actor" existed get a key built in the
+// aggregation itself. Mongo cannot hash, so an mbox comes out as
+// "mbox:<iri>" and normalizeKey finishes the job.
+const LEGACY_ACTOR_KEY = {
+  $cond: [
+    { $ifNull: ["$actor.mbox", false] },
+    { $concat: ["mbox:", "$actor.mbox"] },
+    {
+      $cond: [
+        { $ifNull: ["$actor.mbox_sha1sum", false] },
+        { $concat: ["mbox_sha1sum:", { $toLower: "$actor.mbox_sha1sum" }] },
+        {
+          $cond: [
+            { $ifNull: ["$actor.openid", false] },
+            { $concat: ["openid:", "$actor.openid"] },
+            {
+              $cond: [
+                { $ifNull: ["$actor.account", false] },
+                {
+                  $concat: [
+                    "account:",
+                    "$actor.account.homePage",
+                    "|",
+                    "$actor.account.name",
+                  ],
+                },
+                null,
+              ],
+            },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+// Aggregation expression for a statement's actor key
+const ACTOR_KEY = { $ifNull: ["$_actor", LEGACY_ACTOR_KEY] };
+
+function normalizeKey(key) {
+  if (typeof key !== "string") return null;
+  return key.startsWith("mbox:")
+    ? `mbox_sha1sum:${sha1(key.slice("mbox:".length))}`
+    : key;
+}
+
+// An identifier as typed on the command line: an Agent as JSON, an email
+// address, a mailto: IRI, a SHA1 of a mailto: IRI, an OpenID URL or an
+// actor key as listed by `actors list`.
+function parseIdentifier(text) {
+  const value = String(text).trim();
+  if (value.startsWith("{")) return JSON.parse(value);
+  if (value.startsWith("mbox_sha1sum:")) {
+    return { mbox_sha1sum: value.slice("mbox_sha1sum:".length) };
+  }
+  if (value.startsWith("openid:")) {
+    return { openid: value.slice("openid:".length) };
+  }
+  if (value.startsWith("account:")) {
+    const account = value.slice("account:".length);
+    const separator = account.lastIndexOf("|");
+    if (separator > 0) {
+      return {
+        account: {
+          homePage: account.slice(0, separator),
+          name: account.slice(separator + 1),
+        },
+      };
+    }
+  }
+  if (value.startsWith("mailto:")) return { mbox: value };
+  if (/^[0-9a-f]{40}$/i.test(value)) return { mbox_sha1sum: value };
+  if (/^https?:\/\//.test(value)) return { openid: value };
+  if (/^[^@\s]+@[^@\s]+$/.test(value)) return { mbox: `mailto:${value}` };
+  throw new Error(
+    `${value} is not an Agent, email address, mailto: IRI, SHA1 sum, OpenID or actor key`
+  );
+}
+
+function identifierKey(text) {
+  const key = actorKey(parseIdentifier(text));
+  if (!key) throw new Error(`${text} has no inverse functional identifier`);
+  return key;
+}
+
+// Aliases ----------------------------------------------------------------------
+
+// Map of alias key -> canonical key. Aliases always point straight at a
+// canonical key, never at another alias.
+async function loadAliases(db) {
+  const documents = await db.collection(ALIAS_COLLECTION).find({}).toArray();
+  return new Map(documents.map(({ _id, canonical }) => [_id, canonical]));
+}
+
+function canonicalKey(aliases, key) {
+  const normalized = normalizeKey(key);
+  return (aliases && aliases.get(normalized)) || normalized;
+}
+
+// Every key that resolves to the same person as key, itself included
+function keysOf(aliases, key) {
+  const canonical = canonicalKey(aliases, key);
+  return [
+    canonical,
+    ...[...aliases.entries()]
+      .filter(([, target]) => target === canonical)
+      .map(([alias]) => alias),
+  ];
+}
+
+function keyCondition(key, path) {
+  const [type, ...rest] = key.split(":");
+  const value = rest.join(":");
+  if (type === "openid") return { [`${path}.openid`]: value };
+  if (type === "mbox_sha1sum") return { [`${path}.mbox_sha1sum`]: value };
+  const separator = value.lastIndexOf("|");
+  return {
+    [`${path}.account.homePage`]: value.slice(0, separator),
+    [`${path}.account.name`]: value.slice(separator + 1),
+  };
+}
+
+// Mongo filter for statements whose actor is the person agent belongs to.
+// Statements stored before "_actor" existed are matched on their IFIs; for
+// those an mbox can only be found from the address itself, not its hash.
+function actorFilter(aliases, agent) {
+  const keys = keysOf(aliases, actorKey(agent));
+  const conditions = [
+    { _actor: { $in: keys } },
+    ...keys.map((key) => ({
+      $and: [{ _actor: { $exists: false } }, keyCondition(key, "actor")],
+    })),
+  ];
+  if (agent.mbox) {
+    conditions.push({
+      $and: [{ _actor: { $exists: false } }, { "actor.mbox": agent.mbox }],
+    });
+  }
+  return { $or: conditions };
+}
+
+// Records that alias and keep are the same person. Whole groups merge: any
+// keys already tied to alias follow it to keep's canonical key. Returns the
+// canonical key, or null when both were already the same person.
+async function mergeActors(db, keep, alias) {
+  const aliases = await loadAliases(db);
+  const target = canonicalKey(aliases, keep);
+  const merged = canonicalKey(aliases, alias);
+  if (target === merged) return null;
+
+  const collection = db.collection(ALIAS_COLLECTION);
+  const now = new Date().toISOString();
+  await collection.updateMany(
+    { canonical: merged },
+    { $set: { canonical: target, merged: now } }
+  );
+  await collection.updateOne(
+    { _id: merged },
+    { $set: { canonical: target, merged: now } },
+    { upsert: true }
+  );
+  return target;
+}
+
+// Detaches key from whoever it was merged into
+async function unmergeActor(db, key) {
+  const result = await db
+    .collection(ALIAS_COLLECTION)
+    .deleteOne({ _id: normalizeKey(key) });
+  return result.deletedCount > 0;
+}
+
+// Sets "_actor" on statements stored before it existed. Returns the number
+// of statements updated.
+async function backfillActorKeys(collection, batchSize = 1000) {
+  const cursor = collection.find(
+    { _actor: { $exists: false } },
+    { projection: { _id: 1, actor: 1 } }
+  );
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    await collection.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+  for await (const { _id, actor } of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id },
+        update: { $set: { _actor: actorKey(actor) } },
+      },
+    });
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+  return updated;
+}
+
+// Merges rows grouped by raw actor key into one row per person. combine(a, b)
+// folds a second row of the same person into the first.
+function mergeByPerson(rows, aliases, combine) {
+  const people = new Map();
+  rows.forEach((row) => {
+    const key = canonicalKey(aliases, row.key);
+    const existing = people.get(key);
+    people.set(key, existing ? combine(existing, row) : { ...row, key });
+  });
+  return [...people.values()];
+}
+
+module.exports = {
+  ALIAS_COLLECTION,
+  ACTOR_KEY,
+  actorKey,
+  normalizeKey,
+  parseIdentifier,
+  identifierKey,
+  loadAliases,
+  canonicalKey,
+  keysOf,
+  keyCondition,
+  actorFilter,
+  mergeActors,
+  unmergeActor,
+  backfillActorKeys,
+  mergeByPerson,
+};
@@ -0,0 +1,305 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { storeStatements } = require("./statements");
+
+// Streaming statement import. Files may hold a JSON array or newline-delimited
+// JSON; either way they are read a chunk at a time and stored in batches, so
+// memory use does not grow with the size of the file.
+
+// Splits a JSON array into the source text of its elements without parsing
+// them, keeping the line each element starts on.
+async function* splitJsonArray(chunks) {
+  let line = 1;
+  let opened = false;
+  let closed = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let parts = null;
+  let startLine = 0;
+
+  for await (const chunk of chunks) {
+    let start = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      if (char === "\n") line++;
+
+      if (parts) {
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === "\\") escaped = true;
+          else if (char === '"') inString = false;
+        } else if (char === '"') {
+          inString = true;
+        } else if (char === "{" || char === "[") {
+          depth++;
+        } else if (depth > 0 && (char === "}" || char === "]")) {
+          depth--;
+          if (depth === 0) {
+            parts.push(chunk.slice(start, i + 1));
+            yield { line: startLine, text: parts.join("") };
+            parts = null;
+          }
+        } else if (depth === 0 && (char === "," || char === "]")) {
+          parts.push(chunk.slice(start, i));
+          yield { line: startLine, text: parts.join("") };
+          parts = null;
+          closed = char === "]";
+        }
+        continue;
+      }
+
+      if (/\s/.test(char) || char === "\uFEFF") continue;
+      if (!opened) {
+        opened = true;
+        continue;
+      }
+      if (closed) {
+        throw new Error(
+          `Unexpected content after the JSON array on line ${line}`
+        );
+      }
+      if (char === ",") continue;
+      if (char === "]") {
+        closed = true;
+        continue;
+      }
+
+      parts = [];
+      start = i;
+      startLine = line;
+      depth = char === "{" || char === "[" ? 1 : 0;
+      inString = char === '"';
+      escaped = false;
+    }
+    if (parts) parts.push(chunk.slice(start));
+  }
+
+  if (!closed) {
+    throw new Error("Unexpected end of file inside the JSON array");
+  }
+}
+
+async function* splitLines(chunks) {
+  let line = 0;
+  let rest = "";
+  for await (const chunk of chunks) {
+    const lines = (rest + chunk).split("\n");
+    rest = lines.pop();
+    for (const text of lines) {
+      line++;
+      if (text.trim()) yield { line, text };
+    }
+  }
+  line++;
+  if (rest.trim()) yield { line, text: rest };
+}
+
+// Yields { line, text } for every record in a stream of text chunks. The
+// first non-whitespace character decides between a JSON array and NDJSON.
+async function* readRecords(input) {
+  const iterator = input[Symbol.asyncIterator]();
+  const head = [];
+  let first;
+  while (first === undefined) {
+    const { value, done } = await iterator.next();
+    if (done) return;
+    head.push(value);
+    const match = /[^\s\uFEFF]/.exec(value);
+    if (match) first = match[0];
+  }
+
+  async function* chunks() {
+    yield* head;
+    for (;;) {
+      const { value, done } = await iterator.next();
+      if (done) return;
+      yield value;
+    }
+  }
+
+  if (first === "[") {
+    yield* splitJsonArray(chunks());
+  } else {
+    for await (const record of splitLines(chunks())) {
+      yield { ...record, text: record.text.replace(/^\uFEFF/, "") };
+    }
+  }
+}
+
+// Statements without an id get one derived from their position and content,
+// so importing the same file again never stores them twice.
+function derivedId(recordNumber, statement) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(`${recordNumber}:${JSON.stringify(statement)}`)
+    .digest("hex");
+  const variant = ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+  return [
+    hash.slice(0, 8),
+    hash.slice(8, 12),
+    `5${hash.slice(13, 16)}`,
+    `${variant}${hash.slice(17, 20)}`,
+    hash.slice(20, 32),
+  ].join("-");
+}
+
+function withId(recordNumber, statement) {
+  if (!statement || typeof statement !== "object" || Array.isArray(statement)) {
+    return statement;
+  }
+  if (statement.id) return statement;
+  return { ...statement, id: derivedId(recordNumber, statement) };
+}
+
+// Checkpoints -----------------------------------------------------------------
+
+// A checkpoint only applies to the exact file it was written for
+async function readCheckpoint(checkpointPath, filePath, stats) {
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(
+      await fs.promises.readFile(checkpointPath, "utf-8")
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(
+      `Unreadable checkpoint ${checkpointPath}: ${error.message}`
+    );
+  }
+  const matches =
+    checkpoint.file === path.resolve(filePath) &&
+    checkpoint.size === stats.size &&
+    checkpoint.modified === stats.mtimeMs;
+  return matches ? checkpoint : null;
+}
+
+async function writeCheckpoint(checkpointPath, checkpoint) {
+  const temporary = `${checkpointPath}.tmp`;
+  await fs.promises.writeFile(temporary, JSON.stringify(checkpoint));
+  await fs.promises.rename(temporary, checkpointPath);
+}
+
+// Import ----------------------------------------------------------------------
+
+// Streams the statements in filePath into collection, batchSize at a time.
+// Rejected records (unparseable, invalid or conflicting) are appended to
+// rejectPath as NDJSON with their line number and errors. After every batch
+// the position is saved to checkpointPath, and a later run on the unchanged
+// file resumes from there unless options.restart is set. onProgress is called
+// after each batch with the running summary and the bytes read so far.
+// options.vocabulary and options.activities are passed on to storeStatements.
+async function importFile(collection, filePath, options = {}) {
+  const {
+    authority,
+    vocabulary,
+    activities,
+    batchSize = 500,
+    checkpointPath = `${filePath}.checkpoint`,
+    rejectPath = `${filePath}.rejects.ndjson`,
+    restart = false,
+    onProgress = () => {},
+  } = options;
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error("batch size must be a positive integer");
+  }
+
+  const stats = await fs.promises.stat(filePath);
+  const checkpoint = restart
+    ? null
+    : await readCheckpoint(checkpointPath, filePath, stats);
+  if (!checkpoint) {
+    await fs.promises.rm(rejectPath, { force: true });
+  }
+
+  const summary = checkpoint
+    ? { ...checkpoint.summary }
+    : { records: 0, stored: 0, skipped: 0, rejected: 0 };
+  const resumedFrom = summary.records;
+  const input = fs.createReadStream(filePath, { encoding: "utf-8" });
+
+  let recordNumber = 0;
+  let batch = [];
+  let rejects = [];
+
+  const flush = async () => {
+    const results = batch.length
+      ? await storeStatements(
+          collection,
+          batch.map(({ statement }) => statement),
+          { authority, vocabulary, activities }
+        )
+      : [];
+    results.forEach(({ status, errors }, index) => {
+      if (status === "stored" || status === "skipped") {
+        summary[status]++;
+      } else {
+        const { line, original } = batch[index];
+        rejects.push({ line, status, errors, statement: original });
+      }
+    });
+
+    if (rejects.length) {
+      rejects.sort((a, b) => a.line - b.line);
+      await fs.promises.appendFile(
+        rejectPath,
+        rejects.map((reject) => `${JSON.stringify(reject)}\n`).join("")
+      );
+      summary.rejected += rejects.length;
+    }
+
+    summary.records = recordNumber;
+    batch = [];
+    rejects = [];
+    await writeCheckpoint(checkpointPath, {
+      file: path.resolve(filePath),
+      size: stats.size,
+      modified: stats.mtimeMs,
+      summary,
+    });
+    onProgress({
+      ...summary,
+      resumedFrom,
+      bytes: input.bytesRead,
+      totalBytes: stats.size,
+    });
+  };
+
+  try {
+    for await (const { line, text } of readRecords(input)) {
+      recordNumber++;
+      if (recordNumber <= resumedFrom) continue;
+
+      try {
+        const statement = JSON.parse(text);
+        batch.push({
+          line,
+          original: statement,
+          statement: withId(recordNumber, statement),
+        });
+      } catch (error) {
+        rejects.push({
+          line,
+          status: "unparseable",
+          errors: [{ path: "$", message: error.message }],
+          text,
+        });
+      }
+      if (batch.length + rejects.length >= batchSize) await flush();
+    }
+    await flush();
+  } finally {
+    input.destroy();
+  }
+
+  await fs.promises.rm(checkpointPath, { force: true });
+  return {
+    ...summary,
+    resumedFrom,
+    rejectPath: summary.rejected ? rejectPath : null,
+  };
+}
+
+module.exports = { readRecords, importFile };
@@ -0,0 +1,135 @@
+// Minimal JSONPath evaluator covering the subset allowed by the xAPI Profiles
+// specification: "$", ".name", "['name']", "[n]", "[*]", ".*", comma-separated
+// bracket selectors and "|" to join several paths.
+//
+// Every input value produces at least one output value, so a path that cannot
+// be followed yields `undefined` ("unmatchable") rather than disappearing.
+
+function splitTopLevel(expression, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+
+  for (const char of expression) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "[") {
+      depth += 1;
+    } else if (char === "]") {
+      depth -= 1;
+    } else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim());
+}
+
+function findClosingBracket(expression) {
+  let quote = null;
+  for (let index = 1; index < expression.length; index += 1) {
+    const char = expression[index];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "]") {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function parseSelector(selector, path) {
+  if (selector === "*") return { kind: "wildcard" };
+  if (/^-?\d+$/.test(selector)) {
+    return { kind: "index", value: Number(selector) };
+  }
+  const quoted = selector.match(/^(['"])(.*)\1$/);
+  if (quoted) return { kind: "name", value: quoted[2] };
+  throw new Error(`Unsupported JSONPath selector "${selector}" in ${path}`);
+}
+
+function parsePath(path) {
+  if (!path.startsWith("$")) {
+    throw new Error(`JSONPath must start with "$": ${path}`);
+  }
+
+  const steps = [];
+  let rest = path.slice(1);
+
+  while (rest.length) {
+    if (rest.startsWith(".")) {
+      const match = rest.match(/^\.(\*|[^.[\s]+)/);
+      if (!match) throw new Error(`Invalid JSONPath: ${path}`);
+      steps.push([
+        match[1] === "*"
+          ? { kind: "wildcard" }
+          : { kind: "name", value: match[1] },
+      ]);
+      rest = rest.slice(match[0].length);
+    } else if (rest.startsWith("[")) {
+      const end = findClosingBracket(rest);
+      if (end === -1) throw new Error(`Invalid JSONPath: ${path}`);
+      steps.push(
+        splitTopLevel(rest.slice(1, end), ",").map((selector) =>
+          parseSelector(selector, path)
+        )
+      );
+      rest = rest.slice(end + 1);
+    } else {
+      throw new Error(`Invalid JSONPath: ${path}`);
+    }
+  }
+
+  return steps;
+}
+
+function applySelector(value, selector) {
+  if (value === undefined) return [undefined];
+
+  switch (selector.kind) {
+    case "wildcard":
+      if (Array.isArray(value)) return value;
+      if (value && typeof value === "object") return Object.values(value);
+      return [];
+    case "index":
+      if (!Array.isArray(value)) return [undefined];
+      return [
+        value[
+          selector.value < 0 ? value.length + selector.value : selector.value
+        ],
+      ];
+    case "name":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return [undefined];
+      }
+      return [
+        Object.prototype.hasOwnProperty.call(value, selector.value)
+          ? value[selector.value]
+          : undefined,
+      ];
+    default:
+      return [undefined];
+  }
+}
+
+function evaluate(expression, document) {
+  return splitTopLevel(expression, "|").flatMap((path) =>
+    parsePath(path).reduce(
+      (values, selectors) =>
+        values.flatMap((value) =>
+          selectors.flatMap((selector) => applySelector(value, selector))
+        ),
+      [document]
+    )
+  );
+}
+
+module.exports = { evaluate, parsePath, splitTopLevel };
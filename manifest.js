@@ -0,0 +1,178 @@
+// Activity metadata from course manifests: TinCan packages (tincan.xml) and
+// cmi5 course structures (cmi5.xml). Only the small part of XML these files
+// use is understood: elements, attributes, text, CDATA and the predefined
+// and numeric entities. Namespace prefixes are dropped.
+
+const CMI5_TYPES = {
+  course: "https://w3id.org/xapi/cmi5/activitytype/course",
+  block: "https://w3id.org/xapi/cmi5/activitytype/block",
+};
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      return String.fromCodePoint(
+        name[1].toLowerCase() === "x"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10)
+      );
+    }
+    return ENTITIES[name] !== undefined ? ENTITIES[name] : entity;
+  });
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(":") + 1);
+}
+
+// Returns the root element as { name, attributes, children } where children
+// are elements and strings
+function parseXml(text) {
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+  const pattern =
+    /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gi;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [, cdata, closing, opening, attributeText, selfClosing, content] =
+      match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.children.push(cdata);
+    } else if (closing) {
+      if (stack.length < 2 || current.name !== localName(closing)) {
+        throw new Error(`Unexpected </${closing}> in manifest`);
+      }
+      stack.pop();
+    } else if (opening) {
+      const attributes = {};
+      const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(attributeText))) {
+        attributes[localName(attribute[1])] = decodeEntities(
+          attribute[2] !== undefined ? attribute[2] : attribute[3]
+        );
+      }
+      const element = { name: localName(opening), attributes, children: [] };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (content !== undefined && content.trim()) {
+      current.children.push(decodeEntities(content));
+    }
+  }
+  if (stack.length !== 1) {
+    throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  }
+  const [element] = root.children.filter((child) => typeof child !== "string");
+  if (!element) throw new Error("The manifest has no root element");
+  return element;
+}
+
+function elements(element, name) {
+  return element.children.filter(
+    (child) => typeof child !== "string" && (!name || child.name === name)
+  );
+}
+
+function textOf(element) {
+  return element.children
+    .map((child) => (typeof child === "string" ? child : textOf(child)))
+    .join("")
+    .trim();
+}
+
+// <name lang="en-US">Text</name>, repeated per language
+function languageMap(nodes) {
+  const map = {};
+  nodes.forEach((node) => {
+    const text = textOf(node);
+    if (text) map[node.attributes.lang || "und"] = text;
+  });
+  return Object.keys(map).length ? map : undefined;
+}
+
+// cmi5 wraps each language in <langstring lang="en-US">
+function langStrings(element, name) {
+  const [node] = elements(element, name);
+  return node && languageMap(elements(node, "langstring"));
+}
+
+function definitionOf(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+}
+
+function tincanActivities(root) {
+  const [list] = elements(root, "activities");
+  if (!list) return [];
+  return elements(list, "activity")
+    .filter((activity) => activity.attributes.id)
+    .map((activity) => ({
+      id: activity.attributes.id,
+      definition: definitionOf({
+        name: languageMap(elements(activity, "name")),
+        description: languageMap(elements(activity, "description")),
+        type: activity.attributes.type,
+      }),
+      parents: [],
+    }));
+}
+
+// The course, its blocks and AUs, each with its enclosing block or course as
+// parent
+function cmi5Activities(root) {
+  const activities = [];
+  const [course] = elements(root, "course");
+  const courseId = course && course.attributes.id;
+  if (course && courseId) {
+    activities.push({
+      id: courseId,
+      definition: definitionOf({
+        name: langStrings(course, "title"),
+        description: langStrings(course, "description"),
+        type: CMI5_TYPES.course,
+      }),
+      parents: [],
+    });
+  }
+
+  const visit = (element, parentId) => {
+    elements(element)
+      .filter(({ name }) => name === "block" || name === "au")
+      .forEach((node) => {
+        const { id } = node.attributes;
+        if (!id) return;
+        activities.push({
+          id,
+          definition: definitionOf({
+            name: langStrings(node, "title"),
+            description: langStrings(node, "description"),
+            type: node.name === "block" ? CMI5_TYPES.block : undefined,
+          }),
+          parents: parentId ? [parentId] : [],
+        });
+        if (node.name === "block") visit(node, id);
+      });
+  };
+  visit(root, courseId);
+  return activities;
+}
+
+// Returns { format, activities: [{ id, definition, parents }] }
+function parseManifest(text) {
+  const root = parseXml(text);
+  if (root.name === "tincan") {
+    return { format: "tincan", activities: tincanActivities(root) };
+  }
+  if (root.name === "courseStructure") {
+    return { format: "cmi5", activities: cmi5Activities(root) };
+  }
+  throw new Error(
+    `<${root.name}> is not a tincan.xml or cmi5.xml course manifest`
+  );
+}
+
+module.exports = { parseXml, parseManifest };
@@ -0,0 +1,125 @@
+// Roles and permissions. Every CLI command that touches the database needs
+// one permission, and users get permissions from their roles. The xAPI
+// endpoint uses xAPI OAuth scopes instead: the Basic credentials from the
+// configuration have the scopes of the lrsScopes setting, and a user's
+// bearer token has the scopes of the user's roles.
+
+const PERMISSIONS = {
+  "statements:read":
+    "Query and export statements and read documents, activities and vocabularies",
+  "statements:write": "Store, import and void statements and write documents",
+  "reports:run": "Run analytics, charts and reports",
+  "vocabulary:write":
+    "Change verbs, activity types, xAPI profiles and activity definitions",
+  "actors:write": "Merge and unmerge actor identities",
+  "privacy:erase": "Erase or pseudonymise everything stored about a learner",
+  "database:admin":
+    "Back up, restore and reset the database, run raw aggregations, rewrite authorities and serve the xAPI endpoint",
+  "users:admin": "Add and remove users and change their roles",
+  "audit:read": "Query and verify the audit trail",
+};
+
+// In the order the xAPI specification lists them
+const SCOPES = [
+  "statements/write",
+  "statements/read/mine",
+  "statements/read",
+  "state",
+  "define",
+  "profile",
+  "all/read",
+  "all",
+];
+
+const ROLES = {
+  reader: {
+    permissions: ["statements:read"],
+    scopes: ["statements/read"],
+  },
+  analyst: {
+    permissions: ["statements:read", "reports:run"],
+    scopes: ["all/read"],
+  },
+  writer: {
+    permissions: [
+      "statements:read",
+      "statements:write",
+      "vocabulary:write",
+      "actors:write",
+    ],
+    scopes: ["statements/write", "statements/read", "state", "profile"],
+  },
+  admin: {
+    permissions: Object.keys(PERMISSIONS),
+    scopes: ["all"],
+  },
+};
+
+function checkRoles(roles) {
+  const unknown = roles.filter((role) => !ROLES[role]);
+  if (unknown.length) {
+    throw new Error(
+      `Unknown roles ${unknown.join(", ")}; roles are ${Object.keys(ROLES).join(
+        ", "
+      )}`
+    );
+  }
+  return [...new Set(roles)];
+}
+
+function permissionsOf(roles = []) {
+  return [
+    ...new Set(roles.flatMap((role) => (ROLES[role] || {}).permissions || [])),
+  ];
+}
+
+function scopesOf(roles = []) {
+  return [
+    ...new Set(roles.flatMap((role) => (ROLES[role] || {}).scopes || [])),
+  ];
+}
+
+// Which scopes let a request through. resource is "statements", "state",
+// "profile" (activity and agent profiles) or "activities" (the Activities
+// resource); write is true for PUT, POST and DELETE.
+function scopeAllows(scopes, resource, write) {
+  if (scopes.includes("all")) return true;
+  if (!write && scopes.includes("all/read")) return true;
+  switch (resource) {
+    case "statements":
+      return write
+        ? scopes.includes("statements/write")
+        : scopes.includes("statements/read") ||
+            scopes.includes("statements/read/mine");
+    case "state":
+      return scopes.includes("state");
+    case "profile":
+      return scopes.includes("profile");
+    case "activities":
+      return (
+        !write &&
+        ["define", "statements/read"].some((scope) => scopes.includes(scope))
+      );
+    default:
+      return false;
+  }
+}
+
+// Whether statement reads are limited to statements the caller wrote, that
+// is with the caller as their authority
+function readsOnlyOwnStatements(scopes) {
+  return !["all", "all/read", "statements/read"].some((scope) =>
+    scopes.includes(scope)
+  );
+}
+
+module.exports = {
+  PERMISSIONS,
+  SCOPES,
+  ROLES,
+  checkRoles,
+  permissionsOf,
+  scopesOf,
+  scopeAllows,
+  readsOnlyOwnStatements,
+};
@@ -0,0 +1,275 @@
+const crypto = require("crypto");
+const {
+  ALIAS_COLLECTION,
+  actorKey,
+  canonicalKey,
+  keysOf,
+  keyCondition,
+} = require("./identity");
+const { DOCUMENT_TYPES } = require("./documents");
+const { stableStringify } = require("./statements");
+
+// Privacy requests: erasing or pseudonymising everything stored about one
+// learner, and anonymising exports. Pseudonyms are HMACs of the learner's
+// canonical actor key under a salt, so one salt gives one learner the same
+// pseudonym in every export and in pseudonymised statements.
+
+const PSEUDONYM_HOMEPAGE = "urn:empress:pseudonym";
+const RECEIPT_TYPE = "empress-erasure-receipt";
+const RECEIPT_VERSION = 1;
+const ERASURE_MODES = ["delete", "pseudonymise"];
+
+// Every place an Agent or Group can appear in a stored statement
+const AGENT_PATHS = [
+  "actor",
+  "object",
+  "context.instructor",
+  "context.team",
+  "authority",
+  "object.actor",
+  "object.object",
+  "object.context.instructor",
+  "object.context.team",
+];
+
+function hmac(secret, text) {
+  return crypto.createHmac("sha256", secret).update(text).digest("hex");
+}
+
+function pseudonym(salt, key) {
+  return hmac(salt, key);
+}
+
+// Replaces an Agent's IFI with a pseudonymous account and drops its name.
+// Anonymous Groups keep no IFI, so only their name goes.
+function pseudonymise(agent, salt, aliases) {
+  const key = actorKey(agent);
+  const { name, mbox, mbox_sha1sum, openid, account, ...rest } = agent;
+  if (!key) return rest;
+  return {
+    ...rest,
+    account: {
+      homePage: PSEUDONYM_HOMEPAGE,
+      name: pseudonym(salt, canonicalKey(aliases, key)),
+    },
+  };
+}
+
+// Applies fn to an Agent or Group, Group members first
+function mapAgent(agent, fn) {
+  if (!agent || typeof agent !== "object") return agent;
+  const mapped = Array.isArray(agent.member)
+    ? { ...agent, member: agent.member.map((member) => mapAgent(member, fn)) }
+    : agent;
+  return fn(mapped);
+}
+
+// Applies fn to every Agent and Group in a statement: actor, an Agent or
+// Group object, context instructor and team, authority, and the same places
+// inside a SubStatement
+function mapAgents(statement, fn) {
+  const { object, context, authority } = statement;
+  const mapped = { ...statement, actor: mapAgent(statement.actor, fn) };
+  if (object && ["Agent", "Group"].includes(object.objectType)) {
+    mapped.object = mapAgent(object, fn);
+  } else if (object && object.objectType === "SubStatement") {
+    mapped.object = mapAgents(object, fn);
+  }
+  if (context && (context.instructor || context.team)) {
+    mapped.context = { ...context };
+    if (context.instructor) {
+      mapped.context.instructor = mapAgent(context.instructor, fn);
+    }
+    if (context.team) mapped.context.team = mapAgent(context.team, fn);
+  }
+  if (authority) mapped.authority = mapAgent(authority, fn);
+  return mapped;
+}
+
+// Pseudonymises every Agent and Group in a statement
+function anonymiseStatement(statement, salt, aliases) {
+  return mapAgents(statement, (agent) => pseudonymise(agent, salt, aliases));
+}
+
+function mentions(statement, keys) {
+  let found = false;
+  mapAgents(statement, (agent) => {
+    if (keys.has(actorKey(agent))) found = true;
+    return agent;
+  });
+  return found;
+}
+
+function documentKeys({ keys, mboxes }) {
+  return [...keys, ...mboxes.map((mbox) => `mbox:${mbox}`)];
+}
+
+// Everything stored about the person agent belongs to, merged identities
+// included. A learner known only by mbox_sha1sum is found wherever an
+// mbox of theirs has been seen as a statement actor; an mbox that only ever
+// appears elsewhere has to be given as the identifier itself.
+async function findSubject(db, collectionName, agent, aliases) {
+  const key = canonicalKey(aliases, actorKey(agent));
+  if (!key) throw new Error("The learner has no inverse functional identifier");
+  const keys = keysOf(aliases, key);
+  const collection = db.collection(collectionName);
+
+  const mboxes = new Set(agent.mbox ? [agent.mbox] : []);
+  const actors = await collection
+    .find(
+      { _actor: { $in: keys }, "actor.mbox": { $exists: true } },
+      { projection: { "actor.mbox": 1 } }
+    )
+    .toArray();
+  actors.forEach(({ actor }) => mboxes.add(actor.mbox));
+
+  const conditions = [{ _actor: { $in: keys } }];
+  AGENT_PATHS.flatMap((path) => [path, `${path}.member`]).forEach((path) => {
+    keys.forEach((subjectKey) =>
+      conditions.push(keyCondition(subjectKey, path))
+    );
+    mboxes.forEach((mbox) => conditions.push({ [`${path}.mbox`]: mbox }));
+  });
+  const keySet = new Set(keys);
+  const statements = (
+    await collection.find({ $or: conditions }).toArray()
+  ).filter((statement) => mentions(statement, keySet));
+
+  const subject = { key, keys, mboxes: [...mboxes] };
+  const documents = {};
+  for (const type of ["state", "agentProfile"]) {
+    documents[type] = await db
+      .collection(DOCUMENT_TYPES[type].collection)
+      .countDocuments({ agentKey: { $in: documentKeys(subject) } });
+  }
+  return {
+    ...subject,
+    statements: statements.map(({ _id, id }) => ({ _id, id })),
+    documents,
+  };
+}
+
+// Deletes the subject's statements, or with mode "pseudonymise" replaces the
+// subject wherever they appear in them and leaves everyone else as they were.
+// State and agent profile documents and alias entries are deleted either way.
+async function eraseSubject(db, collectionName, subject, options = {}) {
+  const { mode = "delete", salt, aliases, batchSize = 500 } = options;
+  if (!ERASURE_MODES.includes(mode)) {
+    throw new Error(`mode must be one of ${ERASURE_MODES.join(", ")}`);
+  }
+  if (mode === "pseudonymise" && !salt) {
+    throw new Error("Pseudonymising requires a salt");
+  }
+  const collection = db.collection(collectionName);
+  const keySet = new Set(subject.keys);
+  const counts = { statements: 0, documents: {}, aliases: 0 };
+
+  for (let start = 0; start < subject.statements.length; start += batchSize) {
+    const ids = subject.statements
+      .slice(start, start + batchSize)
+      .map(({ _id }) => _id);
+    if (mode === "delete") {
+      const result = await collection.deleteMany({ _id: { $in: ids } });
+      counts.statements += result.deletedCount;
+      continue;
+    }
+
+    const statements = await collection.find({ _id: { $in: ids } }).toArray();
+    const operations = statements.map((statement) => {
+      const rewritten = mapAgents(statement, (agent) =>
+        keySet.has(actorKey(agent)) ? pseudonymise(agent, salt, aliases) : agent
+      );
+      const update = { _actor: actorKey(rewritten.actor) };
+      ["actor", "object", "context", "authority"]
+        .filter((field) => rewritten[field] !== undefined)
+        .forEach((field) => {
+          update[field] = rewritten[field];
+        });
+      return {
+        updateOne: { filter: { _id: statement._id }, update: { $set: update } },
+      };
+    });
+    if (operations.length) {
+      await collection.bulkWrite(operations, { ordered: false });
+    }
+    counts.statements += operations.length;
+  }
+
+  for (const type of ["state", "agentProfile"]) {
+    const result = await db
+      .collection(DOCUMENT_TYPES[type].collection)
+      .deleteMany({ agentKey: { $in: documentKeys(subject) } });
+    counts.documents[type] = result.deletedCount;
+  }
+  const aliasResult = await db.collection(ALIAS_COLLECTION).deleteMany({
+    $or: [{ _id: { $in: subject.keys } }, { canonical: { $in: subject.keys } }],
+  });
+  counts.aliases = aliasResult.deletedCount;
+  return counts;
+}
+
+function signature(receipt, secret) {
+  return {
+    algorithm: "HMAC-SHA256",
+    value: hmac(secret, stableStringify(receipt)),
+  };
+}
+
+// A record that an erasure took place. The learner appears only as HMACs of
+// their actor keys under the receipt secret: whoever holds the secret can
+// check a receipt against a learner, nobody else can tell who it is about.
+function createReceipt(subject, counts, options) {
+  const { mode, secret, database, collection, now = new Date() } = options;
+  if (!secret) throw new Error("Signing a receipt requires a secret");
+  const receipt = {
+    type: RECEIPT_TYPE,
+    version: RECEIPT_VERSION,
+    receiptId: crypto.randomUUID(),
+    performedAt: now.toISOString(),
+    mode,
+    subject: hmac(secret, subject.key),
+    identifiers: subject.keys.map((key) => hmac(secret, key)),
+    database,
+    collection,
+    statements: {
+      count: counts.statements,
+      ids: subject.statements.map(({ id }) => id),
+    },
+    documents: counts.documents,
+    aliases: counts.aliases,
+  };
+  return { ...receipt, signature: signature(receipt, secret) };
+}
+
+// Checks a receipt's signature, and with key that it is about that learner
+function verifyReceipt(receipt, secret, key) {
+  if (!receipt || receipt.type !== RECEIPT_TYPE || !receipt.signature) {
+    return { valid: false, reason: "not an erasure receipt" };
+  }
+  const { signature: signed, ...content } = receipt;
+  const expected = Buffer.from(signature(content, secret).value, "hex");
+  const actual = Buffer.from(String(signed.value), "hex");
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return { valid: false, reason: "signature does not match" };
+  }
+  if (key && !(receipt.identifiers || []).includes(hmac(secret, key))) {
+    return { valid: false, reason: "receipt is about another learner" };
+  }
+  return { valid: true };
+}
+
+module.exports = {
+  PSEUDONYM_HOMEPAGE,
+  ERASURE_MODES,
+  pseudonym,
+  pseudonymise,
+  mapAgents,
+  anonymiseStatement,
+  findSubject,
+  eraseSubject,
+  createReceipt,
+  verifyReceipt,
+};
@@ -0,0 +1,502 @@
+const fs = require("fs");
+const { isDeepStrictEqual } = require("util");
+const jsonpath = require("./jsonpath");
+
+// xAPI Profile conformance: Statement Templates (determining properties and
+// rules) for single statements, Patterns for the statements of a
+// registration.
+
+const CONTEXT_ACTIVITY_TYPES = {
+  contextGroupingActivityType: "grouping",
+  contextParentActivityType: "parent",
+  contextOtherActivityType: "other",
+  contextCategoryActivityType: "category",
+};
+
+const PATTERN_KINDS = [
+  "sequence",
+  "alternates",
+  "optional",
+  "oneOrMore",
+  "zeroOrMore",
+];
+
+async function loadProfile(source, collection) {
+  if (fs.existsSync(source)) {
+    return JSON.parse(fs.readFileSync(source, "utf-8"));
+  }
+  if (!collection) {
+    throw new Error(`Profile file ${source} does not exist`);
+  }
+
+  const profile = await collection.findOne(
+    { $or: [{ id: source }, { "versions.id": source }] },
+    { projection: { _id: 0 } }
+  );
+  if (!profile) {
+    throw new Error(`Profile ${source} is neither a file nor a stored profile`);
+  }
+  return profile;
+}
+
+function label(component) {
+  const prefLabel = component.prefLabel || {};
+  return prefLabel.en || prefLabel["en-US"] || Object.values(prefLabel)[0];
+}
+
+function asArray(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function contextActivityTypes(statement, key) {
+  const contextActivities =
+    (statement.context && statement.context.contextActivities) || {};
+  return asArray(contextActivities[key]).map(
+    (activity) => activity.definition && activity.definition.type
+  );
+}
+
+// Determining properties decide whether a template applies to a statement.
+function checkDeterminingProperties(template, statement) {
+  const errors = [];
+  const { verb, object = {}, attachments = [] } = statement;
+
+  if (template.verb && (!verb || verb.id !== template.verb)) {
+    errors.push(`verb must be ${template.verb}`);
+  }
+
+  if (template.objectActivityType) {
+    const type = object.definition && object.definition.type;
+    if (type !== template.objectActivityType) {
+      errors.push(
+        `object.definition.type must be ${template.objectActivityType}`
+      );
+    }
+  }
+
+  Object.entries(CONTEXT_ACTIVITY_TYPES).forEach(([property, key]) => {
+    const types = contextActivityTypes(statement, key);
+    asArray(template[property])
+      .filter((type) => !types.includes(type))
+      .forEach((type) =>
+        errors.push(
+          `context.contextActivities.${key} must include an activity of type ${type}`
+        )
+      );
+  });
+
+  const usageTypes = asArray(attachments).map(
+    (attachment) => attachment.usageType
+  );
+  asArray(template.attachmentUsageType)
+    .filter((type) => !usageTypes.includes(type))
+    .forEach((type) =>
+      errors.push(`attachments must include one with usageType ${type}`)
+    );
+
+  return errors;
+}
+
+function includesValue(list, value) {
+  return list.some((candidate) => isDeepStrictEqual(candidate, value));
+}
+
+function checkRule(rule, statement) {
+  let values = jsonpath.evaluate(rule.location, statement);
+  if (rule.selector) {
+    values = values.flatMap((value) =>
+      value === undefined
+        ? [undefined]
+        : jsonpath.evaluate(rule.selector, value)
+    );
+  }
+
+  const where = rule.selector
+    ? `${rule.location} (selector ${rule.selector})`
+    : rule.location;
+  const matchable = values.filter((value) => value !== undefined);
+  const hasUnmatchable = matchable.length !== values.length;
+  const errors = [];
+
+  if (rule.presence === "included" && (!matchable.length || hasUnmatchable)) {
+    errors.push(`${where} must be present`);
+  }
+  if (rule.presence === "excluded" && matchable.length) {
+    errors.push(`${where} must not be present`);
+  }
+  if (rule.presence === "excluded" || !matchable.length) {
+    return errors;
+  }
+
+  if (rule.any && !matchable.some((value) => includesValue(rule.any, value))) {
+    errors.push(
+      `${where} must contain at least one of ${JSON.stringify(rule.any)}`
+    );
+  }
+  if (
+    rule.all &&
+    (hasUnmatchable ||
+      !matchable.every((value) => includesValue(rule.all, value)))
+  ) {
+    errors.push(
+      `${where} must only contain values from ${JSON.stringify(rule.all)}`
+    );
+  }
+  if (rule.none) {
+    matchable
+      .filter((value) => includesValue(rule.none, value))
+      .forEach((value) =>
+        errors.push(`${where} must not contain ${JSON.stringify(value)}`)
+      );
+  }
+
+  return errors;
+}
+
+function findTemplate(profile, id) {
+  return (profile.templates || []).find((template) => template.id === id);
+}
+
+async function checkStatementRef(
+  profile,
+  ref,
+  templateIds,
+  property,
+  options,
+  seen
+) {
+  if (!ref || ref.objectType !== "StatementRef") {
+    return [`${property} must be a StatementRef`];
+  }
+
+  const referenced = options.resolveStatement
+    ? await options.resolveStatement(ref.id)
+    : null;
+  if (!referenced) {
+    return [`${property} references statement ${ref.id}, which was not found`];
+  }
+  if (seen.has(ref.id)) {
+    return [`${property} references statement ${ref.id} in a cycle`];
+  }
+
+  for (const templateId of templateIds) {
+    const template = findTemplate(profile, templateId);
+    if (!template) {
+      return [`${property} refers to unknown template ${templateId}`];
+    }
+    const errors = await checkTemplate(
+      profile,
+      template,
+      referenced,
+      options,
+      new Set([...seen, ref.id])
+    );
+    if (!errors.length) return [];
+  }
+
+  return [
+    `${property} references statement ${
+      ref.id
+    }, which matches none of ${templateIds.join(", ")}`,
+  ];
+}
+
+async function checkTemplate(
+  profile,
+  template,
+  statement,
+  options = {},
+  seen = new Set()
+) {
+  const errors = checkDeterminingProperties(template, statement);
+
+  if (template.objectStatementRefTemplate) {
+    errors.push(
+      ...(await checkStatementRef(
+        profile,
+        statement.object,
+        asArray(template.objectStatementRefTemplate),
+        "object",
+        options,
+        seen
+      ))
+    );
+  }
+  if (template.contextStatementRefTemplate) {
+    errors.push(
+      ...(await checkStatementRef(
+        profile,
+        statement.context && statement.context.statement,
+        asArray(template.contextStatementRefTemplate),
+        "context.statement",
+        options,
+        seen
+      ))
+    );
+  }
+
+  (template.rules || []).forEach((rule) =>
+    errors.push(...checkRule(rule, statement))
+  );
+
+  return errors;
+}
+
+// Checks a statement against one template (options.templateId) or against
+// every template whose determining properties it matches.
+async function checkStatementAgainstTemplates(
+  profile,
+  statement,
+  options = {}
+) {
+  const templates = options.templateId
+    ? [findTemplate(profile, options.templateId)]
+    : (profile.templates || []).filter(
+        (template) => !checkDeterminingProperties(template, statement).length
+      );
+
+  if (options.templateId && !templates[0]) {
+    throw new Error(
+      `Template ${options.templateId} is not defined in profile ${profile.id}`
+    );
+  }
+  if (!templates.length) {
+    return {
+      conforms: false,
+      templates: [],
+      errors: ["no Statement Template's determining properties match"],
+    };
+  }
+
+  const results = [];
+  for (const template of templates) {
+    const errors = await checkTemplate(profile, template, statement, options);
+    results.push({
+      id: template.id,
+      label: label(template),
+      conforms: !errors.length,
+      errors,
+    });
+  }
+
+  return {
+    conforms: results.some((result) => result.conforms),
+    templates: results,
+    errors: [],
+  };
+}
+
+// Matches statements[position..] against a pattern or template and returns
+// every position the match could end at. Failures are recorded so the
+// furthest point the statements got to can be reported.
+function createPatternMatcher(profile, matches) {
+  const patterns = new Map(
+    (profile.patterns || []).map((pattern) => [pattern.id, pattern])
+  );
+  const templateIds = new Set(
+    (profile.templates || []).map((template) => template.id)
+  );
+  const memo = new Map();
+  const active = new Set();
+  let failure = null;
+
+  function recordFailure(position, templateId, path) {
+    if (!failure || position > failure.position) {
+      failure = { position, expected: [] };
+    }
+    const step = path.join(" > ");
+    if (
+      position === failure.position &&
+      !failure.expected.some(
+        (entry) => entry.template === templateId && entry.step === step
+      )
+    ) {
+      failure.expected.push({ template: templateId, step });
+    }
+  }
+
+  function repeat(id, position, path) {
+    const ends = new Set();
+    let frontier = [position];
+    while (frontier.length) {
+      const next = [];
+      frontier.forEach((start) =>
+        match(id, start, path).forEach((end) => {
+          if (!ends.has(end)) {
+            ends.add(end);
+            next.push(end);
+          }
+        })
+      );
+      frontier = next;
+    }
+    return ends;
+  }
+
+  function match(id, position, path) {
+    if (templateIds.has(id)) {
+      if (position < matches.length && matches[position].has(id)) {
+        return new Set([position + 1]);
+      }
+      recordFailure(position, id, path);
+      return new Set();
+    }
+
+    const pattern = patterns.get(id);
+    if (!pattern) {
+      throw new Error(
+        `Pattern or template ${id} is not defined in the profile`
+      );
+    }
+
+    const key = `${id}@${position}`;
+    if (memo.has(key)) return memo.get(key);
+    if (active.has(key)) {
+      throw new Error(`Pattern ${id} contains itself`);
+    }
+    active.add(key);
+
+    const kind = PATTERN_KINDS.find((name) => pattern[name] !== undefined);
+    const step = (name) => [...path, `${id} (${name})`];
+    let ends = new Set();
+
+    switch (kind) {
+      case "sequence":
+        ends = pattern.sequence.reduce(
+          (starts, member, index) =>
+            new Set(
+              [...starts].flatMap((start) => [
+                ...match(member, start, step(`sequence step ${index + 1}`)),
+              ])
+            ),
+          new Set([position])
+        );
+        break;
+      case "alternates":
+        pattern.alternates.forEach((member, index) =>
+          match(member, position, step(`alternate ${index + 1}`)).forEach(
+            (end) => ends.add(end)
+          )
+        );
+        break;
+      case "optional":
+        ends = new Set([
+          position,
+          ...match(pattern.optional, position, step("optional")),
+        ]);
+        break;
+      case "oneOrMore":
+        ends = repeat(pattern.oneOrMore, position, step("oneOrMore"));
+        break;
+      case "zeroOrMore":
+        ends = new Set([
+          position,
+          ...repeat(pattern.zeroOrMore, position, step("zeroOrMore")),
+        ]);
+        break;
+      default:
+        throw new Error(`Pattern ${id} has no ${PATTERN_KINDS.join("/")}`);
+    }
+
+    active.delete(key);
+    memo.set(key, ends);
+    return ends;
+  }
+
+  return { match, getFailure: () => failure };
+}
+
+function orderStatements(statements) {
+  const time = (statement) =>
+    Date.parse(statement.timestamp || statement.stored) || 0;
+  return [...statements].sort((a, b) => time(a) - time(b));
+}
+
+// Checks the statements of a single registration against the profile's
+// primary patterns; they conform when any primary pattern matches them all.
+async function checkStatementsAgainstPatterns(
+  profile,
+  statements,
+  options = {}
+) {
+  const ordered = orderStatements(statements);
+  const byId = new Map(ordered.map((statement) => [statement.id, statement]));
+  const resolveStatement = async (id) =>
+    byId.get(id) ||
+    (options.resolveStatement ? options.resolveStatement(id) : null);
+
+  const matches = [];
+  for (const statement of ordered) {
+    const matched = new Set();
+    for (const template of profile.templates || []) {
+      const errors = await checkTemplate(profile, template, statement, {
+        resolveStatement,
+      });
+      if (!errors.length) matched.add(template.id);
+    }
+    matches.push(matched);
+  }
+
+  const primaries = (profile.patterns || []).filter(
+    (pattern) =>
+      pattern.primary &&
+      (!options.patternId || pattern.id === options.patternId)
+  );
+  if (!primaries.length) {
+    throw new Error(
+      options.patternId
+        ? `Primary pattern ${options.patternId} is not defined in profile ${profile.id}`
+        : `Profile ${profile.id} has no primary patterns`
+    );
+  }
+
+  const results = primaries.map((pattern) => {
+    const matcher = createPatternMatcher(profile, matches);
+    const ends = matcher.match(pattern.id, 0, []);
+    if (ends.has(ordered.length)) {
+      return { pattern: pattern.id, label: label(pattern), conforms: true };
+    }
+
+    const failure = matcher.getFailure();
+    const completedAt = Math.max(-1, ...ends);
+    const position =
+      failure && failure.position >= completedAt
+        ? failure.position
+        : completedAt;
+    const statement = ordered[position];
+    const result = {
+      pattern: pattern.id,
+      label: label(pattern),
+      conforms: false,
+      position,
+      statementId: statement ? statement.id : undefined,
+    };
+
+    if (!failure || position > failure.position) {
+      result.error = `statement ${
+        position + 1
+      } is not expected: the pattern is already complete`;
+    } else if (statement) {
+      result.error = `statement ${
+        position + 1
+      } matches none of the templates expected here`;
+      result.expected = failure.expected;
+    } else {
+      result.error = "the statements end before the pattern is complete";
+      result.expected = failure.expected;
+    }
+    return result;
+  });
+
+  return {
+    conforms: results.some((result) => result.conforms),
+    patterns: results,
+  };
+}
+
+module.exports = {
+  loadProfile,
+  checkStatementAgainstTemplates,
+  checkStatementsAgainstPatterns,
+};
@@ -0,0 +1,354 @@
+const { ObjectId } = require("mongodb");
+const { NOT_VOIDED } = require("./statements");
+
+// Translates the xAPI GET /statements parameters into MongoDB queries and
+// shapes stored statements for output. Shared by the HTTP server and the CLI.
+
+const FORMATS = ["exact", "ids", "canonical"];
+const IFI_PROPERTIES = ["mbox", "mbox_sha1sum", "openid", "account"];
+
+function parseAgent(agent) {
+  const parsed = typeof agent === "string" ? JSON.parse(agent) : agent;
+  const ifis = IFI_PROPERTIES.filter((key) => parsed && parsed[key]);
+  if (ifis.length !== 1) {
+    throw new Error(
+      "agent must have exactly one of mbox, mbox_sha1sum, openid or account"
+    );
+  }
+  // The identifier ends up in a Mongo filter, so it must not be an object
+  const [ifi] = ifis;
+  const values =
+    ifi === "account"
+      ? [parsed.account.homePage, parsed.account.name]
+      : [parsed[ifi]];
+  if (!values.every((value) => typeof value === "string")) {
+    throw new Error(`agent ${ifi} must be a string`);
+  }
+  return parsed;
+}
+
+// Mongo conditions matching an Agent or Identified Group at `path`
+function agentCondition(agent, path) {
+  if (agent.account) {
+    return {
+      [`${path}.account.homePage`]: agent.account.homePage,
+      [`${path}.account.name`]: agent.account.name,
+    };
+  }
+  const ifi = IFI_PROPERTIES.find((key) => agent[key]);
+  return { [`${path}.${ifi}`]: agent[ifi] };
+}
+
+function buildStatementQuery(params = {}) {
+  const conditions = params.includeVoided ? [] : [NOT_VOIDED];
+
+  if (params.agent) {
+    const agent = parseAgent(params.agent);
+    const paths = params.related_agents
+      ? [
+          "actor",
+          "object",
+          "authority",
+          "context.instructor",
+          "context.team",
+          "object.actor",
+          "object.object",
+          "object.context.instructor",
+          "object.context.team",
+        ]
+      : ["actor", "object"];
+    conditions.push({
+      $or: paths.map((path) => agentCondition(agent, path)),
+    });
+  }
+
+  if (params.verb) {
+    conditions.push({ "verb.id": params.verb });
+  }
+
+  if (params.activity) {
+    const paths = params.related_activities
+      ? [
+          "object.id",
+          "object.object.id",
+          ...["parent", "grouping", "category", "other"].flatMap((key) => [
+            `context.contextActivities.${key}.id`,
+            `object.context.contextActivities.${key}.id`,
+          ]),
+        ]
+      : ["object.id"];
+    conditions.push({
+      $or: paths.map((path) => ({ [path]: params.activity })),
+    });
+  }
+
+  if (params.registration) {
+    conditions.push({ "context.registration": params.registration });
+  }
+
+  if (params.since || params.until) {
+    const stored = {};
+    if (params.since) stored.$gt = new Date(params.since).toISOString();
+    if (params.until) stored.$lte = new Date(params.until).toISOString();
+    conditions.push({ stored });
+  }
+
+  if (!conditions.length) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+// Parameters arrive as strings over HTTP and on the command line
+function normalizeQueryParams(raw = {}) {
+  ["verb", "activity", "registration", "since", "until"].forEach((key) => {
+    if (raw[key] !== undefined && typeof raw[key] !== "string") {
+      throw new Error(`${key} must be a string`);
+    }
+  });
+  const flag = (value) => value === true || value === "true";
+  const params = {
+    agent: raw.agent,
+    verb: raw.verb,
+    activity: raw.activity,
+    registration: raw.registration,
+    since: raw.since,
+    until: raw.until,
+    related_activities: flag(raw.related_activities),
+    related_agents: flag(raw.related_agents),
+    ascending: flag(raw.ascending),
+    includeVoided: flag(raw.includeVoided),
+    format: raw.format || "exact",
+    limit: raw.limit === undefined ? 0 : Number(raw.limit),
+  };
+
+  if (params.agent) params.agent = parseAgent(params.agent);
+  if (!FORMATS.includes(params.format)) {
+    throw new Error(`format must be one of ${FORMATS.join(", ")}`);
+  }
+  if (!Number.isInteger(params.limit) || params.limit < 0) {
+    throw new Error("limit must be a non-negative integer");
+  }
+  ["since", "until"].forEach((key) => {
+    if (params[key] && Number.isNaN(Date.parse(params[key]))) {
+      throw new Error(`${key} must be an ISO 8601 timestamp`);
+    }
+  });
+
+  return params;
+}
+
+// Continuation tokens carry the query and the position of the last statement
+// returned, so a page can be resumed without server-side state. Clients can
+// edit them, so the query is checked again when one is decoded. The CLI also
+// carries the user's Mongo filter in them; allowFilter keeps it, and tokens
+// with a filter are rejected everywhere else.
+function encodeContinuation(params, last) {
+  return Buffer.from(
+    JSON.stringify({
+      params,
+      after: { stored: last.stored, _id: last._id.toString() },
+    })
+  ).toString("base64url");
+}
+
+function decodeContinuation(token, { allowFilter = false } = {}) {
+  try {
+    const { params, after } = JSON.parse(
+      Buffer.from(token, "base64url").toString("utf-8")
+    );
+    if (typeof after.stored !== "string" || typeof after._id !== "string") {
+      throw new Error("position must be strings");
+    }
+    const { filter } = params;
+    if (
+      filter !== undefined &&
+      (!allowFilter ||
+        filter === null ||
+        typeof filter !== "object" ||
+        Array.isArray(filter))
+    ) {
+      throw new Error("filter is not allowed");
+    }
+    const decoded = normalizeQueryParams(params);
+    if (filter !== undefined) decoded.filter = filter;
+    return {
+      params: decoded,
+      after: { stored: after.stored, _id: new ObjectId(after._id) },
+    };
+  } catch (error) {
+    throw new Error("Invalid continuation token");
+  }
+}
+
+function afterCondition(after, ascending) {
+  const op = ascending ? "$gt" : "$lt";
+  return {
+    $or: [
+      { stored: { [op]: after.stored } },
+      { stored: after.stored, _id: { [op]: after._id } },
+    ],
+  };
+}
+
+// Cursor over the statements matching params in stored order, optionally
+// narrowed by an extra Mongo filter and resumed after a given statement.
+function statementCursor(collection, params, { after, filter, limit } = {}) {
+  const conditions = [buildStatementQuery(params)];
+  if (filter && Object.keys(filter).length) conditions.push(filter);
+  if (after) conditions.push(afterCondition(after, params.ascending));
+  const direction = params.ascending ? 1 : -1;
+
+  const cursor = collection
+    .find(conditions.length === 1 ? conditions[0] : { $and: conditions })
+    .sort({ stored: direction, _id: direction });
+  return limit ? cursor.limit(limit) : cursor;
+}
+
+// Runs one page of a statement query. Returns the raw documents and, when
+// more remain, a continuation token for the next page.
+async function findStatementPage(
+  collection,
+  params,
+  { after, filter, pageSize }
+) {
+  const size = params.limit ? Math.min(params.limit, pageSize) : pageSize;
+  const documents = await statementCursor(collection, params, {
+    after,
+    filter,
+    limit: size + 1,
+  }).toArray();
+
+  const hasMore = documents.length > size;
+  const page = documents.slice(0, size);
+  return {
+    documents: page,
+    more: hasMore ? encodeContinuation(params, page[page.length - 1]) : null,
+  };
+}
+
+// Output formats ---------------------------------------------------------------
+
+function stripInternal(document) {
+  return Object.fromEntries(
+    Object.entries(document).filter(([key]) => !key.startsWith("_"))
+  );
+}
+
+function idsAgent(agent) {
+  if (!agent) return agent;
+  const reduced = { objectType: agent.objectType || "Agent" };
+  IFI_PROPERTIES.filter((key) => agent[key]).forEach((key) => {
+    reduced[key] = agent[key];
+  });
+  if (
+    Array.isArray(agent.member) &&
+    !IFI_PROPERTIES.some((key) => agent[key])
+  ) {
+    reduced.member = agent.member.map(idsAgent);
+  }
+  return reduced;
+}
+
+function idsObject(object) {
+  if (!object) return object;
+  switch (object.objectType) {
+    case "Agent":
+    case "Group":
+      return idsAgent(object);
+    case "SubStatement":
+      return idsBody(object);
+    case "StatementRef":
+      return object;
+    default:
+      return { objectType: "Activity", id: object.id };
+  }
+}
+
+function idsBody(statement) {
+  const reduced = { ...statement };
+  reduced.actor = idsAgent(statement.actor);
+  reduced.verb = statement.verb && { id: statement.verb.id };
+  reduced.object = idsObject(statement.object);
+  if (statement.authority) reduced.authority = idsAgent(statement.authority);
+  if (statement.context) {
+    reduced.context = { ...statement.context };
+    if (statement.context.instructor) {
+      reduced.context.instructor = idsAgent(statement.context.instructor);
+    }
+    if (statement.context.team) {
+      reduced.context.team = idsAgent(statement.context.team);
+    }
+    if (statement.context.contextActivities) {
+      reduced.context.contextActivities = Object.fromEntries(
+        Object.entries(statement.context.contextActivities).map(
+          ([key, activities]) => [key, [].concat(activities).map(idsObject)]
+        )
+      );
+    }
+  }
+  return reduced;
+}
+
+function pickLanguage(map, languages) {
+  const keys = Object.keys(map);
+  const match =
+    languages
+      .map((language) => language.toLowerCase())
+      .map(
+        (language) =>
+          keys.find((key) => key.toLowerCase() === language) ||
+          keys.find((key) => key.toLowerCase().split("-")[0] === language)
+      )
+      .find(Boolean) || keys[0];
+  return match === undefined ? {} : { [match]: map[match] };
+}
+
+const LANGUAGE_MAP_KEYS = new Set(["display", "name", "description"]);
+
+// Reduces every language map in the statement to its best single language
+function canonicalize(value, languages, key) {
+  if (Array.isArray(value)) {
+    return value.map((item) => canonicalize(item, languages));
+  }
+  if (!value || typeof value !== "object") return value;
+  if (
+    LANGUAGE_MAP_KEYS.has(key) &&
+    Object.values(value).every((v) => typeof v === "string")
+  ) {
+    return pickLanguage(value, languages);
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([childKey, child]) => [
+      childKey,
+      childKey === "extensions"
+        ? child
+        : canonicalize(child, languages, childKey),
+    ])
+  );
+}
+
+function formatStatement(document, format = "exact", languages = []) {
+  const statement = stripInternal(document);
+  switch (format) {
+    case "ids":
+      return idsBody(statement);
+    case "canonical":
+      return canonicalize(statement, languages);
+    default:
+      return statement;
+  }
+}
+
+module.exports = {
+  FORMATS,
+  parseAgent,
+  agentCondition,
+  buildStatementQuery,
+  normalizeQueryParams,
+  encodeContinuation,
+  decodeContinuation,
+  statementCursor,
+  findStatementPage,
+  formatStatement,
+  pickLanguage,
+  stripInternal,
+};
@@ -0,0 +1,125 @@
+// Client for a remote xAPI LRS. Requests that fail with a network error, a
+// 5xx or 429 are retried with exponential backoff (honouring Retry-After);
+// any other response is returned to the caller as { status, ok, headers, body }.
+
+const XAPI_VERSION = "1.0.3";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function authorizationHeader({ username, password, token }) {
+  if (token) return `Bearer ${token}`;
+  if (username) {
+    const credentials = Buffer.from(`${username}:${password || ""}`);
+    return `Basic ${credentials.toString("base64")}`;
+  }
+  return null;
+}
+
+function retryDelay(attempt, response, { baseDelay, maxDelay }) {
+  const retryAfter = response && response.headers.get("Retry-After");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000;
+    if (!Number.isNaN(delay)) return Math.min(Math.max(delay, 0), maxDelay);
+  }
+  return Math.min(baseDelay * 2 ** attempt, maxDelay);
+}
+
+async function readBody(response) {
+  const text = await response.text();
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    return text;
+  }
+}
+
+// options.fetch and options.sleep can be replaced, e.g. to run against a
+// stub LRS without real delays.
+function createLrsClient({
+  endpoint,
+  username,
+  password,
+  token,
+  retries = 5,
+  baseDelay = 500,
+  maxDelay = 30000,
+  fetch = globalThis.fetch,
+  sleep = wait,
+}) {
+  if (!endpoint) throw new Error("An LRS endpoint is required");
+  const base = new URL(endpoint.endsWith("/") ? endpoint : `${endpoint}/`);
+  const headers = { "X-Experience-API-Version": XAPI_VERSION };
+  const authorization = authorizationHeader({ username, password, token });
+  if (authorization) headers.Authorization = authorization;
+
+  async function request(method, resource, { query = {}, body } = {}) {
+    const url = new URL(resource, base);
+    Object.entries(query)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .forEach(([key, value]) =>
+        url.searchParams.set(
+          key,
+          typeof value === "object" ? JSON.stringify(value) : String(value)
+        )
+      );
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let failure;
+      try {
+        response = await fetch(url, {
+          method,
+          headers: body
+            ? { ...headers, "Content-Type": "application/json" }
+            : headers,
+          body: body ? JSON.stringify(body) : undefined,
+        });
+      } catch (error) {
+        failure = error.cause ? error.cause.message : error.message;
+      }
+
+      if (response && response.status !== 429 && response.status < 500) {
+        return {
+          status: response.status,
+          ok: response.ok,
+          headers: response.headers,
+          body: await readBody(response),
+        };
+      }
+      if (response) {
+        failure = `HTTP ${response.status}`;
+        await response.text().catch(() => {});
+      }
+      if (attempt >= retries) {
+        throw new Error(
+          `${method} ${url.pathname} failed after ${
+            attempt + 1
+          } attempts: ${failure}`
+        );
+      }
+      await sleep(retryDelay(attempt, response, { baseDelay, maxDelay }));
+    }
+  }
+
+  return {
+    endpoint: base.href,
+    request,
+    postStatements: (statements) =>
+      request("POST", "statements", { body: statements }),
+    putStatement: (statement) =>
+      request("PUT", "statements", {
+        query: { statementId: statement.id },
+        body: statement,
+      }),
+    // `more` is the path of the next page returned by a previous response
+    getStatements: (query = {}, more) =>
+      more
+        ? request("GET", new URL(more, base).href)
+        : request("GET", "statements", { query }),
+  };
+}
+
+module.exports = { createLrsClient };
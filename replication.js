@@ -0,0 +1,295 @@
+const crypto = require("crypto");
+const { statementCursor, formatStatement } = require("./query");
+const { storeStatements } = require("./statements");
+const { ACTIVITY_COLLECTION } = require("./activities");
+
+// Replication between this store and remote LRSs. Progress is kept in the
+// "replication" collection, one checkpoint per direction, endpoint and set of
+// filters, so repeated runs only move statements not handled before.
+
+const CHECKPOINT_COLLECTION = "replication";
+const FILTER_PARAMETERS = [
+  "agent",
+  "verb",
+  "activity",
+  "registration",
+  "related_activities",
+  "related_agents",
+  "since",
+  "until",
+];
+
+function checkpointKey(direction, endpoint, params) {
+  const filters = Object.fromEntries(
+    FILTER_PARAMETERS.filter((name) => params[name]).map((name) => [
+      name,
+      params[name],
+    ])
+  );
+  const digest = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(filters))
+    .digest("hex");
+  return `${direction}:${endpoint}:${digest}`;
+}
+
+function failureMessage(response) {
+  const { body } = response;
+  const message = body && (body.error || body.message || body);
+  return typeof message === "string"
+    ? `HTTP ${response.status}: ${message}`
+    : `HTTP ${response.status}`;
+}
+
+// A remote LRS rejects a whole batch when one statement is invalid or
+// conflicting, so a rejected batch is resent one statement at a time to find
+// out which statements were at fault.
+async function pushBatch(client, statements) {
+  const response = await client.postStatements(statements);
+  if (response.ok) {
+    return statements.map(({ id }) => ({ id, status: "accepted" }));
+  }
+  // Anything else (authentication, a wrong endpoint) is not about the
+  // statements and stops the run
+  if (![400, 409].includes(response.status)) {
+    throw new Error(failureMessage(response));
+  }
+  if (statements.length > 1) {
+    const results = [];
+    for (const statement of statements) {
+      results.push(...(await pushBatch(client, [statement])));
+    }
+    return results;
+  }
+
+  const [{ id }] = statements;
+  return [
+    {
+      id,
+      status: response.status === 409 ? "conflict" : "failed",
+      error: failureMessage(response),
+    },
+  ];
+}
+
+// POSTs the statements matching params (query.js parameters) to the remote
+// LRS in stored order, batchSize at a time, moving the checkpoint forward
+// after every batch. Voided statements are sent too so that their voiding
+// statements apply remotely. A batch that still fails after the client's
+// retries, or is refused for reasons other than its content, stops the run;
+// it is picked up again by the next run.
+//
+// Statements the remote rejects as invalid (400) may be accepted later, e.g.
+// a voiding statement whose target the remote lacks, so the checkpoint keeps
+// them in a retry list that the next run sends first.
+async function pushStatements(
+  db,
+  collectionName,
+  client,
+  params,
+  options = {}
+) {
+  const { batchSize = 100, restart = false, onBatch = () => {} } = options;
+  const checkpoints = db.collection(CHECKPOINT_COLLECTION);
+  const collection = db.collection(collectionName);
+  const key = checkpointKey("push", client.endpoint, params);
+  const saved = restart ? null : await checkpoints.findOne({ _id: key });
+  let retry = (saved && saved.retry) || [];
+
+  const summary = { accepted: 0, conflict: 0, failed: 0, rejected: [] };
+  const cursor = statementCursor(
+    collection,
+    { ...params, ascending: true, includeVoided: true },
+    { after: saved ? { stored: saved.stored, _id: saved.lastId } : undefined }
+  );
+
+  // Returns the _ids of the documents that failed
+  const push = async (documents) => {
+    const results = await pushBatch(
+      client,
+      documents.map((document) => formatStatement(document))
+    );
+    const failed = [];
+    results.forEach((result, index) => {
+      summary[result.status]++;
+      if (result.status !== "accepted") summary.rejected.push(result);
+      if (result.status === "failed") failed.push(documents[index]._id);
+    });
+    return failed;
+  };
+
+  const saveCheckpoint = async (position) => {
+    await checkpoints.updateOne(
+      { _id: key },
+      {
+        $set: {
+          direction: "push",
+          endpoint: client.endpoint,
+          ...position,
+          retry,
+          updated: new Date().toISOString(),
+        },
+      },
+      { upsert: true }
+    );
+    onBatch(summary);
+  };
+
+  let batch = [];
+  const send = async () => {
+    if (!batch.length) return;
+    retry = [...retry, ...(await push(batch))];
+    const last = batch[batch.length - 1];
+    await saveCheckpoint({ stored: last.stored, lastId: last._id });
+    batch = [];
+  };
+
+  try {
+    if (retry.length) {
+      const earlier = await collection
+        .find({ _id: { $in: retry } })
+        .sort({ stored: 1, _id: 1 })
+        .toArray();
+      const failed = [];
+      for (let start = 0; start < earlier.length; start += batchSize) {
+        failed.push(...(await push(earlier.slice(start, start + batchSize))));
+      }
+      retry = failed;
+      await saveCheckpoint({});
+    }
+
+    for await (const document of cursor) {
+      batch.push(document);
+      if (batch.length >= batchSize) await send();
+    }
+    await send();
+  } catch (error) {
+    summary.error = error.message;
+  } finally {
+    await cursor.close();
+  }
+
+  return summary;
+}
+
+function remoteQuery(params, since, pageSize) {
+  const query = { ascending: true };
+  FILTER_PARAMETERS.filter((name) => params[name]).forEach((name) => {
+    query[name] = params[name];
+  });
+  if (since) query.since = since;
+  if (pageSize) query.limit = pageSize;
+  return query;
+}
+
+function latest(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return Date.parse(a) >= Date.parse(b) ? a : b;
+}
+
+// Pages through the remote LRS's GET /statements (oldest first) and stores
+// every page through storeStatements, so statements are validated and
+// checked for conflicts like any other write. The checkpoint holds the next
+// page's `more` link while a run is in progress and the latest remote
+// `stored` time once it completes: an interrupted run resumes from the page
+// it stopped at, and a completed one continues with newer statements.
+// options.keepStored / options.keepAuthority keep the remote values instead
+// of stamping local ones.
+async function pullStatements(
+  db,
+  collectionName,
+  client,
+  params,
+  options = {}
+) {
+  const {
+    authority,
+    keepStored = false,
+    keepAuthority = false,
+    pageSize,
+    restart = false,
+    onPage = () => {},
+  } = options;
+  const checkpoints = db.collection(CHECKPOINT_COLLECTION);
+  const collection = db.collection(collectionName);
+  const key = checkpointKey("pull", client.endpoint, params);
+  const saved = (!restart && (await checkpoints.findOne({ _id: key }))) || {};
+
+  const summary = {
+    pages: 0,
+    stored: 0,
+    skipped: 0,
+    conflict: 0,
+    invalid: 0,
+    rejected: [],
+  };
+  let more = saved.more || null;
+  let lastStored = saved.lastStored || null;
+  const query = remoteQuery(params, latest(params.since, lastStored), pageSize);
+
+  try {
+    for (;;) {
+      let response = await client.getStatements(query, more);
+      // More links are not guaranteed to outlive a run; start the query
+      // over from the last stored time seen instead
+      if (more && [400, 404].includes(response.status)) {
+        more = null;
+        response = await client.getStatements(
+          remoteQuery(params, latest(params.since, lastStored), pageSize)
+        );
+      }
+      if (!response.ok) throw new Error(failureMessage(response));
+
+      const { statements = [], more: next } = response.body || {};
+      if (!Array.isArray(statements)) {
+        throw new Error("The remote LRS returned an invalid StatementResult");
+      }
+
+      const results = await storeStatements(collection, statements, {
+        authority,
+        keepStored,
+        keepAuthority,
+        activities: db.collection(ACTIVITY_COLLECTION),
+      });
+      results.forEach((result) => {
+        summary[result.status]++;
+        if (!["stored", "skipped"].includes(result.status)) {
+          summary.rejected.push(result);
+        }
+      });
+      statements.forEach(({ stored }) => {
+        lastStored = latest(lastStored, stored);
+      });
+      summary.pages++;
+
+      more = next || null;
+      await checkpoints.updateOne(
+        { _id: key },
+        {
+          $set: {
+            direction: "pull",
+            endpoint: client.endpoint,
+            more,
+            lastStored,
+            updated: new Date().toISOString(),
+          },
+        },
+        { upsert: true }
+      );
+      onPage(summary);
+      if (!more) break;
+    }
+  } catch (error) {
+    summary.error = error.message;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  CHECKPOINT_COLLECTION,
+  checkpointKey,
+  pushStatements,
+  pullStatements,
+};
@@ -0,0 +1,330 @@
+const { histogramBuckets } = require("./charts");
+
+// Renders analytics results as a single HTML page with inline SVG charts and
+// sortable tables. Styles and the sorting script are embedded, so the file
+// can be opened offline, emailed or attached as it is.
+
+const CHART_WIDTH = 720;
+const BAR_HEIGHT = 22;
+const COLOR = "#3b6ea5";
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value).replace(
+    /[&<>"']/g,
+    (character) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[character])
+  );
+}
+
+function formatNumber(value) {
+  if (value === null || value === undefined) return "";
+  return Number.isInteger(value)
+    ? value.toLocaleString("en-US")
+    : value.toFixed(3).replace(/\.?0+$/, "");
+}
+
+function truncate(text, length) {
+  const value = String(text);
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+// rows: [{ label, value }], drawn as horizontal bars
+function svgBarChart(rows, { width = CHART_WIDTH } = {}) {
+  if (!rows.length) return '<p class="empty">No data</p>';
+  const labelWidth = 220;
+  const valueWidth = 70;
+  const barWidth = width - labelWidth - valueWidth;
+  const max = Math.max(...rows.map(({ value }) => value), 0) || 1;
+  const height = rows.length * BAR_HEIGHT + 4;
+
+  const bars = rows.map(({ label, value }, index) => {
+    const y = index * BAR_HEIGHT + 2;
+    const length = Math.max((value / max) * barWidth, value > 0 ? 1 : 0);
+    return `<g><title>${escapeHtml(label)}: ${formatNumber(value)}</title>
+<text x="${labelWidth - 8}" y="${y + 15}" text-anchor="end">${escapeHtml(
+      truncate(label, 32)
+    )}</text>
+<rect x="${labelWidth}" y="${y + 3}" width="${length.toFixed(1)}" height="${
+      BAR_HEIGHT - 6
+    }" fill="${COLOR}"/>
+<text x="${labelWidth + length + 6}" y="${y + 15}">${formatNumber(
+      value
+    )}</text></g>`;
+  });
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">
+${bars.join("\n")}
+</svg>`;
+}
+
+// points: [{ label, value }] in order along the x axis
+function svgLineChart(points, { width = CHART_WIDTH, height = 220 } = {}) {
+  if (!points.length) return '<p class="empty">No data</p>';
+  const left = 56;
+  const bottom = 28;
+  const top = 10;
+  const plotWidth = width - left - 10;
+  const plotHeight = height - top - bottom;
+  const max = Math.max(...points.map(({ value }) => value), 0) || 1;
+  const x = (index) =>
+    left +
+    (points.length === 1
+      ? plotWidth / 2
+      : (index / (points.length - 1)) * plotWidth);
+  const y = (value) => top + plotHeight - (value / max) * plotHeight;
+
+  const coordinates = points
+    .map(({ value }, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`)
+    .join(" ");
+  const markers = points
+    .map(
+      ({ label, value }, index) =>
+        `<circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(
+          1
+        )}" r="3" fill="${COLOR}"><title>${escapeHtml(label)}: ${formatNumber(
+          value
+        )}</title></circle>`
+    )
+    .join("\n");
+  const first = points[0].label;
+  const last = points[points.length - 1].label;
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">
+<line x1="${left}" y1="${top}" x2="${left}" y2="${
+    top + plotHeight
+  }" class="axis"/>
+<line x1="${left}" y1="${top + plotHeight}" x2="${left + plotWidth}" y2="${
+    top + plotHeight
+  }" class="axis"/>
+<text x="${left - 6}" y="${top + 10}" text-anchor="end">${formatNumber(
+    max
+  )}</text>
+<text x="${left - 6}" y="${top + plotHeight}" text-anchor="end">0</text>
+<text x="${left}" y="${height - 8}">${escapeHtml(first)}</text>
+${
+  points.length > 1
+    ? `<text x="${left + plotWidth}" y="${
+        height - 8
+      }" text-anchor="end">${escapeHtml(last)}</text>`
+    : ""
+}
+<polyline points="${coordinates}" fill="none" stroke="${COLOR}" stroke-width="2"/>
+${markers}
+</svg>`;
+}
+
+// columns: [{ key, header, numeric }]. Cells carry their raw value in
+// data-value so numbers sort numerically whatever their formatting.
+function sortableTable(rows, columns) {
+  if (!rows.length) return '<p class="empty">No data</p>';
+  const head = columns
+    .map(
+      ({ header, numeric }) =>
+        `<th${numeric ? ' class="numeric"' : ""}>${escapeHtml(header)}</th>`
+    )
+    .join("");
+  const body = rows
+    .map(
+      (row) =>
+        `<tr>${columns
+          .map(({ key, numeric }) => {
+            const value = row[key];
+            return numeric
+              ? `<td class="numeric" data-value="${
+                  value === null || value === undefined ? "" : value
+                }">${formatNumber(value)}</td>`
+              : `<td>${escapeHtml(value)}</td>`;
+          })
+          .join("")}</tr>`
+    )
+    .join("\n");
+  return `<table class="sortable">
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>`;
+}
+
+function section(title, ...content) {
+  return `<section>
+<h2>${escapeHtml(title)}</h2>
+${content.join("\n")}
+</section>`;
+}
+
+const STYLE = `
+body { font: 14px/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; margin: 0 auto; max-width: 960px; padding: 24px; }
+header { border-bottom: 2px solid ${COLOR}; margin-bottom: 16px; }
+h1 { margin: 0 0 4px; font-size: 24px; }
+h2 { font-size: 18px; margin: 28px 0 8px; }
+.meta { color: #666; margin: 4px 0 12px; }
+.summary { display: flex; flex-wrap: wrap; gap: 12px; margin: 12px 0 16px; }
+.summary div { background: #f3f6fa; border-radius: 6px; padding: 8px 14px; min-width: 110px; }
+.summary strong { display: block; font-size: 20px; }
+.chart { max-width: 100%; height: auto; font-size: 12px; }
+.chart .axis { stroke: #999; }
+table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+th, td { border-bottom: 1px solid #e3e3e3; padding: 4px 8px; text-align: left; vertical-align: top; word-break: break-word; }
+th { cursor: pointer; user-select: none; background: #f7f7f7; }
+th.asc::after { content: " ▲"; } th.desc::after { content: " ▼"; }
+.numeric { text-align: right; }
+.empty { color: #888; font-style: italic; }
+dl.filters { display: grid; grid-template-columns: max-content auto; gap: 2px 12px; margin: 0; }
+dl.filters dt { color: #666; } dl.filters dd { margin: 0; font-family: monospace; }
+`;
+
+const SCRIPT = `
+document.querySelectorAll("table.sortable").forEach(function (table) {
+  table.querySelectorAll("th").forEach(function (th, column) {
+    th.addEventListener("click", function () {
+      var ascending = !th.classList.contains("asc");
+      table.querySelectorAll("th").forEach(function (other) {
+        other.classList.remove("asc", "desc");
+      });
+      th.classList.add(ascending ? "asc" : "desc");
+      var numeric = th.classList.contains("numeric");
+      var body = table.tBodies[0];
+      var rows = Array.prototype.slice.call(body.rows);
+      rows.sort(function (a, b) {
+        var x = a.cells[column], y = b.cells[column];
+        var result = numeric
+          ? (parseFloat(x.dataset.value) || 0) - (parseFloat(y.dataset.value) || 0)
+          : x.textContent.localeCompare(y.textContent);
+        return ascending ? result : -result;
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+});
+`;
+
+// data: { title, generated, filters, granularity, stats, timeline, verbs,
+// activities, actors, scores, scoreValues } as returned by analytics.js
+function renderReport(data) {
+  const { stats, filters = {} } = data;
+  const summary = [
+    ["Statements", stats.statements],
+    ["Actors", stats.actors],
+    ["Verbs", stats.verbs],
+    ["Activities", stats.activities],
+  ]
+    .map(
+      ([label, value]) =>
+        `<div><strong>${formatNumber(value)}</strong>${escapeHtml(label)}</div>`
+    )
+    .join("");
+  const filterList = Object.entries(filters).length
+    ? `<dl class="filters">${Object.entries(filters)
+        .map(
+          ([name, value]) =>
+            `<dt>${escapeHtml(name)}</dt><dd>${escapeHtml(
+              typeof value === "string" ? value : JSON.stringify(value)
+            )}</dd>`
+        )
+        .join("")}</dl>`
+    : '<p class="meta">All statements</p>';
+  const scoreValues = data.scoreValues || [];
+  const buckets = histogramBuckets(scoreValues, {
+    min: scoreValues.some((score) => score < 0) ? -1 : 0,
+    max: 1,
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(data.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(data.title)}</h1>
+<p class="meta">Generated ${escapeHtml(data.generated)}${
+    stats.first
+      ? ` · statements from ${escapeHtml(stats.first)} to ${escapeHtml(
+          stats.last
+        )}`
+      : ""
+  }</p>
+<div class="summary">${summary}</div>
+${filterList}
+</header>
+${section(
+  `Statements per ${data.granularity}`,
+  svgLineChart(
+    data.timeline.map(({ period, count }) => ({ label: period, value: count }))
+  ),
+  sortableTable(data.timeline, [
+    { key: "period", header: "Period" },
+    { key: "count", header: "Statements", numeric: true },
+  ])
+)}
+${section(
+  "Verbs",
+  svgBarChart(
+    data.verbs.map(({ name, count }) => ({ label: name, value: count }))
+  ),
+  sortableTable(data.verbs, [
+    { key: "name", header: "Verb" },
+    { key: "id", header: "Id" },
+    { key: "count", header: "Statements", numeric: true },
+  ])
+)}
+${section(
+  "Most active actors",
+  svgBarChart(
+    data.actors.map(({ name, count }) => ({ label: name, value: count }))
+  ),
+  sortableTable(data.actors, [
+    { key: "name", header: "Name" },
+    { key: "identifiers", header: "Identifiers" },
+    { key: "count", header: "Statements", numeric: true },
+  ])
+)}
+${section(
+  "Activities",
+  svgBarChart(
+    data.activities.map(({ name, count }) => ({ label: name, value: count }))
+  ),
+  sortableTable(data.activities, [
+    { key: "name", header: "Activity" },
+    { key: "id", header: "Id" },
+    { key: "count", header: "Statements", numeric: true },
+  ])
+)}
+${section(
+  "Scores",
+  svgBarChart(
+    buckets.map(({ from, to, count }) => ({
+      label: `${formatNumber(from)} – ${formatNumber(to)}`,
+      value: count,
+    }))
+  ),
+  sortableTable(data.scores, [
+    { key: "name", header: "Activity" },
+    { key: "count", header: "Scored statements", numeric: true },
+    { key: "average", header: "Average", numeric: true },
+    { key: "min", header: "Lowest", numeric: true },
+    { key: "max", header: "Highest", numeric: true },
+  ])
+)}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  svgBarChart,
+  svgLineChart,
+  sortableTable,
+  renderReport,
+};
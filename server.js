@@ -0,0 +1,493 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const { authenticateRequest } = require("./auth");
+const { httpError } = require("./errors");
+const { storeStatements, NOT_VOIDED } = require("./statements");
+const {
+  DOCUMENT_TYPES,
+  getDocument,
+  listDocumentIds,
+  putDocument,
+  postDocument,
+  deleteDocument,
+  deleteDocuments,
+} = require("./documents");
+const {
+  FORMATS,
+  normalizeQueryParams,
+  decodeContinuation,
+  findStatementPage,
+  formatStatement,
+} = require("./query");
+const { ACTIVITY_COLLECTION } = require("./activities");
+const { recordEntry } = require("./audit");
+const { getUser } = require("./users");
+const {
+  scopesOf,
+  scopeAllows,
+  readsOnlyOwnStatements,
+} = require("./permissions");
+
+// HTTP binding of the xAPI Statements resource on top of the statements
+// collection, plus the Activities, State, Activity Profile and Agent Profile
+// resources. Callers are limited by their xAPI scopes (see permissions.js),
+// and their writes are recorded in the audit trail (see audit.js).
+
+const XAPI_VERSION = "1.0.3";
+const VERSION_HEADER = "X-Experience-API-Version";
+const QUERY_PARAMETERS = [
+  "agent",
+  "verb",
+  "activity",
+  "registration",
+  "related_activities",
+  "related_agents",
+  "since",
+  "until",
+  "limit",
+  "format",
+  "attachments",
+  "ascending",
+];
+const DOCUMENT_RESOURCES = [
+  ["/activities/state", "state", "state"],
+  ["/activities/profile", "activityProfile", "profile"],
+  ["/agents/profile", "agentProfile", "profile"],
+];
+
+const handle = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+function acceptedLanguages(header) {
+  return (header || "")
+    .split(",")
+    .map((part) => {
+      const [language, quality] = part.trim().split(";q=");
+      return { language, quality: quality === undefined ? 1 : Number(quality) };
+    })
+    .filter(({ language }) => language && language !== "*")
+    .sort((a, b) => b.quality - a.quality)
+    .map(({ language }) => language);
+}
+
+function requireJson(req) {
+  if (!req.is("application/json")) {
+    throw httpError(400, "Content-Type must be application/json");
+  }
+}
+
+// Rejects a batch with 400 if anything is invalid and 409 on id conflicts
+function assertStored(results) {
+  const invalid = results.filter(({ status }) => status === "invalid");
+  if (invalid.length) {
+    throw httpError(400, "Statement validation failed", invalid);
+  }
+  const conflicts = results.filter(({ status }) => status === "conflict");
+  if (conflicts.length) {
+    throw httpError(409, "Statement id conflict", conflicts);
+  }
+}
+
+function documentBody(req) {
+  return {
+    content: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+    contentType: req.get("Content-Type") || "application/octet-stream",
+  };
+}
+
+function preconditions(req) {
+  return {
+    ifMatch: req.get("If-Match"),
+    ifNoneMatch: req.get("If-None-Match"),
+  };
+}
+
+function createApp({
+  db,
+  collectionName,
+  config,
+  logger,
+  basePath = "/xAPI",
+  homePage = "http://localhost",
+  pageSize = 100,
+  rateLimitPerMinute = 300,
+  bodyLimit = "10mb",
+}) {
+  const app = express();
+  const router = express.Router();
+  const statements = db.collection(collectionName);
+  const activities = db.collection(ACTIVITY_COLLECTION);
+  const json = express.json({ limit: bodyLimit });
+  const raw = express.raw({ type: () => true, limit: bodyLimit });
+
+  app.disable("x-powered-by");
+  app.use((req, res, next) => {
+    res.set(VERSION_HEADER, XAPI_VERSION);
+    next();
+  });
+  app.use(
+    rateLimit({
+      windowMs: 60 * 1000,
+      limit: rateLimitPerMinute,
+      standardHeaders: "draft-7",
+      legacyHeaders: false,
+      handler: (req, res) =>
+        res.status(429).json({ error: "Too many requests" }),
+    })
+  );
+
+  router.get("/about", (req, res) => {
+    res.json({ version: [XAPI_VERSION] });
+  });
+
+  router.use((req, res, next) => {
+    const version = req.get(VERSION_HEADER);
+    if (!version || !/^1\.0(\.\d+)?$/.test(version)) {
+      return next(
+        httpError(400, `${VERSION_HEADER} header must be a 1.0.x version`)
+      );
+    }
+    next();
+  });
+
+  // The query parser turns verb[$ne]=x into an object, which must not reach
+  // a Mongo filter
+  router.use((req, res, next) => {
+    const key = Object.keys(req.query).find(
+      (name) => typeof req.query[name] !== "string"
+    );
+    if (key) {
+      return next(httpError(400, `${key} parameter must be a single string`));
+    }
+    next();
+  });
+
+  const unauthorized = (res, message) => {
+    res.set("WWW-Authenticate", 'Basic realm="xAPI"');
+    return httpError(401, message);
+  };
+
+  router.use(
+    handle(async (req, res, next) => {
+      let principal;
+      try {
+        principal = authenticateRequest(req.get("Authorization"), config);
+      } catch (error) {
+        throw unauthorized(res, error.message);
+      }
+      if (!principal.scopes) {
+        const user = await getUser(db, principal.userId);
+        if (!user) throw unauthorized(res, "Token is not valid");
+        principal.scopes = scopesOf(user.roles);
+      }
+      req.principal = principal;
+      req.authority = {
+        objectType: "Agent",
+        account: { homePage, name: principal.userId },
+      };
+      next();
+    })
+  );
+
+  const requireScope = (resource) => (req, res, next) => {
+    const write = !["GET", "HEAD"].includes(req.method);
+    if (scopeAllows(req.principal.scopes, resource, write)) return next();
+    next(
+      httpError(
+        403,
+        `The credentials' scopes (${req.principal.scopes.join(
+          ", "
+        )}) do not allow this request`
+      )
+    );
+  };
+
+  // Writes are recorded under the user or LRS key that made them. As in the
+  // CLI, an entry that cannot be written is logged but does not fail a write
+  // that has been made.
+  const recordWrite = async (req, outcome, details) => {
+    try {
+      await recordEntry(
+        db,
+        {
+          user: req.principal.userId,
+          command: `${req.method} ${req.baseUrl}${req.path}`,
+          arguments: req.query,
+          outcome,
+          ...details,
+        },
+        { chain: config.values.auditChain }
+      );
+    } catch (error) {
+      logger.error("Could not write the audit entry:", error);
+    }
+  };
+
+  // With only statements/read/mine, reads see the statements the caller
+  // wrote: those with the authority the caller's writes are given
+  const readableStatements = (req) =>
+    readsOnlyOwnStatements(req.principal.scopes)
+      ? {
+          "authority.account.homePage": homePage,
+          "authority.account.name": req.principal.userId,
+        }
+      : {};
+
+  router.put(
+    "/statements",
+    requireScope("statements"),
+    json,
+    handle(async (req, res) => {
+      requireJson(req);
+      const { statementId } = req.query;
+      if (!statementId) {
+        throw httpError(400, "statementId parameter is required");
+      }
+      if (Array.isArray(req.body)) {
+        throw httpError(400, "PUT accepts a single statement");
+      }
+      if (req.body.id && req.body.id !== statementId) {
+        throw httpError(400, "Statement id does not match statementId");
+      }
+
+      const results = await storeStatements(
+        statements,
+        [{ ...req.body, id: statementId }],
+        { authority: req.authority, atomic: true, activities }
+      );
+      assertStored(results);
+      await recordWrite(req, "success", {
+        affected: { statements: [statementId] },
+      });
+      res.status(204).end();
+    })
+  );
+
+  router.post(
+    "/statements",
+    requireScope("statements"),
+    json,
+    handle(async (req, res) => {
+      requireJson(req);
+      const batch = Array.isArray(req.body) ? req.body : [req.body];
+      if (!batch.length) {
+        throw httpError(400, "At least one statement is required");
+      }
+
+      const results = await storeStatements(statements, batch, {
+        authority: req.authority,
+        atomic: true,
+        activities,
+      });
+      assertStored(results);
+      const ids = results.map(({ id }) => id);
+      await recordWrite(req, "success", { affected: { statements: ids } });
+      res.json(ids);
+    })
+  );
+
+  router.get(
+    "/statements",
+    requireScope("statements"),
+    handle(async (req, res) => {
+      const languages = acceptedLanguages(req.get("Accept-Language"));
+      res.set("X-Experience-API-Consistent-Through", new Date().toISOString());
+
+      const { statementId, voidedStatementId } = req.query;
+      if (statementId || voidedStatementId) {
+        const extra = Object.keys(req.query).filter(
+          (key) => !["format", "attachments"].includes(key)
+        );
+        if (extra.length > 1) {
+          throw httpError(
+            400,
+            "statementId and voidedStatementId cannot be combined with other filters"
+          );
+        }
+        if (req.query.format && !FORMATS.includes(req.query.format)) {
+          throw httpError(400, `format must be one of ${FORMATS.join(", ")}`);
+        }
+        // A voided statement is only returned through voidedStatementId
+        const document = await statements.findOne({
+          ...readableStatements(req),
+          ...(statementId
+            ? { id: statementId, ...NOT_VOIDED }
+            : { id: voidedStatementId, _voided: true }),
+        });
+        if (!document) throw httpError(404, "Statement not found");
+        res.set("Last-Modified", new Date(document.stored).toUTCString());
+        return res.json(formatStatement(document, req.query.format, languages));
+      }
+
+      let params;
+      let after;
+      try {
+        if (req.query.more) {
+          ({ params, after } = decodeContinuation(req.query.more));
+          // Voided statements are only returned through voidedStatementId
+          params.includeVoided = false;
+        } else {
+          const unknown = Object.keys(req.query).filter(
+            (key) => !QUERY_PARAMETERS.includes(key)
+          );
+          if (unknown.length) {
+            throw new Error(`Unknown parameters: ${unknown.join(", ")}`);
+          }
+          params = normalizeQueryParams(req.query);
+        }
+      } catch (error) {
+        throw httpError(400, error.message);
+      }
+
+      const { documents, more } = await findStatementPage(statements, params, {
+        after,
+        filter: readableStatements(req),
+        pageSize,
+      });
+      res.json({
+        statements: documents.map((document) =>
+          formatStatement(document, params.format, languages)
+        ),
+        more: more
+          ? `${basePath}/statements?more=${encodeURIComponent(more)}`
+          : "",
+      });
+    })
+  );
+
+  router.all("/statements", (req, res, next) =>
+    next(httpError(405, `${req.method} is not supported on /statements`))
+  );
+
+  // The canonical definition of an activity; an unknown activity is
+  // returned with its id only
+  router.get(
+    "/activities",
+    requireScope("activities"),
+    handle(async (req, res) => {
+      const { activityId } = req.query;
+      if (!activityId) throw httpError(400, "activityId parameter is required");
+      const activity = await activities.findOne({ _id: activityId });
+      res.json({
+        objectType: "Activity",
+        id: activityId,
+        ...(activity && { definition: activity.definition }),
+      });
+    })
+  );
+
+  DOCUMENT_RESOURCES.forEach(([path, type, resource]) => {
+    const { idKey } = DOCUMENT_TYPES[type];
+    const requireId = (req) => {
+      if (!req.query[idKey]) {
+        throw httpError(400, `${idKey} parameter is required`);
+      }
+    };
+
+    router.get(
+      path,
+      requireScope(resource),
+      handle(async (req, res) => {
+        if (!req.query[idKey]) {
+          return res.json(await listDocumentIds(db, type, req.query));
+        }
+        const document = await getDocument(db, type, req.query);
+        if (!document) throw httpError(404, "Document not found");
+        res
+          .set("ETag", `"${document.etag}"`)
+          .set("Last-Modified", new Date(document.updated).toUTCString())
+          .type(document.contentType)
+          .send(document.content);
+      })
+    );
+
+    router.put(
+      path,
+      requireScope(resource),
+      raw,
+      handle(async (req, res) => {
+        requireId(req);
+        const { etag } = await putDocument(
+          db,
+          type,
+          req.query,
+          documentBody(req),
+          preconditions(req)
+        );
+        await recordWrite(req, "success", {
+          affected: { documents: 1, etag },
+        });
+        res.set("ETag", `"${etag}"`).status(204).end();
+      })
+    );
+
+    router.post(
+      path,
+      requireScope(resource),
+      raw,
+      handle(async (req, res) => {
+        requireId(req);
+        const { etag } = await postDocument(
+          db,
+          type,
+          req.query,
+          documentBody(req),
+          preconditions(req)
+        );
+        await recordWrite(req, "success", {
+          affected: { documents: 1, etag },
+        });
+        res.set("ETag", `"${etag}"`).status(204).end();
+      })
+    );
+
+    router.delete(
+      path,
+      requireScope(resource),
+      handle(async (req, res) => {
+        let deleted;
+        if (req.query[idKey]) {
+          deleted = await deleteDocument(
+            db,
+            type,
+            req.query,
+            preconditions(req)
+          );
+        } else if (type === "state") {
+          deleted = await deleteDocuments(db, type, req.query);
+        } else {
+          requireId(req);
+        }
+        await recordWrite(req, "success", { affected: { documents: deleted } });
+        res.status(204).end();
+      })
+    );
+  });
+
+  app.use(basePath, router);
+
+  app.use((req, res, next) => next(httpError(404, "Resource not found")));
+
+  app.use(async (error, req, res, next) => {
+    let status = error.status || error.statusCode || 500;
+    if (error.type === "entity.parse.failed") status = 400;
+    if (error.type === "entity.too.large") status = 413;
+    if (status >= 500) {
+      logger.error("Error handling xAPI request:", error);
+    }
+    // Writes refused after the caller was authenticated are recorded too
+    if (req.principal && !["GET", "HEAD"].includes(req.method)) {
+      await recordWrite(req, "failure", { error: error.message });
+    }
+
+    const body = {
+      error: status >= 500 ? "Internal server error" : error.message,
+    };
+    if (error.details) body.details = error.details;
+    res.status(status).json(body);
+  });
+
+  return app;
+}
+
+module.exports = { XAPI_VERSION, createApp };
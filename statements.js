@@ -0,0 +1,492 @@
+const crypto = require("crypto");
+const { validateStatement } = require("./validation");
+const { actorKey } = require("./identity");
+const { recordActivities } = require("./activities");
+
+// Statement write path: fills in the properties an LRS is responsible for
+// (id, stored, timestamp, version, authority) and detects id conflicts using
+// the xAPI statement comparison rules.
+
+const XAPI_VERSION = "1.0.0";
+const VOIDED_VERB = "http://adlnet.gov/expapi/verbs/voided";
+
+// Voided statements keep an internal "_voided" flag and are left out of
+// queries and analytics unless explicitly asked for.
+const NOT_VOIDED = { _voided: { $ne: true } };
+const indexedCollections = new WeakSet();
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function normalizeContextActivities(context) {
+  if (!context || !context.contextActivities) return context;
+  const contextActivities = {};
+  Object.entries(context.contextActivities).forEach(([key, activities]) => {
+    contextActivities[key] = toArray(activities);
+  });
+  return { ...context, contextActivities };
+}
+
+// options.keepStored / options.keepAuthority keep the statement's own stored
+// and authority, e.g. for statements copied from another LRS. "_received" is
+// always the local time of writing, which incremental backups go by.
+function prepareStatement(statement, options = {}) {
+  const { authority, now = new Date(), keepStored, keepAuthority } = options;
+  const stored =
+    keepStored && statement.stored
+      ? new Date(statement.stored).toISOString()
+      : now.toISOString();
+  const completed = options.vocabulary
+    ? options.vocabulary.complete(statement)
+    : statement;
+  const prepared = {
+    ...completed,
+    id: statement.id || crypto.randomUUID(),
+    timestamp: statement.timestamp || stored,
+    stored,
+    version: statement.version || XAPI_VERSION,
+    _actor: actorKey(statement.actor),
+    _received: now.toISOString(),
+  };
+
+  if (authority && !(keepAuthority && statement.authority)) {
+    prepared.authority = authority;
+  }
+  if (prepared.context) {
+    prepared.context = normalizeContextActivities(prepared.context);
+  }
+  if (prepared.object && prepared.object.objectType === "SubStatement") {
+    prepared.object = {
+      ...prepared.object,
+      context: normalizeContextActivities(prepared.object.context),
+    };
+  }
+
+  return prepared;
+}
+
+// Comparison -----------------------------------------------------------------
+
+function lowerCaseKeys(map) {
+  if (!map || typeof map !== "object") return map;
+  return Object.fromEntries(
+    Object.entries(map).map(([key, value]) => [key.toLowerCase(), value])
+  );
+}
+
+function normalizeAgent(agent) {
+  if (!agent || typeof agent !== "object") return agent;
+  const normalized = { objectType: "Agent", ...agent };
+  if (Array.isArray(normalized.member)) {
+    normalized.member = normalized.member
+      .map(normalizeAgent)
+      .sort((a, b) => stableStringify(a).localeCompare(stableStringify(b)));
+  }
+  return normalized;
+}
+
+function normalizeDefinition(definition) {
+  if (!definition) return definition;
+  const normalized = {
+    ...definition,
+    name: lowerCaseKeys(definition.name),
+    description: lowerCaseKeys(definition.description),
+  };
+  ["choices", "scale", "source", "target", "steps"].forEach((key) => {
+    if (Array.isArray(definition[key])) {
+      normalized[key] = definition[key].map((component) => ({
+        ...component,
+        description: lowerCaseKeys(component.description),
+      }));
+    }
+  });
+  return normalized;
+}
+
+function normalizeObject(object) {
+  if (!object || typeof object !== "object") return object;
+  switch (object.objectType) {
+    case "Agent":
+    case "Group":
+      return normalizeAgent(object);
+    case "SubStatement":
+      return normalizeBody(object);
+    case "StatementRef":
+      return object;
+    default:
+      return {
+        ...object,
+        objectType: "Activity",
+        definition: normalizeDefinition(object.definition),
+      };
+  }
+}
+
+function normalizeBody(statement) {
+  const normalized = { ...statement };
+
+  normalized.actor = normalizeAgent(statement.actor);
+  normalized.verb = statement.verb && {
+    ...statement.verb,
+    display: lowerCaseKeys(statement.verb.display),
+  };
+  normalized.object = normalizeObject(statement.object);
+
+  if (statement.context) {
+    const context = normalizeContextActivities(statement.context);
+    normalized.context = {
+      ...context,
+      instructor: normalizeAgent(context.instructor),
+      team: normalizeAgent(context.team),
+    };
+    if (context.contextActivities) {
+      normalized.context.contextActivities = Object.fromEntries(
+        Object.entries(context.contextActivities).map(([key, activities]) => [
+          key,
+          activities.map(normalizeObject),
+        ])
+      );
+    }
+  }
+
+  if (statement.timestamp) {
+    const time = Date.parse(statement.timestamp);
+    normalized.timestamp = Number.isNaN(time)
+      ? statement.timestamp
+      : new Date(time).toISOString();
+  }
+
+  if (Array.isArray(statement.attachments)) {
+    normalized.attachments = statement.attachments.map((attachment) => ({
+      ...attachment,
+      display: lowerCaseKeys(attachment.display),
+      description: lowerCaseKeys(attachment.description),
+    }));
+  }
+
+  return normalized;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Properties set by the LRS (and internal "_" fields) never count as a
+// difference; neither do default objectTypes, Group member order, language
+// tag case, single-vs-array contextActivities or timestamp time zones.
+// options.ignore lists further top-level properties to leave out.
+function statementsEquivalent(a, b, { ignore = [] } = {}) {
+  const ignored = ["stored", "authority", "version", ...ignore];
+  const comparable = (statement) => {
+    const body = Object.fromEntries(
+      Object.entries(statement).filter(
+        ([key]) => !key.startsWith("_") && !ignored.includes(key)
+      )
+    );
+    return stableStringify(normalizeBody(body));
+  };
+  return comparable(a) === comparable(b);
+}
+
+// Voiding ---------------------------------------------------------------------
+
+function isVoiding(statement) {
+  return Boolean(
+    statement && statement.verb && statement.verb.id === VOIDED_VERB
+  );
+}
+
+function excludeVoided(filter = {}) {
+  return Object.keys(filter).length
+    ? { $and: [filter, NOT_VOIDED] }
+    : NOT_VOIDED;
+}
+
+// Voiding statements may not target another voiding statement, whether it is
+// already stored or part of the same batch.
+async function checkVoidingTargets(collection, entries) {
+  const voiding = entries.filter(({ statement }) => isVoiding(statement));
+  if (!voiding.length) return new Map();
+
+  const targetIds = voiding.map(({ statement }) => statement.object.id);
+  const voidingIds = new Set(voiding.map(({ statement }) => statement.id));
+  const storedVoiding = await collection
+    .find(
+      { id: { $in: targetIds }, "verb.id": VOIDED_VERB },
+      { projection: { id: 1 } }
+    )
+    .toArray();
+  storedVoiding.forEach(({ id }) => voidingIds.add(id));
+
+  const errors = new Map();
+  voiding
+    .filter(({ statement }) => voidingIds.has(statement.object.id))
+    .forEach(({ statement, result }) =>
+      errors.set(result.index, {
+        ...result,
+        status: "invalid",
+        errors: [
+          {
+            path: "$.object.id",
+            message: `targets ${statement.object.id}, which is itself a voiding statement`,
+          },
+        ],
+      })
+    );
+  return errors;
+}
+
+// Flags the targets of newly stored voiding statements, and newly stored
+// statements that an earlier voiding statement already targets.
+async function applyVoiding(collection, storedStatements) {
+  const targetIds = storedStatements
+    .filter(isVoiding)
+    .map((statement) => statement.object.id);
+  const storedIds = storedStatements
+    .filter((statement) => !isVoiding(statement))
+    .map((statement) => statement.id);
+
+  if (storedIds.length) {
+    const earlier = await collection
+      .find(
+        { "verb.id": VOIDED_VERB, "object.id": { $in: storedIds } },
+        { projection: { "object.id": 1 } }
+      )
+      .toArray();
+    targetIds.push(...earlier.map(({ object }) => object.id));
+  }
+
+  if (targetIds.length) {
+    await collection.updateMany(
+      { id: { $in: targetIds }, "verb.id": { $ne: VOIDED_VERB } },
+      { $set: { _voided: true } }
+    );
+  }
+}
+
+function voidingStatement(targetId, actor) {
+  return {
+    actor,
+    verb: { id: VOIDED_VERB, display: { "en-US": "voided" } },
+    object: { objectType: "StatementRef", id: targetId },
+  };
+}
+
+// The statement `interactive-mode` builds from its answers; with none, the
+// example `generate-template` prints. The verb is displayed as the last
+// segment of its IRI.
+function statementTemplate({
+  actorName = "Example Learner",
+  actorMbox = "mailto:learner@example.com",
+  verbId = "http://adlnet.gov/expapi/verbs/completed",
+  activityId = "http://example.com/activities/example",
+  activityName = "Example Activity",
+} = {}) {
+  return {
+    actor: {
+      objectType: "Agent",
+      name: actorName,
+      mbox: actorMbox.startsWith("mailto:") ? actorMbox : `mailto:${actorMbox}`,
+    },
+    verb: {
+      id: verbId,
+      display: { "en-US": verbId.split(/[/#]/).pop() },
+    },
+    object: {
+      objectType: "Activity",
+      id: activityId,
+      definition: { name: { "en-US": activityName } },
+    },
+  };
+}
+
+// Storage --------------------------------------------------------------------
+
+async function ensureIndexes(collection) {
+  if (indexedCollections.has(collection)) return;
+  await collection.createIndex(
+    { id: 1 },
+    { unique: true, partialFilterExpression: { id: { $exists: true } } }
+  );
+  await collection.createIndex({ _actor: 1 });
+  // Statement queries page in stored order, most often narrowed by verb
+  await collection.createIndex({ stored: 1, _id: 1 });
+  await collection.createIndex({ "verb.id": 1, stored: 1 });
+  await collection.createIndex({ _received: 1 });
+  indexedCollections.add(collection);
+}
+
+// A timestamp the LRS filled in is not part of what the client sent
+function compareWithExisting(entry, existing) {
+  const { statement, result, timestampProvided } = entry;
+  const ignore = timestampProvided ? [] : ["timestamp"];
+  if (statementsEquivalent(statement, existing, { ignore })) {
+    return { ...result, status: "skipped" };
+  }
+  return {
+    ...result,
+    status: "conflict",
+    errors: [
+      {
+        path: "$.id",
+        message: `conflicts with a different statement already stored as ${statement.id}`,
+      },
+    ],
+  };
+}
+
+// Validates, prepares and inserts statements, returning one result per input
+// statement in input order: { index, id, status, errors? } where status is
+// "stored", "skipped" (an equivalent statement with this id already exists),
+// "conflict" or "invalid". With options.atomic nothing is inserted when any
+// statement is invalid or conflicting; the others come back as "aborted".
+// options.vocabulary (see vocabulary.js) adds its checks to validation and
+// fills in verb displays; the activities of stored statements are recorded in
+// options.activities (the activities collection, see activities.js).
+async function storeStatements(collection, statements, options = {}) {
+  await ensureIndexes(collection);
+
+  const results = [];
+  const pending = new Map();
+
+  statements.forEach((statement, index) => {
+    const validation = validateStatement(statement);
+    const errors = validation.valid
+      ? (options.vocabulary && options.vocabulary.check(statement)) || []
+      : validation.errors;
+    const valid = !errors.length;
+    if (!valid) {
+      results[index] = {
+        index,
+        id: statement && statement.id,
+        status: "invalid",
+        errors,
+      };
+      return;
+    }
+
+    const prepared = prepareStatement(statement, options);
+    const entry = {
+      statement: prepared,
+      result: { index, id: prepared.id },
+      timestampProvided: Boolean(statement.timestamp),
+    };
+    const earlier = pending.get(prepared.id);
+    if (earlier) {
+      results[index] = compareWithExisting(entry, earlier.statement);
+      return;
+    }
+    pending.set(prepared.id, entry);
+  });
+
+  if (pending.size) {
+    const existing = await collection
+      .find({ id: { $in: [...pending.keys()] } }, { projection: { _id: 0 } })
+      .toArray();
+    existing.forEach((stored) => {
+      if (!pending.has(stored.id)) return;
+      const entry = pending.get(stored.id);
+      results[entry.result.index] = compareWithExisting(entry, stored);
+      pending.delete(stored.id);
+    });
+  }
+
+  const voidingErrors = await checkVoidingTargets(collection, [
+    ...pending.values(),
+  ]);
+  voidingErrors.forEach((result, index) => {
+    results[index] = result;
+    pending.delete(result.id);
+  });
+
+  const rejected = results.some(
+    (result) => result && ["invalid", "conflict"].includes(result.status)
+  );
+  if (options.atomic && rejected) {
+    pending.forEach(({ result }) => {
+      results[result.index] = { ...result, status: "aborted" };
+    });
+    return results;
+  }
+
+  if (pending.size) {
+    const entries = [...pending.values()];
+    const duplicates = new Set();
+    try {
+      await collection.insertMany(
+        entries.map(({ statement }) => ({ ...statement })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Another writer stored some of these ids since the lookup above
+      const writeErrors = [].concat(error.writeErrors || []);
+      if (
+        !writeErrors.length ||
+        writeErrors.some((writeError) => writeError.code !== 11000)
+      ) {
+        throw error;
+      }
+      writeErrors.forEach((writeError) => duplicates.add(writeError.index));
+    }
+
+    for (const [position, entry] of entries.entries()) {
+      const { statement, result } = entry;
+      if (duplicates.has(position)) {
+        const stored = await collection.findOne(
+          { id: statement.id },
+          { projection: { _id: 0 } }
+        );
+        results[result.index] = compareWithExisting(entry, stored);
+      } else {
+        results[result.index] = { ...result, status: "stored" };
+      }
+    }
+
+    const stored = entries
+      .filter((entry, position) => !duplicates.has(position))
+      .map(({ statement }) => statement);
+    await applyVoiding(collection, stored);
+    if (options.activities) {
+      await recordActivities(options.activities, stored);
+    }
+  }
+
+  return results;
+}
+
+function summarizeResults(results) {
+  return results.reduce(
+    (summary, { status }) => ({
+      ...summary,
+      [status]: (summary[status] || 0) + 1,
+    }),
+    { stored: 0, skipped: 0, conflict: 0, invalid: 0 }
+  );
+}
+
+module.exports = {
+  XAPI_VERSION,
+  VOIDED_VERB,
+  NOT_VOIDED,
+  excludeVoided,
+  isVoiding,
+  voidingStatement,
+  statementTemplate,
+  applyVoiding,
+  prepareStatement,
+  statementsEquivalent,
+  stableStringify,
+  storeStatements,
+  summarizeResults,
+};
@@ -0,0 +1,213 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  AUDIT_COLLECTION,
+  REDACTED,
+  learnerPseudonym,
+  auditArguments,
+  recordEntry,
+  queryEntries,
+  verifyChain,
+} = require("../audit");
+const { actorKey } = require("../identity");
+const { createMemoryDb } = require("./support/memory-db");
+
+const MBOX = "mailto:learner@example.com";
+
+function entry(command, extra = {}) {
+  return {
+    user: "root",
+    command,
+    arguments: {},
+    outcome: "success",
+    ...extra,
+  };
+}
+
+async function chained(db, commands) {
+  for (const command of commands) {
+    await recordEntry(db, entry(command), { chain: true });
+  }
+}
+
+test("masks secrets and shortens long arguments", () => {
+  const recorded = auditArguments({
+    endpoint: "https://lrs.example.com",
+    password: "hunter22",
+    options: {
+      jwtSecret: "s3cret",
+      apiToken: "t",
+      retries: 3,
+      skip: undefined,
+    },
+    statements: ["x".repeat(2500)],
+  });
+  assert.strictEqual(recorded.endpoint, "https://lrs.example.com");
+  assert.strictEqual(recorded.password, REDACTED);
+  assert.deepStrictEqual(recorded.options, {
+    jwtSecret: REDACTED,
+    apiToken: REDACTED,
+    retries: 3,
+  });
+  assert.match(recorded.statements[0], /^x{2000}… \(2500 characters\)$/);
+});
+
+test("records learners as pseudonyms and inline statements as ids", () => {
+  const learner = learnerPseudonym(actorKey({ mbox: MBOX }));
+  const recorded = auditArguments({
+    identifiers: [MBOX, "learner@example.com", actorKey({ mbox: MBOX })],
+    agent: JSON.stringify({ objectType: "Agent", mbox: MBOX }),
+    filter: JSON.stringify({ "actor.account.name": "learner" }),
+    data: JSON.stringify({
+      id: "6a1c5b4e-2f0d-4c3b-9a8e-1d2c3b4a5f60",
+      actor: { mbox: MBOX },
+      verb: { id: "http://adlnet.gov/expapi/verbs/completed" },
+      object: { id: "http://example.com/activities/1" },
+    }),
+    error: `${MBOX} has no inverse functional identifier`,
+  });
+  assert.deepStrictEqual(recorded, {
+    identifiers: [learner, learner, learner],
+    agent: learner,
+    filter: { "actor.account.name": learnerPseudonym("learner") },
+    data: { statements: 1, ids: ["6a1c5b4e-2f0d-4c3b-9a8e-1d2c3b4a5f60"] },
+    error: `${learner} has no inverse functional identifier`,
+  });
+});
+
+test("a forget-actor run leaves no trace of the learner's identifier", async () => {
+  const db = createMemoryDb();
+  const statement = {
+    actor: { mbox: MBOX },
+    verb: { id: "http://adlnet.gov/expapi/verbs/completed" },
+    object: { id: "http://example.com/activities/1" },
+  };
+  // Entries as the CLI writes them
+  await recordEntry(
+    db,
+    entry("create", { arguments: [JSON.stringify(statement)] })
+  );
+  await recordEntry(
+    db,
+    entry("actors merge", {
+      arguments: ["learner@example.com", "account:http://lms|learner"],
+      affected: {
+        actors: [actorKey({ mbox: MBOX }), "account:http://lms|learner"],
+      },
+    })
+  );
+  await recordEntry(
+    db,
+    entry("state set", {
+      options: { agent: JSON.stringify({ mbox: MBOX }), activity: "http://a" },
+    })
+  );
+  await recordEntry(
+    db,
+    entry("forget-actor", {
+      arguments: [REDACTED],
+      options: { yes: true, secret: "receipt-secret" },
+      affected: { receipt: "receipt-id", statements: 2 },
+    })
+  );
+
+  const log = JSON.stringify(
+    await db.collection(AUDIT_COLLECTION).find().toArray()
+  );
+  for (const trace of [
+    "learner@example.com",
+    actorKey({ mbox: MBOX }).split(":")[1],
+    "http://lms|learner",
+    "receipt-secret",
+  ]) {
+    assert.ok(!log.includes(trace), `audit log mentions ${trace}`);
+  }
+});
+
+test("chains entries and verifies the chain", async () => {
+  const db = createMemoryDb();
+  await chained(db, ["verbs add", "void", "forget-actor"]);
+  const entries = await db
+    .collection(AUDIT_COLLECTION)
+    .find()
+    .sort({ sequence: 1 })
+    .toArray();
+  assert.deepStrictEqual(
+    entries.map(({ sequence }) => sequence),
+    [1, 2, 3]
+  );
+  assert.strictEqual(entries[0].previousHash, null);
+  assert.strictEqual(entries[1].previousHash, entries[0].hash);
+
+  assert.deepStrictEqual(await verifyChain(db), {
+    valid: true,
+    entries: 3,
+    head: entries[2].hash,
+  });
+});
+
+test("detects altered and missing entries", async () => {
+  const db = createMemoryDb();
+  const log = db.collection(AUDIT_COLLECTION);
+  await chained(db, ["verbs add", "void", "forget-actor"]);
+
+  await log.updateOne({ sequence: 2 }, { $set: { user: "someone-else" } });
+  assert.deepStrictEqual(await verifyChain(db), {
+    valid: false,
+    sequence: 2,
+    reason: "entry 2 has been altered",
+  });
+
+  await log.deleteOne({ sequence: 2 });
+  assert.deepStrictEqual(await verifyChain(db), {
+    valid: false,
+    sequence: 2,
+    reason: "entry 2 is missing",
+  });
+});
+
+test("concurrent writers extend the chain one after the other", async () => {
+  const db = createMemoryDb();
+  await Promise.all(
+    ["one", "two", "three"].map((command) =>
+      recordEntry(db, entry(command), { chain: true })
+    )
+  );
+  const result = await verifyChain(db);
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.entries, 3);
+});
+
+test("queries entries by user, command, outcome and time", async () => {
+  const db = createMemoryDb();
+  await recordEntry(db, entry("verbs add"));
+  await recordEntry(db, entry("verbs remove", { user: "rita" }));
+  await recordEntry(db, entry("verbose-thing"));
+  await recordEntry(
+    db,
+    entry("void", { outcome: "failure", error: "Statement not found" })
+  );
+  await assert.rejects(
+    recordEntry(db, entry("void", { outcome: "maybe" })),
+    /outcome must be one of/
+  );
+
+  const commands = async (filter) =>
+    (await queryEntries(db, filter)).map(({ command }) => command).sort();
+  assert.deepStrictEqual(await commands({ command: "verbs" }), [
+    "verbs add",
+    "verbs remove",
+  ]);
+  assert.deepStrictEqual(await commands({ user: "rita" }), ["verbs remove"]);
+  assert.deepStrictEqual(await commands({ outcome: "failure" }), ["void"]);
+  assert.deepStrictEqual(await commands({ until: "2000-01-01" }), []);
+  assert.strictEqual((await queryEntries(db, { limit: 2 })).length, 2);
+  await assert.rejects(queryEntries(db, { since: "soon" }), /ISO 8601/);
+
+  // Entries written without chaining are not part of the chain
+  assert.deepStrictEqual(await verifyChain(db), {
+    valid: true,
+    entries: 0,
+    head: null,
+  });
+});
@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createBackup, verifyBackup, restoreBackup } = require("../backup");
+const { storeStatements, VOIDED_VERB } = require("../statements");
+const { createMemoryDb } = require("./support/memory-db");
+
+const COLLECTIONS = { statements: "statements", verbs: "verbs" };
+
+function statement(n) {
+  return {
+    actor: { mbox: `mailto:learner${n}@example.com` },
+    verb: { id: "http://adlnet.gov/expapi/verbs/completed" },
+    object: { id: `http://example.com/activities/${n}` },
+  };
+}
+
+async function withArchive(run) {
+  const directory = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), "empress-test-")
+  );
+  try {
+    await run(path.join(directory, "backup.tar"));
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+}
+
+// Statements written before the CLI assigned ids have none
+async function seed(db) {
+  const statements = db.collection("statements");
+  await statements.insertMany([
+    { ...statement(1), timestamp: "2020-01-01T00:00:00.000Z" },
+    { ...statement(2), timestamp: "2020-01-02T00:00:00.000Z" },
+    { ...statement(3) },
+  ]);
+  const [stored] = await storeStatements(statements, [statement(4)]);
+  await storeStatements(statements, [
+    {
+      actor: { mbox: "mailto:admin@example.com" },
+      verb: { id: VOIDED_VERB },
+      object: { objectType: "StatementRef", id: stored.id },
+    },
+  ]);
+  await db
+    .collection("verbs")
+    .insertOne({ _id: "http://adlnet.gov/expapi/verbs/completed" });
+}
+
+function sorted(documents) {
+  return documents
+    .map((document) => JSON.stringify(document))
+    .sort()
+    .map((document) => JSON.parse(document));
+}
+
+test("restores a backup, including statements without an id", async () => {
+  const source = createMemoryDb("source");
+  await seed(source);
+  await withArchive(async (archive) => {
+    const manifest = await createBackup(source, archive, COLLECTIONS);
+    assert.deepStrictEqual(
+      manifest.collections.map(({ role, count }) => [role, count]),
+      [
+        ["statements", 5],
+        ["verbs", 1],
+      ]
+    );
+    assert.deepStrictEqual((await verifyBackup(archive)).problems, []);
+
+    const target = createMemoryDb("target");
+    const { restored } = await restoreBackup(target, archive, COLLECTIONS);
+    assert.deepStrictEqual(restored, {
+      statements: { read: 5, inserted: 5 },
+      verbs: { read: 1, inserted: 1 },
+    });
+    for (const name of Object.values(COLLECTIONS)) {
+      assert.deepStrictEqual(
+        sorted(await target.collection(name).find().toArray()),
+        sorted(await source.collection(name).find().toArray())
+      );
+    }
+    assert.strictEqual(
+      await target.collection("statements").countDocuments({ _voided: true }),
+      1
+    );
+  });
+});
+
+test("restoring the same backup again inserts nothing", async () => {
+  const db = createMemoryDb();
+  await seed(db);
+  await withArchive(async (archive) => {
+    await createBackup(db, archive, COLLECTIONS);
+    const { restored } = await restoreBackup(db, archive, COLLECTIONS);
+    assert.strictEqual(restored.statements.inserted, 0);
+    assert.strictEqual(await db.collection("statements").countDocuments(), 5);
+  });
+});
+
+test("incremental backups hold only statements written since", async () => {
+  const db = createMemoryDb();
+  const statements = db.collection("statements");
+  await storeStatements(statements, [statement(1)], {
+    now: new Date("2024-01-01T00:00:00Z"),
+  });
+  await storeStatements(statements, [statement(2)], {
+    now: new Date("2024-02-01T00:00:00Z"),
+  });
+  // Pulled from another LRS after the last backup, with its older stored
+  await storeStatements(
+    statements,
+    [{ ...statement(3), stored: "2023-06-01T00:00:00.000Z" }],
+    { now: new Date("2024-02-02T00:00:00Z"), keepStored: true }
+  );
+  // Written before the time of writing was kept
+  await statements.insertMany([
+    { ...statement(4), stored: "2023-12-01T00:00:00.000Z" },
+    { ...statement(5), stored: "2024-02-03T00:00:00.000Z" },
+  ]);
+  await withArchive(async (archive) => {
+    const manifest = await createBackup(db, archive, COLLECTIONS, {
+      since: "2024-01-15T00:00:00Z",
+    });
+    assert.strictEqual(manifest.collections[0].count, 3);
+    const target = createMemoryDb("target");
+    await restoreBackup(target, archive, COLLECTIONS);
+    assert.deepStrictEqual(
+      (await target.collection("statements").find().toArray())
+        .map(({ actor }) => actor.mbox)
+        .sort(),
+      [2, 3, 5].map((n) => `mailto:learner${n}@example.com`)
+    );
+  });
+});
+
+test("verification reports a damaged archive", async () => {
+  const db = createMemoryDb();
+  await seed(db);
+  await withArchive(async (archive) => {
+    await createBackup(db, archive, COLLECTIONS);
+    const contents = await fs.promises.readFile(archive);
+    // Flip a byte in the statements file, the first gzip stream in the tar
+    const offset = contents.indexOf(Buffer.from([0x1f, 0x8b]));
+    contents[offset + 20] ^= 0xff;
+    await fs.promises.writeFile(archive, contents);
+
+    const { problems } = await verifyBackup(archive);
+    assert.deepStrictEqual(problems, [
+      "statements.ndjson.gz does not match its checksum",
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+async function temporaryHome(t) {
+  const home = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), "empress-test-")
+  );
+  t.after(() => fs.promises.rm(home, { recursive: true, force: true }));
+  return home;
+}
+
+test("settings come from the most specific layer", async (t) => {
+  const home = await temporaryHome(t);
+  const cwd = path.join(home, "courses", "intro");
+  fs.mkdirSync(cwd, { recursive: true });
+  const userFile = config.userConfigPath(home);
+  const projectFile = config.projectConfigPath(cwd, home);
+  config.setSetting(userFile, "default", "database", "user-db");
+  config.setSetting(userFile, "default", "collection", "user-statements");
+  config.setSetting(projectFile, "default", "collection", "project-statements");
+  const load = (options) =>
+    config.loadConfig({ home, cwd, env: {}, ...options });
+
+  const layered = load();
+  assert.strictEqual(layered.values.database, "user-db");
+  assert.strictEqual(layered.values.collection, "project-statements");
+  assert.strictEqual(layered.values.logLevel, "info");
+  assert.strictEqual(layered.sources.logLevel, "default");
+  assert.strictEqual(layered.sources.database, userFile);
+  assert.strictEqual(layered.sources.collection, projectFile);
+
+  const overridden = load({
+    env: { DB_NAME: "env-db", VOCABULARY_STRICT: "true" },
+    flags: { collection: "flag-statements" },
+  });
+  assert.strictEqual(overridden.values.database, "env-db");
+  assert.strictEqual(overridden.sources.database, "env DB_NAME");
+  assert.strictEqual(overridden.values.vocabularyStrict, true);
+  assert.strictEqual(overridden.values.collection, "flag-statements");
+});
+
+test("profiles are chosen by flag, environment or file", async (t) => {
+  const home = await temporaryHome(t);
+  const userFile = config.userConfigPath(home);
+  config.setSetting(userFile, "default", "database", "local");
+  config.setSetting(userFile, "staging", "database", "staging");
+  const load = (options) =>
+    config.loadConfig({ home, cwd: home, env: {}, ...options });
+
+  assert.strictEqual(load().values.database, "local");
+  assert.strictEqual(load({ profile: "staging" }).values.database, "staging");
+  assert.strictEqual(
+    load({ env: { EMPRESS_PROFILE: "staging" } }).values.database,
+    "staging"
+  );
+  config.useProfile(userFile, "staging");
+  assert.strictEqual(load().profile, "staging");
+  assert.deepStrictEqual(load().profiles, ["default", "staging"]);
+  assert.throws(
+    () => load({ profile: "production" }),
+    /Profile production is not defined/
+  );
+  assert.throws(
+    () => load({ env: { VOCABULARY_STRICT: "maybe" } }),
+    /VOCABULARY_STRICT: vocabularyStrict must be true or false/
+  );
+});
+
+test("config files are readable only by their owner", async (t) => {
+  const home = await temporaryHome(t);
+  const mode = (file) => fs.statSync(file).mode & 0o777;
+
+  const file = config.userConfigPath(home);
+  config.setSetting(file, "default", "jwtSecret", "first-secret");
+  assert.strictEqual(mode(path.dirname(file)), 0o700);
+  assert.strictEqual(mode(file), 0o600);
+
+  fs.chmodSync(file, 0o644);
+  config.setSetting(file, "default", "jwtSecret", "second-secret");
+  assert.strictEqual(mode(file), 0o600);
+  assert.strictEqual(
+    JSON.parse(fs.readFileSync(file, "utf-8")).profiles.default.jwtSecret,
+    "second-secret"
+  );
+});
@@ -0,0 +1,185 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const documents = require("../documents");
+const { createMemoryDb } = require("./support/memory-db");
+
+const agent = JSON.stringify({ mbox: "mailto:learner@example.com" });
+const stateParams = {
+  activityId: "http://example.com/activities/intro",
+  agent,
+  stateId: "bookmark",
+};
+const profileParams = {
+  activityId: "http://example.com/activities/intro",
+  profileId: "settings",
+};
+
+function json(value) {
+  return {
+    content: Buffer.from(JSON.stringify(value)),
+    contentType: "application/json",
+  };
+}
+
+async function read(db, type, params) {
+  const document = await documents.getDocument(db, type, params);
+  return document && JSON.parse(document.content.toString("utf-8"));
+}
+
+// Runs write after the next document read, as if another client wrote the
+// document between that read and the write that follows it.
+function interleave(db, collectionName, write) {
+  const collection = db.collection(collectionName);
+  const findOne = collection.findOne.bind(collection);
+  collection.findOne = async (...args) => {
+    collection.findOne = findOne;
+    const document = await findOne(...args);
+    await write();
+    return document;
+  };
+}
+
+function status(code) {
+  return (error) => error.status === code;
+}
+
+test("stores, merges and deletes documents", async () => {
+  const db = createMemoryDb();
+  const { etag } = await documents.putDocument(
+    db,
+    "state",
+    stateParams,
+    json({ page: 1 })
+  );
+  assert.match(etag, /^[0-9a-f]{40}$/);
+  await documents.postDocument(db, "state", stateParams, json({ done: false }));
+  assert.deepStrictEqual(await read(db, "state", stateParams), {
+    page: 1,
+    done: false,
+  });
+  assert.deepStrictEqual(
+    await documents.listDocumentIds(db, "state", stateParams),
+    ["bookmark"]
+  );
+  assert.strictEqual(
+    await documents.deleteDocument(db, "state", stateParams),
+    1
+  );
+  assert.strictEqual(await read(db, "state", stateParams), null);
+});
+
+test("checks If-Match and If-None-Match", async () => {
+  const db = createMemoryDb();
+  const type = "activityProfile";
+  const { etag } = await documents.putDocument(
+    db,
+    type,
+    profileParams,
+    json({ v: 1 })
+  );
+  await assert.rejects(
+    documents.putDocument(db, type, profileParams, json({ v: 2 })),
+    status(409)
+  );
+  await assert.rejects(
+    documents.putDocument(db, type, profileParams, json({ v: 2 }), {
+      ifNoneMatch: "*",
+    }),
+    status(412)
+  );
+  await assert.rejects(
+    documents.putDocument(db, type, profileParams, json({ v: 2 }), {
+      ifMatch: '"0000"',
+    }),
+    status(412)
+  );
+  await documents.putDocument(db, type, profileParams, json({ v: 2 }), {
+    ifMatch: `"${etag}"`,
+  });
+  assert.deepStrictEqual(await read(db, type, profileParams), { v: 2 });
+  await assert.rejects(
+    documents.deleteDocument(db, type, profileParams, { ifMatch: `"${etag}"` }),
+    status(412)
+  );
+});
+
+test("If-Match fails when the document changes after it was checked", async () => {
+  const db = createMemoryDb();
+  const type = "activityProfile";
+  const { etag } = await documents.putDocument(
+    db,
+    type,
+    profileParams,
+    json({ v: 1 })
+  );
+  const conditions = { ifMatch: `"${etag}"` };
+  const other = () =>
+    documents.putDocument(db, type, profileParams, json({ v: "other" }), {
+      ifMatch: `"${etag}"`,
+    });
+
+  interleave(db, "activityProfiles", other);
+  await assert.rejects(
+    documents.putDocument(db, type, profileParams, json({ v: 2 }), conditions),
+    status(412)
+  );
+  assert.deepStrictEqual(await read(db, type, profileParams), { v: "other" });
+
+  const { etag: current } = await documents.getDocument(
+    db,
+    type,
+    profileParams
+  );
+  interleave(db, "activityProfiles", () =>
+    documents.postDocument(db, type, profileParams, json({ more: true }))
+  );
+  await assert.rejects(
+    documents.deleteDocument(db, type, profileParams, {
+      ifMatch: `"${current}"`,
+    }),
+    status(412)
+  );
+  assert.deepStrictEqual(await read(db, type, profileParams), {
+    v: "other",
+    more: true,
+  });
+});
+
+test("If-None-Match: * fails when the document is created after it was checked", async () => {
+  const db = createMemoryDb();
+  interleave(db, "agentProfiles", () =>
+    documents.putDocument(
+      db,
+      "agentProfile",
+      { agent, profileId: "prefs" },
+      json({ first: true })
+    )
+  );
+  await assert.rejects(
+    documents.putDocument(
+      db,
+      "agentProfile",
+      { agent, profileId: "prefs" },
+      json({ second: true }),
+      { ifNoneMatch: "*" }
+    ),
+    status(412)
+  );
+  assert.deepStrictEqual(
+    await read(db, "agentProfile", { agent, profileId: "prefs" }),
+    { first: true }
+  );
+});
+
+test("a merge without preconditions keeps a concurrent write", async () => {
+  const db = createMemoryDb();
+  await documents.putDocument(db, "state", stateParams, json({ page: 1 }));
+  interleave(db, "state", () =>
+    documents.postDocument(db, "state", stateParams, json({ score: 10 }))
+  );
+  await documents.postDocument(db, "state", stateParams, json({ page: 2 }));
+  assert.deepStrictEqual(await read(db, "state", stateParams), {
+    page: 2,
+    score: 10,
+  });
+});
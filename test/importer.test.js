@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readRecords, importFile } = require("../importer");
+const { createMemoryDb } = require("./support/memory-db");
+
+function statement(n) {
+  return {
+    actor: { mbox: `mailto:learner${n}@example.com` },
+    verb: { id: "http://adlnet.gov/expapi/verbs/completed" },
+    object: { id: `http://example.com/activities/${n}` },
+  };
+}
+
+async function records(text, chunkSize) {
+  async function* chunks() {
+    for (let i = 0; i < text.length; i += chunkSize) {
+      yield text.slice(i, i + chunkSize);
+    }
+  }
+  const found = [];
+  for await (const record of readRecords(chunks())) found.push(record);
+  return found;
+}
+
+async function withDirectory(run) {
+  const directory = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), "empress-test-")
+  );
+  try {
+    await run(directory);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+}
+
+const tricky = { note: 'a "quoted" } ], string\\', list: [1, { a: [] }] };
+
+test("splits a JSON array into elements across chunk boundaries", async () => {
+  const element = JSON.stringify(tricky);
+  const text = `\uFEFF[\n  ${element},\n  42, "text",\n  {"n": 2}\n]\n`;
+  for (const chunkSize of [1, 3, 7, text.length]) {
+    const found = await records(text, chunkSize);
+    assert.deepStrictEqual(
+      found.map(({ line, text: source }) => [line, JSON.parse(source)]),
+      [
+        [2, tricky],
+        [3, 42],
+        [3, "text"],
+        [4, { n: 2 }],
+      ],
+      `chunks of ${chunkSize}`
+    );
+  }
+});
+
+test("reads newline-delimited JSON, skipping blank lines", async () => {
+  const text = `\uFEFF{"n":1}\n\n{"n":2}\r\n  \n{"n":3}`;
+  for (const chunkSize of [1, 5, text.length]) {
+    const found = await records(text, chunkSize);
+    assert.deepStrictEqual(
+      found.map(({ line, text: source }) => [line, JSON.parse(source)]),
+      [
+        [1, { n: 1 }],
+        [3, { n: 2 }],
+        [5, { n: 3 }],
+      ]
+    );
+  }
+});
+
+test("rejects a JSON array that is cut short or followed by more", async () => {
+  await assert.rejects(records('[{"n":1},\n{"n":', 4), /Unexpected end/);
+  await assert.rejects(
+    records('[{"n":1}]\n{"n":2}', 4),
+    /Unexpected content after the JSON array on line 2/
+  );
+});
+
+test("imports a file, reporting rejected records by line", async () => {
+  await withDirectory(async (directory) => {
+    const file = path.join(directory, "statements.ndjson");
+    await fs.promises.writeFile(
+      file,
+      [
+        JSON.stringify(statement(1)),
+        "{not json",
+        JSON.stringify({ ...statement(2), verb: { id: "not an IRI" } }),
+        JSON.stringify(statement(3)),
+      ].join("\n")
+    );
+    const collection = createMemoryDb().collection("statements");
+
+    const summary = await importFile(collection, file, { batchSize: 2 });
+    assert.deepStrictEqual(summary, {
+      records: 4,
+      stored: 2,
+      skipped: 0,
+      rejected: 2,
+      resumedFrom: 0,
+      rejectPath: `${file}.rejects.ndjson`,
+    });
+    const rejects = (await fs.promises.readFile(summary.rejectPath, "utf-8"))
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.deepStrictEqual(
+      rejects.map(({ line, status }) => [line, status]),
+      [
+        [2, "unparseable"],
+        [3, "invalid"],
+      ]
+    );
+    assert.ok(!fs.existsSync(`${file}.checkpoint`));
+
+    // Ids derived from the records make a second import store nothing
+    const again = await importFile(collection, file, { batchSize: 2 });
+    assert.strictEqual(again.stored, 0);
+    assert.strictEqual(again.skipped, 2);
+    assert.strictEqual(await collection.countDocuments(), 2);
+  });
+});
+
+test("resumes an interrupted import from its checkpoint", async () => {
+  await withDirectory(async (directory) => {
+    const file = path.join(directory, "statements.json");
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify([1, 2, 3, 4, 5].map(statement), null, 2)
+    );
+    const collection = createMemoryDb().collection("statements");
+
+    await assert.rejects(
+      importFile(collection, file, {
+        batchSize: 2,
+        onProgress: ({ records: done }) => {
+          if (done === 4) throw new Error("interrupted");
+        },
+      }),
+      /interrupted/
+    );
+    assert.ok(fs.existsSync(`${file}.checkpoint`));
+
+    const resumed = await importFile(collection, file, { batchSize: 2 });
+    assert.strictEqual(resumed.resumedFrom, 4);
+    assert.strictEqual(resumed.records, 5);
+    assert.strictEqual(resumed.stored, 5);
+    assert.strictEqual(await collection.countDocuments(), 5);
+  });
+});
@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  checkRoles,
+  permissionsOf,
+  scopesOf,
+  scopeAllows,
+  readsOnlyOwnStatements,
+} = require("../permissions");
+const users = require("../users");
+const { createMemoryDb } = require("./support/memory-db");
+const { startServer } = require("./support/server");
+
+const PASSWORD = "correct horse";
+
+const statement = {
+  actor: { mbox: "mailto:learner@example.com" },
+  verb: { id: "http://adlnet.gov/expapi/verbs/completed" },
+  object: { id: "http://example.com/activities/intro" },
+};
+
+test("roles grant permissions and scopes", () => {
+  assert.deepStrictEqual(permissionsOf(["reader"]), ["statements:read"]);
+  assert.deepStrictEqual(permissionsOf(["reader", "analyst"]).sort(), [
+    "reports:run",
+    "statements:read",
+  ]);
+  assert.ok(permissionsOf(["admin"]).includes("audit:read"));
+  assert.deepStrictEqual(scopesOf(["analyst"]), ["all/read"]);
+  assert.deepStrictEqual(checkRoles(["reader", "reader"]), ["reader"]);
+  assert.throws(() => checkRoles(["owner"]), /Unknown roles owner/);
+});
+
+test("scopes allow the requests the xAPI specification gives them", () => {
+  assert.ok(scopeAllows(["all"], "statements", true));
+  assert.ok(scopeAllows(["all/read"], "profile", false));
+  assert.ok(!scopeAllows(["all/read"], "statements", true));
+  assert.ok(scopeAllows(["statements/read/mine"], "statements", false));
+  assert.ok(!scopeAllows(["statements/read"], "state", false));
+  assert.ok(scopeAllows(["define"], "activities", false));
+  assert.ok(!scopeAllows(["define"], "activities", true));
+  assert.ok(readsOnlyOwnStatements(["statements/read/mine"]));
+  assert.ok(!readsOnlyOwnStatements(["statements/read/mine", "all/read"]));
+});
+
+test("with no admin, every command is refused but adding the first admin", async () => {
+  const db = createMemoryDb();
+  await assert.rejects(
+    users.authorize(db, null, "statements:read"),
+    /No user is an admin yet/
+  );
+  await assert.rejects(
+    users.authorize(db, "anyone", "users:admin"),
+    /No user is an admin yet/
+  );
+  assert.strictEqual(
+    await users.authorize(db, null, "users:admin", { bootstrap: true }),
+    null
+  );
+
+  await assert.rejects(
+    users.addUser(db, "rita", PASSWORD, ["reader"]),
+    /first user must be added with --roles admin/
+  );
+  const root = await users.addUser(db, "root", PASSWORD, ["admin"]);
+  assert.deepStrictEqual(root.roles, ["admin"]);
+
+  // The bootstrap exception ends with the first admin
+  await assert.rejects(
+    users.authorize(db, null, "users:admin", { bootstrap: true }),
+    /log in/
+  );
+});
+
+test("commands need a logged-in user with the permission", async () => {
+  const db = createMemoryDb();
+  await users.addUser(db, "root", PASSWORD, ["admin"]);
+  const rita = await users.addUser(db, "rita", PASSWORD, ["reader"]);
+  assert.deepStrictEqual(rita.roles, ["reader"]);
+
+  assert.strictEqual(
+    (await users.authorize(db, "rita", "statements:read")).username,
+    "rita"
+  );
+  await assert.rejects(
+    users.authorize(db, "rita", "database:admin"),
+    /rita \(reader\) does not have the database:admin permission/
+  );
+  await assert.rejects(
+    users.authorize(db, "ghost", "statements:read"),
+    /no longer exists/
+  );
+  assert.ok(await users.authorize(db, "root", "database:admin"));
+});
+
+test("the last admin cannot be removed or demoted", async () => {
+  const db = createMemoryDb();
+  await users.addUser(db, "root", PASSWORD, ["admin"]);
+  await assert.rejects(users.removeUser(db, "root"), /only admin/);
+  await assert.rejects(users.setRoles(db, "root", ["reader"]), /only admin/);
+
+  await users.addUser(db, "second", PASSWORD, ["admin"]);
+  await users.setRoles(db, "root", ["reader"]);
+  assert.strictEqual(await users.removeUser(db, "root"), true);
+});
+
+test("the xAPI endpoint enforces the scopes of a user's roles", async (t) => {
+  const db = createMemoryDb();
+  await users.addUser(db, "root", PASSWORD, ["admin"]);
+  await users.addUser(db, "rita", PASSWORD, ["reader"]);
+  const server = await startServer({ db });
+  t.after(() => server.close());
+
+  const refused = await server.request("POST", "/statements", {
+    user: "rita",
+    body: statement,
+  });
+  assert.strictEqual(refused.status, 403);
+  assert.match(refused.json.error, /statements\/read/);
+
+  const stored = await server.request("POST", "/statements", {
+    user: "root",
+    body: statement,
+  });
+  assert.strictEqual(stored.status, 200);
+
+  const read = await server.request("GET", "/statements", { user: "rita" });
+  assert.strictEqual(read.status, 200);
+  assert.strictEqual(read.json.statements.length, 1);
+
+  const unknown = await server.request("GET", "/statements", {
+    user: "ghost",
+  });
+  assert.strictEqual(unknown.status, 401);
+});
+
+test("statements/read/mine only reads the caller's statements", async (t) => {
+  const server = await startServer({
+    values: { lrsScopes: ["statements/write", "statements/read/mine"] },
+  });
+  t.after(() => server.close());
+  await server.db.collection("statements").insertOne({
+    ...statement,
+    id: "9f1b3b4e-0000-4000-8000-000000000001",
+    stored: "2024-01-01T00:00:00.000Z",
+    authority: {
+      objectType: "Agent",
+      account: { homePage: "http://localhost", name: "someone-else" },
+    },
+  });
+
+  const stored = await server.request("POST", "/statements", {
+    body: statement,
+  });
+  assert.strictEqual(stored.status, 200);
+  const read = await server.request("GET", "/statements");
+  assert.deepStrictEqual(
+    read.json.statements.map(({ id }) => id),
+    stored.json
+  );
+  const other = await server.request(
+    "GET",
+    "/statements?statementId=9f1b3b4e-0000-4000-8000-000000000001"
+  );
+  assert.strictEqual(other.status, 404);
+});
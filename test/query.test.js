@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  normalizeQueryParams,
+  decodeContinuation,
+  findStatementPage,
+} = require("../query");
+const { storeStatements } = require("../statements");
+const { createMemoryDb } = require("./support/memory-db");
+
+function statement(n) {
+  return {
+    actor: { mbox: `mailto:learner${n}@example.com` },
+    verb: { id: "http://adlnet.gov/expapi/verbs/completed" },
+    object: { id: `http://example.com/activities/${n}` },
+  };
+}
+
+test("pages through a query narrowed by a Mongo filter", async () => {
+  const collection = createMemoryDb().collection("statements");
+  await storeStatements(collection, [1, 2, 3, 4, 5].map(statement));
+  const wanted = [1, 3, 5].map((n) => `mailto:learner${n}@example.com`);
+
+  // As the CLI does, the filter travels in the continuation token
+  let params = normalizeQueryParams({ ascending: true });
+  params.filter = { "actor.mbox": { $in: wanted } };
+  let after;
+  const found = [];
+  for (;;) {
+    const page = await findStatementPage(collection, params, {
+      after,
+      filter: params.filter,
+      pageSize: 1,
+    });
+    found.push(...page.documents.map(({ actor }) => actor.mbox));
+    if (!page.more) break;
+    ({ params, after } = decodeContinuation(page.more, { allowFilter: true }));
+  }
+  assert.deepStrictEqual(found, wanted);
+});
+
+test("keeps only an object filter, and only when allowed", () => {
+  const after = { stored: "2024-01-01T00:00:00.000Z", _id: "0".repeat(24) };
+  const token = (filter) =>
+    Buffer.from(
+      JSON.stringify({ params: { ...normalizeQueryParams({}), filter }, after })
+    ).toString("base64url");
+
+  const filter = { "verb.id": { $ne: null } };
+  assert.deepStrictEqual(
+    decodeContinuation(token(filter), { allowFilter: true }).params.filter,
+    filter
+  );
+  assert.throws(
+    () => decodeContinuation(token(filter)),
+    /Invalid continuation/
+  );
+  for (const invalid of [null, ["x"], "x", 1]) {
+    assert.throws(
+      () => decodeContinuation(token(invalid), { allowFilter: true }),
+      /Invalid continuation/
+    );
+  }
+});
@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { pushStatements } = require("../replication");
+const { createLrsClient } = require("../remote");
+const { normalizeQueryParams } = require("../query");
+const { storeStatements, VOIDED_VERB } = require("../statements");
+const { createMemoryDb } = require("./support/memory-db");
+
+const ENDPOINT = "http://lrs.example.com/xAPI/";
+
+function statement(n) {
+  return {
+    actor: { mbox: `mailto:learner${n}@example.com` },
+    verb: { id: "http://adlnet.gov/expapi/verbs/completed" },
+    object: { id: `http://example.com/activities/${n}` },
+  };
+}
+
+function voiding(id) {
+  return {
+    actor: { mbox: "mailto:admin@example.com" },
+    verb: { id: VOIDED_VERB },
+    object: { objectType: "StatementRef", id },
+  };
+}
+
+// A remote LRS that stores posted statements by id. Like some LRSs it
+// rejects a voiding statement whose target it does not have, and it answers
+// with `failures` (status codes) before handling requests normally.
+function stubLrs({ failures = [] } = {}) {
+  const stored = new Map();
+  const requests = [];
+  const reply = (status, body) =>
+    new Response(body === undefined ? null : JSON.stringify(body), {
+      status,
+    });
+
+  async function fetch(url, { method, body }) {
+    requests.push(`${method} ${new URL(url).pathname}`);
+    if (failures.length) return reply(failures.shift(), { error: "busy" });
+
+    const statements = JSON.parse(body);
+    for (const posted of statements) {
+      const existing = stored.get(posted.id);
+      if (existing && JSON.stringify(existing) !== JSON.stringify(posted)) {
+        return reply(409, { error: `Statement ${posted.id} conflicts` });
+      }
+      if (posted.verb.id === VOIDED_VERB && !stored.has(posted.object.id)) {
+        return reply(400, { error: `Unknown statement ${posted.object.id}` });
+      }
+    }
+    statements.forEach((posted) => stored.set(posted.id, posted));
+    return reply(
+      200,
+      statements.map(({ id }) => id)
+    );
+  }
+
+  return { stored, requests, fetch };
+}
+
+function clientFor(lrs) {
+  return createLrsClient({
+    endpoint: ENDPOINT,
+    fetch: lrs.fetch,
+    sleep: async () => {},
+  });
+}
+
+test("pushes statements in batches and only newer ones on the next run", async () => {
+  const db = createMemoryDb();
+  const lrs = stubLrs();
+  const params = normalizeQueryParams({});
+  await storeStatements(db.collection("statements"), [1, 2, 3].map(statement));
+
+  const first = await pushStatements(db, "statements", clientFor(lrs), params, {
+    batchSize: 2,
+  });
+  assert.deepStrictEqual(first, {
+    accepted: 3,
+    conflict: 0,
+    failed: 0,
+    rejected: [],
+  });
+  assert.strictEqual(lrs.requests.length, 2);
+
+  await storeStatements(db.collection("statements"), [statement(4)]);
+  const second = await pushStatements(db, "statements", clientFor(lrs), params);
+  assert.strictEqual(second.accepted, 1);
+  assert.strictEqual(lrs.stored.size, 4);
+});
+
+test("sends statements that failed again on the next run", async () => {
+  const db = createMemoryDb();
+  const statements = db.collection("statements");
+  const lrs = stubLrs();
+  // Only voiding statements are pushed, so the remote lacks their targets
+  const params = normalizeQueryParams({ verb: VOIDED_VERB });
+  const [target, conflicting] = await storeStatements(statements, [
+    statement(1),
+    statement(2),
+  ]);
+  await storeStatements(statements, [
+    voiding(target.id),
+    voiding(conflicting.id),
+  ]);
+  const voidings = await statements
+    .find({ "verb.id": VOIDED_VERB })
+    .sort({ stored: 1, _id: 1 })
+    .toArray();
+  // The remote already holds a different statement with the second id
+  lrs.stored.set(voidings[1].id, { id: voidings[1].id, changed: true });
+
+  const first = await pushStatements(db, "statements", clientFor(lrs), params);
+  assert.deepStrictEqual(
+    first.rejected.map(({ id, status }) => [id, status]),
+    [
+      [voidings[0].id, "failed"],
+      [voidings[1].id, "conflict"],
+    ]
+  );
+
+  // Once the remote has the target, the voiding statement is accepted;
+  // the conflicting statement is not sent again
+  lrs.stored.set(target.id, { id: target.id });
+  const second = await pushStatements(db, "statements", clientFor(lrs), params);
+  assert.deepStrictEqual(second, {
+    accepted: 1,
+    conflict: 0,
+    failed: 0,
+    rejected: [],
+  });
+  assert.ok(lrs.stored.has(voidings[0].id));
+
+  const third = await pushStatements(db, "statements", clientFor(lrs), params);
+  assert.strictEqual(third.accepted + third.failed + third.conflict, 0);
+});
+
+test("retries busy responses and stops on other errors", async () => {
+  const db = createMemoryDb();
+  const params = normalizeQueryParams({});
+  await storeStatements(db.collection("statements"), [statement(1)]);
+
+  const busy = stubLrs({ failures: [503, 429] });
+  const pushed = await pushStatements(
+    db,
+    "statements",
+    clientFor(busy),
+    params
+  );
+  assert.strictEqual(pushed.accepted, 1);
+  assert.strictEqual(busy.requests.length, 3);
+
+  const refusing = stubLrs({ failures: [401] });
+  const stopped = await pushStatements(
+    db,
+    "statements",
+    clientFor(refusing),
+    params,
+    { restart: true }
+  );
+  assert.strictEqual(stopped.error, "HTTP 401: busy");
+  assert.strictEqual(refusing.stored.size, 0);
+});
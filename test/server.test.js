@@ -0,0 +1,162 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { storeStatements, VOIDED_VERB } = require("../statements");
+const { AUDIT_COLLECTION } = require("../audit");
+const { startServer } = require("./support/server");
+
+const COMPLETED = "http://adlnet.gov/expapi/verbs/completed";
+
+function statement(n) {
+  return {
+    actor: { mbox: `mailto:learner${n}@example.com` },
+    verb: { id: COMPLETED },
+    object: { id: `http://example.com/activities/${n}` },
+  };
+}
+
+function decode(more) {
+  const token = new URL(more, "http://localhost").searchParams.get("more");
+  return JSON.parse(Buffer.from(token, "base64url").toString("utf-8"));
+}
+
+function encode(contents) {
+  return Buffer.from(JSON.stringify(contents)).toString("base64url");
+}
+
+// Three statements, the first of them voided
+async function seed(db) {
+  const statements = db.collection("statements");
+  const stored = await storeStatements(statements, [1, 2, 3].map(statement));
+  await storeStatements(statements, [
+    {
+      actor: { mbox: "mailto:admin@example.com" },
+      verb: { id: VOIDED_VERB },
+      object: { objectType: "StatementRef", id: stored[0].id },
+    },
+  ]);
+  return stored.map(({ id }) => id);
+}
+
+test("pages through statements with continuation links", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const ids = await seed(server.db);
+
+  const first = await server.request(
+    "GET",
+    `/statements?verb=${encodeURIComponent(COMPLETED)}&limit=1&ascending=true`
+  );
+  assert.strictEqual(first.status, 200);
+  assert.deepStrictEqual(
+    first.json.statements.map(({ id }) => id),
+    [ids[1]]
+  );
+  const second = await server.request(
+    "GET",
+    first.json.more.replace(/^\/xAPI/, "")
+  );
+  assert.deepStrictEqual(
+    second.json.statements.map(({ id }) => id),
+    [ids[2]]
+  );
+  assert.strictEqual(second.json.more, "");
+});
+
+test("rejects query parameters that are not strings", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  await seed(server.db);
+
+  for (const query of [
+    "verb[$ne]=x",
+    "verb=a&verb=b",
+    "statementId[$exists]=true",
+  ]) {
+    const response = await server.request("GET", `/statements?${query}`);
+    assert.strictEqual(response.status, 400, query);
+    assert.match(response.json.error, /must be a single string/);
+  }
+  const document = await server.request(
+    "GET",
+    "/activities/profile?activityId[$exists]=true&profileId=x"
+  );
+  assert.strictEqual(document.status, 400);
+});
+
+test("checks the query in a continuation token again", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  await seed(server.db);
+
+  const first = await server.request("GET", "/statements?limit=1");
+  const { params, after } = decode(first.json.more);
+
+  // The voided statement stays hidden whatever the token says
+  const voided = await server.request(
+    "GET",
+    `/statements?more=${encode({
+      params: { ...params, includeVoided: true, limit: 10 },
+      after,
+    })}`
+  );
+  assert.strictEqual(voided.status, 200);
+  assert.strictEqual(voided.json.statements.length, 2);
+  assert.ok(
+    voided.json.statements.every(
+      ({ actor }) => actor.mbox !== "mailto:learner1@example.com"
+    )
+  );
+
+  for (const tampered of [
+    { params: { ...params, verb: { $ne: null } }, after },
+    { params: { ...params, agent: { mbox: { $ne: null } } }, after },
+    { params, after: { ...after, stored: { $ne: null } } },
+    // Only the CLI carries a Mongo filter in its tokens
+    { params: { ...params, filter: { "actor.mbox": { $ne: null } } }, after },
+  ]) {
+    const response = await server.request(
+      "GET",
+      `/statements?more=${encode(tampered)}`
+    );
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.json.error, "Invalid continuation token");
+  }
+});
+
+test("records writes in the audit trail under the caller", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const agent = encodeURIComponent(
+    JSON.stringify({ mbox: "mailto:learner1@example.com" })
+  );
+  const state = `/activities/state?activityId=${encodeURIComponent(
+    "http://example.com/activities/1"
+  )}&agent=${agent}&stateId=bookmark`;
+
+  const posted = await server.request("POST", "/statements", {
+    body: statement(1),
+  });
+  assert.strictEqual(posted.status, 200);
+  const invalid = await server.request("POST", "/statements", {
+    body: { ...statement(2), verb: { id: "not an IRI" } },
+  });
+  assert.strictEqual(invalid.status, 400);
+  await server.request("PUT", state, { body: "page 3" });
+  await server.request("DELETE", state);
+  await server.request("GET", "/statements");
+
+  const entries = await server.db.collection(AUDIT_COLLECTION).find().toArray();
+  assert.deepStrictEqual(
+    entries.map(({ user, command, outcome }) => [user, command, outcome]),
+    [
+      ["key", "POST /xAPI/statements", "success"],
+      ["key", "POST /xAPI/statements", "failure"],
+      ["key", "PUT /xAPI/activities/state", "success"],
+      ["key", "DELETE /xAPI/activities/state", "success"],
+    ]
+  );
+  assert.deepStrictEqual(entries[0].affected, { statements: posted.json });
+  assert.deepStrictEqual(entries[3].affected, { documents: 1 });
+  // Statement bodies and the learner's identifier are not recorded
+  assert.ok(!JSON.stringify(entries).includes("learner1@example.com"));
+});
@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const {
+  storeStatements,
+  statementTemplate,
+  summarizeResults,
+  VOIDED_VERB,
+  XAPI_VERSION,
+} = require("../statements");
+const { validateStatement } = require("../validation");
+const { createMemoryDb } = require("./support/memory-db");
+
+const ID = "6a1c5b4e-2f0d-4c3b-9a8e-1d2c3b4a5f60";
+const NOW = new Date("2024-03-01T12:00:00.000Z");
+const authority = {
+  objectType: "Agent",
+  account: { homePage: "http://localhost", name: "tester" },
+};
+
+function statement(n, extra = {}) {
+  return {
+    actor: { mbox: `mailto:learner${n}@example.com` },
+    verb: { id: "http://adlnet.gov/expapi/verbs/completed" },
+    object: { id: `http://example.com/activities/${n}` },
+    ...extra,
+  };
+}
+
+function voiding(id) {
+  return {
+    actor: { mbox: "mailto:admin@example.com" },
+    verb: { id: VOIDED_VERB },
+    object: { objectType: "StatementRef", id },
+  };
+}
+
+function statuses(results) {
+  return results.map(({ status }) => status);
+}
+
+test("fills in id, stored, timestamp, version and authority", async () => {
+  const collection = createMemoryDb().collection("statements");
+  const [result] = await storeStatements(collection, [statement(1)], {
+    now: NOW,
+    authority,
+  });
+  assert.strictEqual(result.status, "stored");
+  assert.match(result.id, /^[0-9a-f-]{36}$/);
+
+  const stored = await collection.findOne(
+    { id: result.id },
+    { projection: { _id: 0 } }
+  );
+  assert.strictEqual(stored.stored, NOW.toISOString());
+  assert.strictEqual(stored.timestamp, NOW.toISOString());
+  assert.strictEqual(stored.version, XAPI_VERSION);
+  assert.deepStrictEqual(stored.authority, authority);
+  // An mbox and its SHA-1 identify the same actor
+  const sha1 = crypto
+    .createHash("sha1")
+    .update("mailto:learner1@example.com")
+    .digest("hex");
+  assert.strictEqual(stored._actor, `mbox_sha1sum:${sha1}`);
+});
+
+test("keeps the stored time and authority of copied statements on request", async () => {
+  const collection = createMemoryDb().collection("statements");
+  const copied = statement(1, {
+    id: ID,
+    stored: "2020-05-05T05:05:05Z",
+    authority: { mbox: "mailto:remote@example.com" },
+  });
+  await storeStatements(collection, [copied], {
+    now: NOW,
+    authority,
+    keepStored: true,
+    keepAuthority: true,
+  });
+  const stored = await collection.findOne({ id: ID });
+  assert.strictEqual(stored.stored, "2020-05-05T05:05:05.000Z");
+  assert.deepStrictEqual(stored.authority, copied.authority);
+});
+
+test("skips an equivalent statement and reports a different one as a conflict", async () => {
+  const collection = createMemoryDb().collection("statements");
+  await storeStatements(collection, [statement(1, { id: ID })], { now: NOW });
+
+  // The timestamp filled in for the first copy does not count as a difference
+  const results = await storeStatements(collection, [
+    statement(1, { id: ID }),
+    statement(2, { id: ID }),
+  ]);
+  assert.deepStrictEqual(statuses(results), ["skipped", "conflict"]);
+  assert.strictEqual(results[1].errors[0].path, "$.id");
+  assert.deepStrictEqual(summarizeResults(results), {
+    stored: 0,
+    skipped: 1,
+    conflict: 1,
+    invalid: 0,
+  });
+  assert.strictEqual(await collection.countDocuments(), 1);
+});
+
+test("reports invalid statements and aborts atomic batches", async () => {
+  const collection = createMemoryDb().collection("statements");
+  const invalid = { ...statement(2), verb: { id: "not an IRI" } };
+
+  const results = await storeStatements(collection, [statement(1), invalid]);
+  assert.deepStrictEqual(statuses(results), ["stored", "invalid"]);
+  assert.strictEqual(results[1].errors[0].path, "$.verb.id");
+
+  const atomic = await storeStatements(collection, [statement(3), invalid], {
+    atomic: true,
+  });
+  assert.deepStrictEqual(statuses(atomic), ["aborted", "invalid"]);
+  assert.strictEqual(await collection.countDocuments(), 1);
+});
+
+test("voiding statements mark their target, even one stored later", async () => {
+  const collection = createMemoryDb().collection("statements");
+  const [target] = await storeStatements(collection, [statement(1)]);
+  const later = "0b4c7a2e-8d9f-4e1a-b3c5-7f6e5d4c3b2a";
+
+  const [voided, early] = await storeStatements(collection, [
+    voiding(target.id),
+    voiding(later),
+  ]);
+  assert.deepStrictEqual(statuses([voided, early]), ["stored", "stored"]);
+  assert.strictEqual(
+    (await collection.findOne({ id: target.id }))._voided,
+    true
+  );
+
+  await storeStatements(collection, [statement(2, { id: later })]);
+  assert.strictEqual((await collection.findOne({ id: later }))._voided, true);
+
+  // A voiding statement cannot itself be voided
+  const [refused] = await storeStatements(collection, [voiding(voided.id)]);
+  assert.strictEqual(refused.status, "invalid");
+  assert.match(refused.errors[0].message, /itself a voiding statement/);
+  assert.strictEqual(
+    (await collection.findOne({ id: voided.id }))._voided,
+    undefined
+  );
+});
+
+test("templates and interactively built statements are valid", () => {
+  assert.deepStrictEqual(validateStatement(statementTemplate()), {
+    valid: true,
+  });
+  const built = statementTemplate({
+    actorName: "Rita",
+    actorMbox: "rita@example.com",
+    verbId: "http://adlnet.gov/expapi/verbs/attempted",
+    activityId: "http://example.com/activities/quiz",
+    activityName: "Quiz",
+  });
+  assert.deepStrictEqual(validateStatement(built), { valid: true });
+  assert.strictEqual(built.actor.mbox, "mailto:rita@example.com");
+  assert.deepStrictEqual(built.verb.display, { "en-US": "attempted" });
+  assert.deepStrictEqual(built.object.definition.name, { "en-US": "Quiz" });
+});
@@ -0,0 +1,573 @@
+const { BSON, ObjectId } = require("mongodb");
+
+// An in-memory stand-in for the parts of the MongoDB driver the modules
+// under test use: queries with the common operators, $set/$unset/
+// $setOnInsert updates, unique indexes and bulk writes. Documents go through
+// a BSON round trip on the way in and out, as they do with a real server, so
+// Buffers come back as Binary and undefined becomes null.
+
+const copy = (document) =>
+  BSON.deserialize(BSON.serialize(document), { promoteBuffers: false });
+
+function duplicateKeyError(message) {
+  const error = new Error(`E11000 duplicate key error: ${message}`);
+  error.code = 11000;
+  return error;
+}
+
+function valuesAt(document, path) {
+  return path.split(".").reduce(
+    (values, key) =>
+      values.flatMap((value) => {
+        if (value === null || value === undefined) return [];
+        if (Array.isArray(value) && !/^\d+$/.test(key)) {
+          return value.flatMap((item) =>
+            item && typeof item === "object" ? [item[key]] : []
+          );
+        }
+        return [value[key]];
+      }),
+    [document]
+  );
+}
+
+function valueAt(document, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === null || value === undefined ? undefined : value[key],
+      document
+    );
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof ObjectId) return value.toHexString();
+  if (value && value._bsontype === "Binary") {
+    return Buffer.from(value.buffer).toString("hex");
+  }
+  return value;
+}
+
+function equal(a, b) {
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  if (a === null || b === null) return a === b;
+  if (typeof a !== "object" || typeof b !== "object") return a === b;
+  const x = comparable(a);
+  const y = comparable(b);
+  if (typeof x !== "object" || typeof y !== "object") return x === y;
+  return BSON.EJSON.stringify(a) === BSON.EJSON.stringify(b);
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+// The values a condition is checked against: the field itself and, for an
+// array, each of its items
+function candidates(document, path) {
+  const values = valuesAt(document, path);
+  return values.flatMap((value) =>
+    Array.isArray(value) ? [value, ...value] : [value]
+  );
+}
+
+function isOperatorObject(condition) {
+  return (
+    condition &&
+    typeof condition === "object" &&
+    !Array.isArray(condition) &&
+    !(condition instanceof Date) &&
+    !condition._bsontype &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every((key) => key.startsWith("$"))
+  );
+}
+
+function matchesField(document, path, condition) {
+  const values = candidates(document, path);
+  if (!isOperatorObject(condition)) {
+    if (condition instanceof RegExp) {
+      return values.some((value) => condition.test(value));
+    }
+    return values.length
+      ? values.some((value) => equal(value, condition))
+      : equal(undefined, condition);
+  }
+  return Object.entries(condition).every(([operator, argument]) => {
+    switch (operator) {
+      case "$eq":
+        return matchesField(document, path, argument);
+      case "$ne":
+        return !matchesField(document, path, argument);
+      case "$in":
+        return argument.some((item) => matchesField(document, path, item));
+      case "$nin":
+        return !argument.some((item) => matchesField(document, path, item));
+      case "$gt":
+        return values.some(
+          (value) => value != null && compare(value, argument) > 0
+        );
+      case "$gte":
+        return values.some(
+          (value) => value != null && compare(value, argument) >= 0
+        );
+      case "$lt":
+        return values.some(
+          (value) => value != null && compare(value, argument) < 0
+        );
+      case "$lte":
+        return values.some(
+          (value) => value != null && compare(value, argument) <= 0
+        );
+      case "$exists":
+        return (valueAt(document, path) !== undefined) === Boolean(argument);
+      case "$regex": {
+        const pattern = new RegExp(argument, condition.$options || "");
+        return values.some(
+          (value) => typeof value === "string" && pattern.test(value)
+        );
+      }
+      case "$options":
+        return true;
+      case "$not":
+        return !matchesField(document, path, argument);
+      case "$elemMatch":
+        return valuesAt(document, path).some(
+          (value) =>
+            Array.isArray(value) &&
+            value.some((item) =>
+              isOperatorObject(argument)
+                ? matchesField({ item }, "item", argument)
+                : matches(item, argument)
+            )
+        );
+      case "$size":
+        return valuesAt(document, path).some(
+          (value) => Array.isArray(value) && value.length === argument
+        );
+      case "$all":
+        return argument.every((item) => matchesField(document, path, item));
+      default:
+        throw new Error(`memory-db does not support ${operator}`);
+    }
+  });
+}
+
+function matches(document, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    switch (key) {
+      case "$and":
+        return condition.every((part) => matches(document, part));
+      case "$or":
+        return condition.some((part) => matches(document, part));
+      case "$nor":
+        return !condition.some((part) => matches(document, part));
+      default:
+        return matchesField(document, key, condition);
+    }
+  });
+}
+
+function setPath(document, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === null || typeof target[key] !== "object") {
+      target[key] = {};
+    }
+    return target[key];
+  }, document);
+  parent[last] = value;
+}
+
+function unsetPath(document, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce(
+    (target, key) =>
+      target && typeof target === "object" ? target[key] : undefined,
+    document
+  );
+  if (parent && typeof parent === "object") delete parent[last];
+}
+
+function applyUpdate(document, update, { inserting = false } = {}) {
+  if (Array.isArray(update)) {
+    throw new Error("memory-db does not support update pipelines");
+  }
+  Object.entries(update).forEach(([operator, fields]) => {
+    switch (operator) {
+      case "$set":
+        Object.entries(fields).forEach(([path, value]) =>
+          setPath(document, path, value)
+        );
+        break;
+      case "$setOnInsert":
+        if (inserting) {
+          Object.entries(fields).forEach(([path, value]) =>
+            setPath(document, path, value)
+          );
+        }
+        break;
+      case "$unset":
+        Object.keys(fields).forEach((path) => unsetPath(document, path));
+        break;
+      case "$inc":
+        Object.entries(fields).forEach(([path, value]) =>
+          setPath(document, path, (valueAt(document, path) || 0) + value)
+        );
+        break;
+      default:
+        throw new Error(`memory-db does not support ${operator}`);
+    }
+  });
+  return document;
+}
+
+// The equality conditions of a query, which an upsert copies into the new
+// document
+function seedFromQuery(query) {
+  const document = {};
+  Object.entries(query)
+    .filter(([key, value]) => !key.startsWith("$") && !isOperatorObject(value))
+    .forEach(([key, value]) => setPath(document, key, value));
+  return document;
+}
+
+function project(document, projection) {
+  if (!projection || !Object.keys(projection).length) return document;
+  const included = Object.entries(projection).filter(
+    ([key, value]) => value && key !== "_id"
+  );
+  let result;
+  if (included.length) {
+    result = {};
+    included.forEach(([path]) => {
+      const value = valueAt(document, path);
+      if (value !== undefined) setPath(result, path, value);
+    });
+    if (projection._id !== 0) result._id = document._id;
+  } else {
+    result = { ...document };
+    Object.entries(projection)
+      .filter(([, value]) => !value)
+      .forEach(([path]) => unsetPath(result, path));
+  }
+  return result;
+}
+
+class Cursor {
+  constructor(load) {
+    this.load = load;
+    this.order = null;
+    this.skipped = 0;
+    this.limited = 0;
+  }
+
+  sort(order) {
+    this.order = order;
+    return this;
+  }
+
+  skip(count) {
+    this.skipped = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limited = count;
+    return this;
+  }
+
+  async toArray() {
+    let documents = this.load();
+    if (this.order) {
+      const keys = Object.entries(this.order);
+      documents = [...documents].sort((a, b) => {
+        for (const [key, direction] of keys) {
+          const order = compare(valueAt(a, key), valueAt(b, key));
+          if (order) return order * direction;
+        }
+        return 0;
+      });
+    }
+    documents = documents.slice(this.skipped);
+    if (this.limited) documents = documents.slice(0, this.limited);
+    return documents;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+
+  stream() {
+    const { Readable } = require("stream");
+    return Readable.from(this);
+  }
+
+  async close() {}
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.documents = [];
+    this.indexes = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    const name = Object.keys(keys).join("_");
+    if (!this.indexes.some((index) => index.name === name)) {
+      this.indexes.push({ name, keys: Object.keys(keys), ...options });
+    }
+    return name;
+  }
+
+  checkUnique(document, ignore) {
+    if (
+      this.documents.some(
+        (other) => other !== ignore && equal(other._id, document._id)
+      )
+    ) {
+      throw duplicateKeyError(`_id ${document._id}`);
+    }
+    this.indexes
+      .filter(({ unique }) => unique)
+      .forEach(({ name, keys, partialFilterExpression }) => {
+        if (
+          partialFilterExpression &&
+          !matches(document, partialFilterExpression)
+        ) {
+          return;
+        }
+        const clash = this.documents.some(
+          (other) =>
+            other !== ignore &&
+            (!partialFilterExpression ||
+              matches(other, partialFilterExpression)) &&
+            keys.every((key) =>
+              equal(valueAt(other, key), valueAt(document, key))
+            )
+        );
+        if (clash) throw duplicateKeyError(`index ${name}`);
+      });
+  }
+
+  find(query = {}, { projection } = {}) {
+    return new Cursor(() =>
+      this.documents
+        .filter((document) => matches(document, query))
+        .map((document) => project(copy(document), projection))
+    );
+  }
+
+  async findOne(query = {}, options = {}) {
+    const [document] = await this.find(query, options).limit(1).toArray();
+    return document || null;
+  }
+
+  async countDocuments(query = {}) {
+    return this.documents.filter((document) => matches(document, query)).length;
+  }
+
+  async distinct(path, query = {}) {
+    const values = [];
+    this.documents
+      .filter((document) => matches(document, query))
+      .flatMap((document) => valuesAt(document, path).flat())
+      .filter((value) => value !== undefined)
+      .forEach((value) => {
+        if (!values.some((other) => equal(other, value))) values.push(value);
+      });
+    return values;
+  }
+
+  insert(document) {
+    const stored = copy({ _id: new ObjectId(), ...document });
+    this.checkUnique(stored);
+    this.documents.push(stored);
+    return stored._id;
+  }
+
+  async insertOne(document) {
+    const insertedId = this.insert(document);
+    return { acknowledged: true, insertedId };
+  }
+
+  async insertMany(documents, { ordered = true } = {}) {
+    const writeErrors = [];
+    let insertedCount = 0;
+    for (const [index, document] of documents.entries()) {
+      try {
+        this.insert(document);
+        insertedCount++;
+      } catch (error) {
+        writeErrors.push({ index, code: error.code, errmsg: error.message });
+        if (ordered) break;
+      }
+    }
+    if (writeErrors.length) {
+      const error = new Error("insertMany had write errors");
+      error.code = 11000;
+      error.writeErrors = writeErrors;
+      error.insertedCount = insertedCount;
+      throw error;
+    }
+    return { acknowledged: true, insertedCount };
+  }
+
+  update(query, update, { upsert = false, multi = false } = {}) {
+    const targets = this.documents.filter((document) =>
+      matches(document, query)
+    );
+    const chosen = multi ? targets : targets.slice(0, 1);
+    chosen.forEach((document) => {
+      const updated = copy(applyUpdate(copy(document), update));
+      this.checkUnique(updated, document);
+      this.documents[this.documents.indexOf(document)] = updated;
+    });
+    if (!chosen.length && upsert) {
+      const document = applyUpdate(seedFromQuery(query), update, {
+        inserting: true,
+      });
+      const upsertedId = this.insert(document);
+      return {
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId,
+      };
+    }
+    return {
+      matchedCount: chosen.length,
+      modifiedCount: chosen.length,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  async updateOne(query, update, options = {}) {
+    return this.update(query, update, options);
+  }
+
+  async updateMany(query, update, options = {}) {
+    return this.update(query, update, { ...options, multi: true });
+  }
+
+  replace(query, replacement, { upsert = false } = {}) {
+    const target = this.documents.find((document) => matches(document, query));
+    if (target) {
+      const replaced = copy({ ...replacement, _id: target._id });
+      this.checkUnique(replaced, target);
+      this.documents[this.documents.indexOf(target)] = replaced;
+      return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    }
+    if (upsert) {
+      const upsertedId = this.insert({
+        ...seedFromQuery(query),
+        ...replacement,
+      });
+      return {
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId,
+      };
+    }
+    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+  }
+
+  async replaceOne(query, replacement, options = {}) {
+    return this.replace(query, replacement, options);
+  }
+
+  delete(query, { multi = false } = {}) {
+    const targets = this.documents.filter((document) =>
+      matches(document, query)
+    );
+    const chosen = multi ? targets : targets.slice(0, 1);
+    this.documents = this.documents.filter(
+      (document) => !chosen.includes(document)
+    );
+    return { acknowledged: true, deletedCount: chosen.length };
+  }
+
+  async deleteOne(query) {
+    return this.delete(query);
+  }
+
+  async deleteMany(query = {}) {
+    return this.delete(query, { multi: true });
+  }
+
+  async bulkWrite(operations) {
+    const result = {
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+    };
+    operations.forEach((operation) => {
+      const [[type, spec]] = Object.entries(operation);
+      let outcome;
+      switch (type) {
+        case "insertOne":
+          this.insert(spec.document);
+          result.insertedCount++;
+          return;
+        case "updateOne":
+        case "updateMany":
+          outcome = this.update(spec.filter, spec.update, {
+            upsert: spec.upsert,
+            multi: type === "updateMany",
+          });
+          break;
+        case "replaceOne":
+          outcome = this.replace(spec.filter, spec.replacement, {
+            upsert: spec.upsert,
+          });
+          break;
+        case "deleteOne":
+        case "deleteMany":
+          outcome = this.delete(spec.filter, { multi: type === "deleteMany" });
+          break;
+        default:
+          throw new Error(`memory-db does not support ${type}`);
+      }
+      Object.keys(result)
+        .filter((key) => outcome[key])
+        .forEach((key) => {
+          result[key] += outcome[key];
+        });
+    });
+    return result;
+  }
+
+  aggregate() {
+    throw new Error("memory-db does not support aggregation pipelines");
+  }
+}
+
+function createMemoryDb(databaseName = "test") {
+  const collections = new Map();
+  return {
+    databaseName,
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new MemoryCollection(name));
+      }
+      return collections.get(name);
+    },
+  };
+}
+
+module.exports = { createMemoryDb };
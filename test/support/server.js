@@ -0,0 +1,75 @@
+const { createApp } = require("../../server");
+const { generateToken } = require("../../auth");
+const { createMemoryDb } = require("./memory-db");
+
+// Runs the xAPI endpoint on a free port against an in-memory database.
+// request(method, path, { body, headers, user }) sends Basic credentials,
+// or a bearer token for user when one is given.
+
+const CREDENTIALS = Buffer.from("key:secret").toString("base64");
+const CONFIG = {
+  profile: "test",
+  values: {
+    lrsKey: "key",
+    lrsSecret: "secret",
+    lrsScopes: ["all"],
+    jwtSecret: "test-secret",
+  },
+};
+const silent = { info() {}, warn() {}, error() {} };
+
+async function startServer(options = {}) {
+  const db = options.db || createMemoryDb();
+  const config = {
+    ...CONFIG,
+    values: { ...CONFIG.values, ...options.values },
+  };
+  const app = createApp({
+    db,
+    collectionName: "statements",
+    config,
+    logger: silent,
+    ...options.app,
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/xAPI`;
+
+  async function request(method, path, { body, headers = {}, user } = {}) {
+    const authorization = user
+      ? `Bearer ${generateToken(user, config)}`
+      : `Basic ${CREDENTIALS}`;
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        "X-Experience-API-Version": "1.0.3",
+        Authorization: authorization,
+        ...(body !== undefined && typeof body !== "string"
+          ? { "Content-Type": "application/json" }
+          : {}),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      json = undefined;
+    }
+    return { status: response.status, headers: response.headers, text, json };
+  }
+
+  return {
+    db,
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { startServer };
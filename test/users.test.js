@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const users = require("../users");
+const auth = require("../auth");
+const { createMemoryDb } = require("./support/memory-db");
+
+const PASSWORD = "correct horse";
+
+test("passwords are hashed and checked", async () => {
+  const db = createMemoryDb();
+  await users.addUser(db, "root", PASSWORD, ["admin"]);
+  const stored = await users.getUser(db, "root");
+  assert.strictEqual(stored.passwordHash.algorithm, "scrypt");
+  assert.ok(!JSON.stringify(stored).includes(PASSWORD));
+  assert.ok(await users.authenticateUser(db, "root", PASSWORD));
+  assert.strictEqual(
+    await users.authenticateUser(db, "root", "wrong!!!"),
+    null
+  );
+  assert.strictEqual(
+    await users.authenticateUser(db, "nobody", PASSWORD),
+    null
+  );
+  await assert.rejects(
+    users.addUser(db, "short", "1234567", ["reader"]),
+    /at least 8 characters/
+  );
+});
+
+test("usernames are checked and unique", async () => {
+  const db = createMemoryDb();
+  await users.addUser(db, "root", PASSWORD, ["admin"]);
+  await users.addUser(db, "rita@example.com", PASSWORD, ["reader"]);
+  await assert.rejects(
+    users.addUser(db, "rita@example.com", PASSWORD, ["reader"]),
+    /already exists/
+  );
+  await assert.rejects(
+    users.addUser(db, "no spaces", PASSWORD, ["reader"]),
+    /Usernames/
+  );
+  assert.strictEqual(await users.removeUser(db, "rita@example.com"), true);
+  assert.strictEqual(await users.removeUser(db, "rita@example.com"), false);
+});
+
+test("sessions are kept per profile", async (t) => {
+  const home = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), "empress-test-")
+  );
+  const previousHome = process.env.HOME;
+  process.env.HOME = home;
+  t.after(async () => {
+    process.env.HOME = previousHome;
+    await fs.promises.rm(home, { recursive: true, force: true });
+  });
+  const config = (profile) => ({
+    profile,
+    values: { jwtSecret: "test-secret" },
+  });
+
+  auth.saveSession(config("default"), auth.generateToken("root", config()));
+  assert.strictEqual(auth.sessionUser(config("default")).userId, "root");
+  assert.strictEqual(auth.sessionUser(config("staging")), null);
+  assert.strictEqual(
+    auth.sessionUser({ profile: "default", values: { jwtSecret: "other" } }),
+    null
+  );
+
+  // Tokens are credentials: only their owner may read them, even when the
+  // file was created with a wider mode
+  const mode = (file) => fs.statSync(file).mode & 0o777;
+  const file = auth.sessionPath(home);
+  assert.strictEqual(mode(path.dirname(file)), 0o700);
+  assert.strictEqual(mode(file), 0o600);
+  fs.chmodSync(file, 0o644);
+  auth.saveSession(config("staging"), auth.generateToken("rita", config()));
+  assert.strictEqual(mode(file), 0o600);
+
+  assert.strictEqual(auth.clearSession(config("default")), true);
+  assert.strictEqual(auth.sessionUser(config("default")), null);
+  assert.strictEqual(auth.sessionUser(config("staging")).userId, "rita");
+  assert.strictEqual(auth.clearSession(config("default")), false);
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateStatement, formatValidationErrors } = require("../validation");
+
+const statement = {
+  actor: { mbox: "mailto:learner@example.com" },
+  verb: {
+    id: "http://adlnet.gov/expapi/verbs/completed",
+    display: { "en-US": "completed" },
+  },
+  object: { id: "http://example.com/activities/intro" },
+};
+
+function errorsOf(value) {
+  const result = validateStatement(value);
+  assert.strictEqual(result.valid, false);
+  return result.errors;
+}
+
+test("accepts a minimal statement", () => {
+  assert.deepStrictEqual(validateStatement(statement), { valid: true });
+});
+
+test("rejects anything but a JSON object", () => {
+  for (const value of [null, [], "statement", 42]) {
+    assert.deepStrictEqual(errorsOf(value), [
+      { path: "$", message: "must be a JSON object" },
+    ]);
+  }
+});
+
+test("reports each problem with its JSON path", () => {
+  const errors = errorsOf({
+    ...statement,
+    id: "not-a-uuid",
+    timestamp: "yesterday",
+  });
+  assert.deepStrictEqual(
+    errors.map(({ path }) => path),
+    ["$.id", "$.timestamp"]
+  );
+  assert.strictEqual(
+    formatValidationErrors(errors),
+    "$.id must be a valid UUID; $.timestamp must be a valid ISO 8601 timestamp"
+  );
+});
+
+test("requires exactly one inverse functional identifier", () => {
+  const [error] = errorsOf({
+    ...statement,
+    actor: { mbox: "mailto:a@example.com", openid: "http://example.com/a" },
+  });
+  assert.strictEqual(error.path, "$.actor");
+  assert.match(error.message, /exactly one inverse functional identifier/);
+});
+
+test("checks mbox IRIs and language tags", () => {
+  assert.deepStrictEqual(
+    errorsOf({ ...statement, actor: { mbox: "learner@example.com" } }).map(
+      ({ path }) => path
+    ),
+    ["$.actor.mbox"]
+  );
+  assert.deepStrictEqual(
+    errorsOf({
+      ...statement,
+      verb: { id: statement.verb.id, display: { "not a tag": "done" } },
+    }).map(({ message }) => message),
+    ["key must be a valid RFC 5646 language tag"]
+  );
+});
+
+test("checks score ranges", () => {
+  assert.deepStrictEqual(
+    errorsOf({ ...statement, result: { score: { scaled: 2 } } }),
+    [{ path: "$.result.score.scaled", message: "must be <= 1" }]
+  );
+  const errors = errorsOf({
+    ...statement,
+    result: { score: { min: 5, max: 1, raw: 3 } },
+  });
+  assert.ok(
+    errors.some(
+      ({ path, message }) =>
+        path === "$.result.score.min" && message === "must be less than max"
+    )
+  );
+});
+
+test("allows revision and platform only for Activity objects", () => {
+  const errors = errorsOf({
+    ...statement,
+    object: { objectType: "Agent", mbox: "mailto:other@example.com" },
+    context: { revision: "2", platform: "web" },
+  });
+  assert.deepStrictEqual(
+    errors.map(({ path }) => path),
+    ["$.context.revision", "$.context.platform"]
+  );
+});
+
+test("does not nest SubStatements", () => {
+  const sub = { actor: statement.actor, verb: statement.verb };
+  const errors = errorsOf({
+    ...statement,
+    object: {
+      objectType: "SubStatement",
+      ...sub,
+      object: { objectType: "SubStatement", ...sub, object: statement.object },
+    },
+  });
+  assert.deepStrictEqual(
+    errors.map(({ path }) => path),
+    ["$.object.object.objectType"]
+  );
+});
+
+test("requires a two-member Group as authority", () => {
+  assert.deepStrictEqual(
+    errorsOf({
+      ...statement,
+      authority: {
+        objectType: "Group",
+        member: [{ mbox: "mailto:app@example.com" }],
+      },
+    }),
+    [
+      {
+        path: "$.authority.member",
+        message: "must contain exactly two Agents when authority is a Group",
+      },
+    ]
+  );
+});
+
+test("rejects unknown properties", () => {
+  assert.deepStrictEqual(errorsOf({ ...statement, extra: 1 }), [
+    { path: "$.extra", message: "is not allowed here" },
+  ]);
+});
@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { checkRoles, permissionsOf } = require("./permissions");
+
+// User accounts for the CLI. Passwords are stored as scrypt hashes with a
+// random salt and the scrypt parameters used, so the cost can be raised
+// later without invalidating existing hashes. A user's TOTP secret is set the
+// first time they log in (see `login` in cli.js). Users have roles (see
+// permissions.js). Until some user is an admin every command is refused
+// except adding that first admin.
+
+const USER_COLLECTION = "users";
+const USERNAME = /^[A-Za-z0-9][A-Za-z0-9._@-]{0,63}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { keylen, ...cost } = SCRYPT;
+  const hash = await scrypt(password, salt, keylen, cost);
+  return {
+    algorithm: "scrypt",
+    ...SCRYPT,
+    salt: salt.toString("base64"),
+    hash: hash.toString("base64"),
+  };
+}
+
+async function verifyPassword(passwordHash, password) {
+  if (!passwordHash || passwordHash.algorithm !== "scrypt") return false;
+  const { N, r, p, keylen } = passwordHash;
+  const expected = Buffer.from(passwordHash.hash, "base64");
+  const actual = await scrypt(
+    password,
+    Buffer.from(passwordHash.salt, "base64"),
+    keylen,
+    { N, r, p }
+  );
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long`
+    );
+  }
+}
+
+// A user as shown to other users: no password hash or TOTP secret
+function publicUser({ _id, passwordHash, totpSecret, ...user }) {
+  return { ...user, roles: user.roles || [], twoFactor: Boolean(totpSecret) };
+}
+
+function adminCount(db) {
+  return db.collection(USER_COLLECTION).countDocuments({ roles: "admin" });
+}
+
+// While no user is an admin, the only user that can be added is an admin
+async function addUser(db, username, password, roles = ["reader"]) {
+  if (!USERNAME.test(username)) {
+    throw new Error(
+      "Usernames are letters, digits, '.', '_', '@' and '-', at most 64 long"
+    );
+  }
+  checkPassword(password);
+  const collection = db.collection(USER_COLLECTION);
+  if (await collection.findOne({ _id: username })) {
+    throw new Error(`User ${username} already exists`);
+  }
+  const granted = checkRoles(roles);
+  if (!granted.includes("admin") && !(await adminCount(db))) {
+    throw new Error(
+      "No user is an admin yet, so the first user must be added with --roles admin"
+    );
+  }
+  const user = {
+    _id: username,
+    username,
+    roles: granted,
+    passwordHash: await hashPassword(password),
+    created: new Date().toISOString(),
+  };
+  await collection.insertOne(user);
+  return publicUser(user);
+}
+
+// Refuses to take away the last admin, which would leave nobody able to
+// manage users while permission checks stay on for everyone else
+async function assertNotLastAdmin(db, user) {
+  if ((user.roles || []).includes("admin") && (await adminCount(db)) === 1) {
+    throw new Error(`${user.username} is the only admin`);
+  }
+}
+
+async function removeUser(db, username) {
+  const user = await getUser(db, username);
+  if (!user) return false;
+  await assertNotLastAdmin(db, user);
+  await db.collection(USER_COLLECTION).deleteOne({ _id: username });
+  return true;
+}
+
+async function setRoles(db, username, roles) {
+  const granted = checkRoles(roles);
+  const user = await getUser(db, username);
+  if (!user) throw new Error(`User ${username} does not exist`);
+  if (!granted.includes("admin")) await assertNotLastAdmin(db, user);
+  await db
+    .collection(USER_COLLECTION)
+    .updateOne(
+      { _id: username },
+      { $set: { roles: granted, updated: new Date().toISOString() } }
+    );
+  return publicUser({ ...user, roles: granted });
+}
+
+// Checks that username may use permission and returns the user. While no
+// user is an admin nobody has any permission; only a bootstrap command,
+// the one that adds the first admin, may run and then returns null.
+async function authorize(db, username, permission, { bootstrap = false } = {}) {
+  if (!(await adminCount(db))) {
+    if (bootstrap) return null;
+    throw new Error(
+      "No user is an admin yet; add one with `empress-cli user add <username> --roles admin`"
+    );
+  }
+  if (!username) {
+    throw new Error(
+      `This needs the ${permission} permission; log in with \`empress-cli login\``
+    );
+  }
+  const user = await getUser(db, username);
+  if (!user) throw new Error(`User ${username} no longer exists`);
+  if (!permissionsOf(user.roles).includes(permission)) {
+    throw new Error(
+      `${username} (${
+        (user.roles || []).join(", ") || "no roles"
+      }) does not have the ${permission} permission`
+    );
+  }
+  return user;
+}
+
+async function listUsers(db) {
+  const users = await db
+    .collection(USER_COLLECTION)
+    .find({})
+    .sort({ _id: 1 })
+    .toArray();
+  return users.map(publicUser);
+}
+
+function getUser(db, username) {
+  return db.collection(USER_COLLECTION).findOne({ _id: username });
+}
+
+// The user if the password is theirs, otherwise null. Unknown users take as
+// long as wrong passwords so usernames cannot be probed by timing.
+async function authenticateUser(db, username, password) {
+  const user = await getUser(db, username);
+  if (!user) {
+    await hashPassword(password);
+    return null;
+  }
+  return (await verifyPassword(user.passwordHash, password)) ? user : null;
+}
+
+async function setTotpSecret(db, username, secret) {
+  const update = secret
+    ? { $set: { totpSecret: secret, updated: new Date().toISOString() } }
+    : {
+        $unset: { totpSecret: "" },
+        $set: { updated: new Date().toISOString() },
+      };
+  const result = await db
+    .collection(USER_COLLECTION)
+    .updateOne({ _id: username }, update);
+  return result.matchedCount > 0;
+}
+
+function recordLogin(db, username) {
+  return db
+    .collection(USER_COLLECTION)
+    .updateOne(
+      { _id: username },
+      { $set: { lastLogin: new Date().toISOString() } }
+    );
+}
+
+module.exports = {
+  USER_COLLECTION,
+  hashPassword,
+  verifyPassword,
+  checkPassword,
+  addUser,
+  removeUser,
+  setRoles,
+  authorize,
+  listUsers,
+  getUser,
+  authenticateUser,
+  setTotpSecret,
+  recordLogin,
+};
@@ -0,0 +1,530 @@
+const Ajv = require("ajv");
+
+// xAPI 1.0.3 statement schema. Structural rules live here; the rules that
+// JSON Schema cannot express (IFI counts, score ranges, ...) are checked in
+// checkSemantics below.
+
+const IRI = /^[A-Za-z][A-Za-z0-9+.-]*:[^\s<>"{}|\\^`]+$/;
+const MAILTO = /^mailto:[^@\s]+@[^@\s]+$/i;
+const SHA1 = /^[0-9a-f]{40}$/i;
+const UUID =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const LANGUAGE_TAG = /^[A-Za-z]{2,8}(-[A-Za-z0-9]{1,8})*$/;
+const TIMESTAMP =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+const DURATION =
+  /^P(?:\d+(?:\.\d+)?W|(?=\d|T\d)(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d+)?S)?)?)$/;
+const VERSION = /^1\.0(\.\d+)?$/;
+
+const IFI_PROPERTIES = ["mbox", "mbox_sha1sum", "openid", "account"];
+
+const FORMAT_LABELS = {
+  iri: "IRI",
+  mailto: "mailto IRI (mailto:name@example.com)",
+  sha1: "hex-encoded SHA-1 hash",
+  uuid: "UUID",
+  "language-tag": "RFC 5646 language tag",
+  timestamp: "ISO 8601 timestamp",
+  duration: "ISO 8601 duration",
+  version: "xAPI version (1.0.x)",
+};
+
+const ref = (name) => ({ $ref: `#/definitions/${name}` });
+const iri = { type: "string", format: "iri" };
+const isObjectType = (type) => ({
+  properties: { objectType: { const: type } },
+  required: ["objectType"],
+});
+
+const interactionComponents = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      id: { type: "string", minLength: 1 },
+      description: ref("languageMap"),
+    },
+    required: ["id"],
+    additionalProperties: false,
+  },
+};
+
+const xAPISchema = {
+  definitions: {
+    languageMap: {
+      type: "object",
+      propertyNames: { format: "language-tag" },
+      additionalProperties: { type: "string" },
+    },
+    extensions: {
+      type: "object",
+      propertyNames: { format: "iri" },
+    },
+    account: {
+      type: "object",
+      properties: {
+        homePage: iri,
+        name: { type: "string", minLength: 1 },
+      },
+      required: ["homePage", "name"],
+      additionalProperties: false,
+    },
+    agent: {
+      type: "object",
+      properties: {
+        objectType: { const: "Agent" },
+        name: { type: "string" },
+        mbox: { type: "string", format: "mailto" },
+        mbox_sha1sum: { type: "string", format: "sha1" },
+        openid: iri,
+        account: ref("account"),
+      },
+      additionalProperties: false,
+    },
+    group: {
+      type: "object",
+      properties: {
+        objectType: { const: "Group" },
+        name: { type: "string" },
+        mbox: { type: "string", format: "mailto" },
+        mbox_sha1sum: { type: "string", format: "sha1" },
+        openid: iri,
+        account: ref("account"),
+        member: { type: "array", items: ref("agent") },
+      },
+      required: ["objectType"],
+      additionalProperties: false,
+    },
+    actor: {
+      type: "object",
+      if: isObjectType("Group"),
+      then: ref("group"),
+      else: ref("agent"),
+    },
+    verb: {
+      type: "object",
+      properties: {
+        id: iri,
+        display: ref("languageMap"),
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+    activityDefinition: {
+      type: "object",
+      properties: {
+        name: ref("languageMap"),
+        description: ref("languageMap"),
+        type: iri,
+        moreInfo: iri,
+        extensions: ref("extensions"),
+        interactionType: {
+          enum: [
+            "true-false",
+            "choice",
+            "fill-in",
+            "long-fill-in",
+            "matching",
+            "performance",
+            "sequencing",
+            "likert",
+            "numeric",
+            "other",
+          ],
+        },
+        correctResponsesPattern: { type: "array", items: { type: "string" } },
+        choices: interactionComponents,
+        scale: interactionComponents,
+        source: interactionComponents,
+        target: interactionComponents,
+        steps: interactionComponents,
+      },
+      additionalProperties: false,
+    },
+    activity: {
+      type: "object",
+      properties: {
+        objectType: { const: "Activity" },
+        id: iri,
+        definition: ref("activityDefinition"),
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+    statementRef: {
+      type: "object",
+      properties: {
+        objectType: { const: "StatementRef" },
+        id: { type: "string", format: "uuid" },
+      },
+      required: ["objectType", "id"],
+      additionalProperties: false,
+    },
+    subStatement: {
+      type: "object",
+      properties: {
+        objectType: { const: "SubStatement" },
+        actor: ref("actor"),
+        verb: ref("verb"),
+        object: ref("subStatementObject"),
+        result: ref("result"),
+        context: ref("context"),
+        timestamp: { type: "string", format: "timestamp" },
+        attachments: ref("attachments"),
+      },
+      required: ["objectType", "actor", "verb", "object"],
+      additionalProperties: false,
+    },
+    subStatementObject: {
+      type: "object",
+      properties: {
+        objectType: { enum: ["Activity", "Agent", "Group", "StatementRef"] },
+      },
+      allOf: [
+        { if: isObjectType("Agent"), then: ref("agent") },
+        { if: isObjectType("Group"), then: ref("group") },
+        { if: isObjectType("StatementRef"), then: ref("statementRef") },
+        {
+          if: { properties: { objectType: { enum: ["Activity"] } } },
+          then: ref("activity"),
+        },
+      ],
+    },
+    statementObject: {
+      type: "object",
+      properties: {
+        objectType: {
+          enum: ["Activity", "Agent", "Group", "StatementRef", "SubStatement"],
+        },
+      },
+      allOf: [
+        { if: isObjectType("Agent"), then: ref("agent") },
+        { if: isObjectType("Group"), then: ref("group") },
+        { if: isObjectType("StatementRef"), then: ref("statementRef") },
+        { if: isObjectType("SubStatement"), then: ref("subStatement") },
+        {
+          if: { properties: { objectType: { enum: ["Activity"] } } },
+          then: ref("activity"),
+        },
+      ],
+    },
+    result: {
+      type: "object",
+      properties: {
+        score: {
+          type: "object",
+          properties: {
+            scaled: { type: "number", minimum: -1, maximum: 1 },
+            raw: { type: "number" },
+            min: { type: "number" },
+            max: { type: "number" },
+          },
+          additionalProperties: false,
+        },
+        success: { type: "boolean" },
+        completion: { type: "boolean" },
+        response: { type: "string" },
+        duration: { type: "string", format: "duration" },
+        extensions: ref("extensions"),
+      },
+      additionalProperties: false,
+    },
+    contextActivities: {
+      type: "object",
+      propertyNames: { enum: ["parent", "grouping", "category", "other"] },
+      additionalProperties: {
+        anyOf: [ref("activity"), { type: "array", items: ref("activity") }],
+      },
+    },
+    context: {
+      type: "object",
+      properties: {
+        registration: { type: "string", format: "uuid" },
+        instructor: ref("actor"),
+        team: ref("group"),
+        contextActivities: ref("contextActivities"),
+        revision: { type: "string" },
+        platform: { type: "string" },
+        language: { type: "string", format: "language-tag" },
+        statement: ref("statementRef"),
+        extensions: ref("extensions"),
+      },
+      additionalProperties: false,
+    },
+    attachments: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          usageType: iri,
+          display: ref("languageMap"),
+          description: ref("languageMap"),
+          contentType: { type: "string" },
+          length: { type: "integer", minimum: 0 },
+          sha2: { type: "string" },
+          fileUrl: iri,
+        },
+        required: ["usageType", "display", "contentType", "length", "sha2"],
+        additionalProperties: false,
+      },
+    },
+  },
+  type: "object",
+  properties: {
+    id: { type: "string", format: "uuid" },
+    actor: ref("actor"),
+    verb: ref("verb"),
+    object: ref("statementObject"),
+    result: ref("result"),
+    context: ref("context"),
+    timestamp: { type: "string", format: "timestamp" },
+    stored: { type: "string", format: "timestamp" },
+    authority: ref("actor"),
+    version: { type: "string", format: "version" },
+    attachments: ref("attachments"),
+  },
+  required: ["actor", "verb", "object"],
+  additionalProperties: false,
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+ajv.addFormat("iri", IRI);
+ajv.addFormat("mailto", MAILTO);
+ajv.addFormat("sha1", SHA1);
+ajv.addFormat("uuid", UUID);
+ajv.addFormat("language-tag", LANGUAGE_TAG);
+ajv.addFormat("duration", DURATION);
+ajv.addFormat("version", VERSION);
+ajv.addFormat("timestamp", {
+  validate: (value) =>
+    TIMESTAMP.test(value) &&
+    !/-00:?00$/.test(value) &&
+    !Number.isNaN(Date.parse(value)),
+});
+
+const validate = ajv.compile(xAPISchema);
+
+// Converts an Ajv instancePath ("/context/team/member/0") to a JSON path
+// ("$.context.team.member[0]").
+function toJsonPath(pointer) {
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce(
+      (path, segment) =>
+        /^\d+$/.test(segment)
+          ? `${path}[${segment}]`
+          : /^[A-Za-z_$][\w$]*$/.test(segment)
+          ? `${path}.${segment}`
+          : `${path}[${JSON.stringify(segment)}]`,
+      "$"
+    );
+}
+
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+function describeAjvError(error) {
+  const path = toJsonPath(error.instancePath);
+
+  if (error.propertyName !== undefined) {
+    const label = FORMAT_LABELS[error.params.format];
+    return {
+      path: childPath(path, error.propertyName),
+      message: label
+        ? `key must be a valid ${label}`
+        : "is not an allowed property",
+    };
+  }
+
+  switch (error.keyword) {
+    case "required":
+      return {
+        path: childPath(path, error.params.missingProperty),
+        message: "is required",
+      };
+    case "additionalProperties":
+      return {
+        path: childPath(path, error.params.additionalProperty),
+        message: "is not allowed here",
+      };
+    case "format":
+      return {
+        path,
+        message: `must be a valid ${FORMAT_LABELS[error.params.format]}`,
+      };
+    case "const":
+      return {
+        path,
+        message: `must be ${JSON.stringify(error.params.allowedValue)}`,
+      };
+    case "enum":
+      return {
+        path,
+        message: `must be one of ${error.params.allowedValues
+          .map((value) => JSON.stringify(value))
+          .join(", ")}`,
+      };
+    case "anyOf":
+      return { path, message: "must be an Activity or an array of Activities" };
+    default:
+      return { path, message: error.message };
+  }
+}
+
+function checkAgent(agent, path, errors, { group = false } = {}) {
+  if (!agent || typeof agent !== "object" || Array.isArray(agent)) return;
+
+  const ifis = IFI_PROPERTIES.filter((key) => agent[key] !== undefined);
+  const isGroup = group || agent.objectType === "Group";
+
+  if (isGroup && ifis.length === 0) {
+    if (!Array.isArray(agent.member) || agent.member.length === 0) {
+      errors.push({
+        path: `${path}.member`,
+        message: "is required for an anonymous Group",
+      });
+    }
+  } else if (ifis.length !== 1) {
+    errors.push({
+      path,
+      message: `must have exactly one inverse functional identifier (${IFI_PROPERTIES.join(
+        ", "
+      )}), found ${ifis.length}`,
+    });
+  }
+
+  if (isGroup && Array.isArray(agent.member)) {
+    agent.member.forEach((member, index) =>
+      checkAgent(member, `${path}.member[${index}]`, errors)
+    );
+  }
+}
+
+function checkScore(score, path, errors) {
+  if (!score || typeof score !== "object") return;
+  const { raw, min, max } = score;
+
+  if (typeof min === "number" && typeof max === "number" && min >= max) {
+    errors.push({ path: `${path}.min`, message: "must be less than max" });
+  }
+  if (typeof raw === "number" && typeof min === "number" && raw < min) {
+    errors.push({
+      path: `${path}.raw`,
+      message: "must be greater than or equal to min",
+    });
+  }
+  if (typeof raw === "number" && typeof max === "number" && raw > max) {
+    errors.push({
+      path: `${path}.raw`,
+      message: "must be less than or equal to max",
+    });
+  }
+}
+
+function checkStatementBody(statement, path, errors) {
+  if (!statement || typeof statement !== "object") return;
+  const { actor, verb, object, result, context } = statement;
+
+  checkAgent(actor, `${path}.actor`, errors);
+
+  if (object && ["Agent", "Group"].includes(object.objectType)) {
+    checkAgent(object, `${path}.object`, errors);
+  } else if (object && object.objectType === "SubStatement") {
+    checkStatementBody(object, `${path}.object`, errors);
+  }
+
+  if (
+    verb &&
+    verb.id === "http://adlnet.gov/expapi/verbs/voided" &&
+    (!object || object.objectType !== "StatementRef")
+  ) {
+    errors.push({
+      path: `${path}.object.objectType`,
+      message: 'must be "StatementRef" when the verb is voided',
+    });
+  }
+
+  if (result) {
+    checkScore(result.score, `${path}.result.score`, errors);
+  }
+
+  if (context && typeof context === "object") {
+    checkAgent(context.instructor, `${path}.context.instructor`, errors);
+    checkAgent(context.team, `${path}.context.team`, errors, { group: true });
+
+    const isActivity =
+      object && (!object.objectType || object.objectType === "Activity");
+    ["revision", "platform"].forEach((key) => {
+      if (context[key] !== undefined && !isActivity) {
+        errors.push({
+          path: `${path}.context.${key}`,
+          message: "is only allowed when the object is an Activity",
+        });
+      }
+    });
+  }
+}
+
+function checkSemantics(statement) {
+  const errors = [];
+  checkStatementBody(statement, "$", errors);
+
+  const { authority } = statement;
+  if (authority && authority.objectType === "Group") {
+    if (!Array.isArray(authority.member) || authority.member.length !== 2) {
+      errors.push({
+        path: "$.authority.member",
+        message: "must contain exactly two Agents when authority is a Group",
+      });
+    }
+  }
+  checkAgent(authority, "$.authority", errors);
+
+  return errors;
+}
+
+function validateStatement(statement) {
+  if (!statement || typeof statement !== "object" || Array.isArray(statement)) {
+    return {
+      valid: false,
+      errors: [{ path: "$", message: "must be a JSON object" }],
+    };
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const add = (error) => {
+    const key = `${error.path} ${error.message}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      errors.push(error);
+    }
+  };
+
+  if (!validate(statement)) {
+    validate.errors
+      .filter((error) => !["if", "propertyNames"].includes(error.keyword))
+      .map(describeAjvError)
+      .forEach(add);
+  }
+  checkSemantics(statement).forEach(add);
+
+  return errors.length ? { valid: false, errors } : { valid: true };
+}
+
+function formatValidationErrors(errors) {
+  return errors.map(({ path, message }) => `${path} ${message}`).join("; ");
+}
+
+module.exports = {
+  IRI,
+  LANGUAGE_TAG,
+  validateStatement,
+  formatValidationErrors,
+  xAPISchema,
+};
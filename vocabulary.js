@@ -0,0 +1,397 @@
+const { IRI, LANGUAGE_TAG } = require("./validation");
+const { pickLanguage } = require("./query");
+
+// Registry of verbs and activity types. Each term is stored once, keyed by
+// its IRI, with multilingual labels and definitions, and can be deprecated in
+// favour of another term. Published vocabularies (the ADL vocabulary, xAPI
+// Profiles) are imported from their JSON-LD. A loaded vocabulary fills in
+// missing verb displays on write and, in strict mode, rejects statements that
+// use unregistered terms.
+
+const VOCABULARY_KINDS = {
+  verb: {
+    collection: "verbs",
+    legacyKey: "verb",
+    conceptType: "Verb",
+    label: "verb",
+  },
+  activityType: {
+    collection: "activityTypes",
+    legacyKey: "type",
+    conceptType: "ActivityType",
+    label: "activity type",
+  },
+};
+
+// The voided verb is part of xAPI itself and never needs registering
+const BUILT_IN_VERBS = ["http://adlnet.gov/expapi/verbs/voided"];
+
+const SKOS = "http://www.w3.org/2004/02/skos/core#";
+const OWL = "http://www.w3.org/2002/07/owl#";
+
+function kindOf(kind) {
+  const definition = VOCABULARY_KINDS[kind];
+  if (!definition) throw new Error(`Unknown vocabulary kind ${kind}`);
+  return definition;
+}
+
+function checkLanguageMap(map, name) {
+  Object.entries(map || {}).forEach(([language, text]) => {
+    if (!LANGUAGE_TAG.test(language) || typeof text !== "string") {
+      throw new Error(`${name} must map language tags to text`);
+    }
+  });
+}
+
+// Terms registered by earlier versions were stored as { verb, definition } or
+// { type, definition } with a plain-text definition of unknown language
+function normalizeEntry(kind, document) {
+  if (!document) return null;
+  const { legacyKey } = kindOf(kind);
+  if (document.id) {
+    const { _id, ...entry } = document;
+    return entry;
+  }
+  return {
+    id: document[legacyKey],
+    prefLabel: {},
+    definition:
+      typeof document.definition === "string"
+        ? { und: document.definition }
+        : document.definition || {},
+    deprecated: false,
+  };
+}
+
+function entryFilter(kind, id) {
+  return { $or: [{ _id: id }, { [kindOf(kind).legacyKey]: id }] };
+}
+
+async function listEntries(db, kind, { includeDeprecated = true } = {}) {
+  const documents = await db
+    .collection(kindOf(kind).collection)
+    .find({})
+    .toArray();
+  // A term registered twice by an earlier version is listed once
+  const entries = new Map();
+  documents
+    .map((document) => normalizeEntry(kind, document))
+    .filter((entry) => entry && entry.id)
+    .forEach((entry) => {
+      const existing = entries.get(entry.id);
+      if (!existing || (!existing.created && entry.created)) {
+        entries.set(entry.id, entry);
+      }
+    });
+  return [...entries.values()]
+    .filter((entry) => includeDeprecated || !entry.deprecated)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+async function getEntry(db, kind, id) {
+  const documents = await db
+    .collection(kindOf(kind).collection)
+    .find(entryFilter(kind, id))
+    .toArray();
+  const current = documents.find((document) => document._id === id);
+  return normalizeEntry(kind, current || documents[0]);
+}
+
+// Writes entry as the only document for its IRI, folding away any copies an
+// earlier version registered
+async function saveEntry(db, kind, entry) {
+  const collection = db.collection(kindOf(kind).collection);
+  await collection.replaceOne({ _id: entry.id }, entry, { upsert: true });
+  await collection.deleteMany({
+    $and: [entryFilter(kind, entry.id), { _id: { $ne: entry.id } }],
+  });
+  return entry;
+}
+
+// Registers a new term. Registering an IRI twice is an error; use
+// updateEntry to change a registered term.
+async function registerEntry(db, kind, fields, { now = new Date() } = {}) {
+  const { label } = kindOf(kind);
+  if (!fields.id || !IRI.test(fields.id)) {
+    throw new Error(`A ${label} id must be an IRI`);
+  }
+  checkLanguageMap(fields.prefLabel, "prefLabel");
+  checkLanguageMap(fields.definition, "definition");
+  if (await getEntry(db, kind, fields.id)) {
+    throw new Error(`${fields.id} is already registered as a ${label}`);
+  }
+  const timestamp = now.toISOString();
+  return saveEntry(db, kind, {
+    id: fields.id,
+    prefLabel: fields.prefLabel || {},
+    definition: fields.definition || {},
+    deprecated: false,
+    ...(fields.source && { source: fields.source }),
+    created: timestamp,
+    updated: timestamp,
+  });
+}
+
+// Merges changes into a registered term. Language maps are merged language by
+// language; an empty string removes a language.
+async function updateEntry(db, kind, id, changes, { now = new Date() } = {}) {
+  const existing = await getEntry(db, kind, id);
+  if (!existing) {
+    throw new Error(`${id} is not a registered ${kindOf(kind).label}`);
+  }
+  const merge = (map, update, name) => {
+    checkLanguageMap(update, name);
+    const merged = { ...map, ...update };
+    Object.keys(merged)
+      .filter((language) => merged[language] === "")
+      .forEach((language) => delete merged[language]);
+    return merged;
+  };
+  const entry = {
+    ...existing,
+    prefLabel: merge(existing.prefLabel, changes.prefLabel, "prefLabel"),
+    definition: merge(existing.definition, changes.definition, "definition"),
+    updated: now.toISOString(),
+  };
+  if (changes.deprecated !== undefined) entry.deprecated = changes.deprecated;
+  if (changes.replacedBy) {
+    if (!IRI.test(changes.replacedBy)) {
+      throw new Error("replacedBy must be an IRI");
+    }
+    entry.replacedBy = changes.replacedBy;
+  }
+  if (!entry.deprecated) delete entry.replacedBy;
+  return saveEntry(db, kind, entry);
+}
+
+// Returns the number of documents removed, legacy duplicates included
+async function removeEntry(db, kind, id) {
+  const result = await db
+    .collection(kindOf(kind).collection)
+    .deleteMany(entryFilter(kind, id));
+  return result.deletedCount;
+}
+
+// JSON-LD -----------------------------------------------------------------------
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// The same property may be written compacted ("prefLabel"), prefixed
+// ("skos:prefLabel") or as a full IRI
+function property(node, name, namespace, prefix) {
+  return [name, `${prefix}:${name}`, `${namespace}${name}`]
+    .map((key) => node[key])
+    .find((value) => value !== undefined);
+}
+
+// Accepts { "en": "text" }, { "@language": "en", "@value": "text" }, arrays
+// of either, or plain text (taken to be English)
+function languageMap(value) {
+  const map = {};
+  asArray(value).forEach((item) => {
+    if (typeof item === "string") {
+      map.en = item;
+    } else if (item && item["@value"] !== undefined) {
+      map[item["@language"] || "en"] = String(item["@value"]);
+    } else if (item && typeof item === "object") {
+      Object.entries(item)
+        .filter(([, text]) => typeof text === "string")
+        .forEach(([language, text]) => {
+          map[language] = text;
+        });
+    }
+  });
+  return map;
+}
+
+function literal(value) {
+  const [first] = asArray(value);
+  return first && typeof first === "object"
+    ? first["@value"] || first["@id"]
+    : first;
+}
+
+function conceptKind(node) {
+  const types = asArray(node["@type"] || node.type).map((type) =>
+    String(type).split(/[#/:]/).pop()
+  );
+  return Object.keys(VOCABULARY_KINDS).find((kind) =>
+    types.includes(VOCABULARY_KINDS[kind].conceptType)
+  );
+}
+
+// Verb and activity type concepts in a JSON-LD document: the "concepts" of
+// an xAPI Profile, or the nodes of an "@graph" (or a top-level array) such as
+// the ADL vocabulary. Other concepts are counted as skipped.
+function parseVocabulary(document) {
+  const nodes = Array.isArray(document)
+    ? document
+    : document.concepts || document["@graph"] || [document];
+  const source = !Array.isArray(document)
+    ? document.id || document["@id"]
+    : undefined;
+  const concepts = [];
+  let skipped = 0;
+
+  nodes.forEach((node) => {
+    const kind = node && conceptKind(node);
+    const id = node && (node.id || node["@id"]);
+    if (!kind || !id || !IRI.test(id)) {
+      skipped++;
+      return;
+    }
+    const deprecated = property(node, "deprecated", OWL, "owl");
+    const replacedBy = node.isReplacedBy || node["dcterms:isReplacedBy"];
+    concepts.push({
+      kind,
+      entry: {
+        id,
+        prefLabel: languageMap(property(node, "prefLabel", SKOS, "skos")),
+        definition: languageMap(property(node, "definition", SKOS, "skos")),
+        deprecated: [true, "true"].includes(literal(deprecated)),
+        ...(replacedBy && { replacedBy: literal(replacedBy) }),
+        ...(source && { source }),
+      },
+    });
+  });
+  return { concepts, skipped };
+}
+
+// Adds or refreshes every term in a parsed vocabulary. Labels from the
+// vocabulary are merged into what is registered, so local translations
+// survive a re-import. Returns counts per kind.
+async function importVocabulary(db, document, { now = new Date() } = {}) {
+  const { concepts, skipped } = parseVocabulary(document);
+  const summary = { added: 0, updated: 0, skipped };
+  for (const { kind, entry } of concepts) {
+    const existing = await getEntry(db, kind, entry.id);
+    if (existing) {
+      await saveEntry(db, kind, {
+        ...existing,
+        ...entry,
+        prefLabel: { ...existing.prefLabel, ...entry.prefLabel },
+        definition: { ...existing.definition, ...entry.definition },
+        created: existing.created || now.toISOString(),
+        updated: now.toISOString(),
+      });
+      summary.updated++;
+    } else {
+      await saveEntry(db, kind, {
+        ...entry,
+        created: now.toISOString(),
+        updated: now.toISOString(),
+      });
+      summary.added++;
+    }
+  }
+  return summary;
+}
+
+// Statements ---------------------------------------------------------------------
+
+// Best label for the preferred languages; "fr-CA" falls back to "fr"
+function displayLabel(entry, languages = []) {
+  const fallbacks = languages.flatMap((language) => [
+    language,
+    language.split("-")[0],
+  ]);
+  const [text] = Object.values(pickLanguage(entry.prefLabel || {}, fallbacks));
+  return text || "";
+}
+
+function activityTypes(statement) {
+  const types = [];
+  const add = (activity, path) => {
+    const type = activity && activity.definition && activity.definition.type;
+    if (type) types.push({ type, path: `${path}.definition.type` });
+  };
+  const collect = (body, prefix) => {
+    const { object, context } = body;
+    if (object && (!object.objectType || object.objectType === "Activity")) {
+      add(object, `${prefix}.object`);
+    }
+    const contextActivities = (context && context.contextActivities) || {};
+    Object.entries(contextActivities).forEach(([key, activities]) =>
+      asArray(activities).forEach((activity, index) =>
+        add(
+          activity,
+          Array.isArray(activities)
+            ? `${prefix}.context.contextActivities.${key}[${index}]`
+            : `${prefix}.context.contextActivities.${key}`
+        )
+      )
+    );
+    if (object && object.objectType === "SubStatement") {
+      collect(object, `${prefix}.object`);
+    }
+  };
+  collect(statement, "$");
+  return types;
+}
+
+// Loads the registry for use on write. check(statement) returns validation
+// errors in the validateStatement format (none unless strict) and
+// complete(statement) fills in a missing verb display. Deprecated terms are
+// still accepted.
+async function loadVocabulary(db, { strict = false } = {}) {
+  const verbs = new Map(
+    (await listEntries(db, "verb")).map((entry) => [entry.id, entry])
+  );
+  const types = new Map(
+    (await listEntries(db, "activityType")).map((entry) => [entry.id, entry])
+  );
+
+  const check = (statement) => {
+    if (!strict) return [];
+    const errors = [];
+    const usedVerbs = [{ id: statement.verb.id, path: "$.verb.id" }];
+    if (statement.object && statement.object.objectType === "SubStatement") {
+      usedVerbs.push({
+        id: statement.object.verb.id,
+        path: "$.object.verb.id",
+      });
+    }
+    usedVerbs
+      .filter(({ id }) => !verbs.has(id) && !BUILT_IN_VERBS.includes(id))
+      .forEach(({ id, path }) =>
+        errors.push({ path, message: `${id} is not a registered verb` })
+      );
+    activityTypes(statement)
+      .filter(({ type }) => !types.has(type))
+      .forEach(({ type, path }) =>
+        errors.push({
+          path,
+          message: `${type} is not a registered activity type`,
+        })
+      );
+    return errors;
+  };
+
+  const complete = (statement) => {
+    const entry = verbs.get(statement.verb && statement.verb.id);
+    if (statement.verb.display || !entry) return statement;
+    if (!Object.keys(entry.prefLabel || {}).length) return statement;
+    return {
+      ...statement,
+      verb: { ...statement.verb, display: entry.prefLabel },
+    };
+  };
+
+  return { strict, verbs, activityTypes: types, check, complete };
+}
+
+module.exports = {
+  VOCABULARY_KINDS,
+  listEntries,
+  getEntry,
+  registerEntry,
+  updateEntry,
+  removeEntry,
+  parseVocabulary,
+  importVocabulary,
+  displayLabel,
+  loadVocabulary,
+};